@@ -1,62 +1,528 @@
-import { useState, useCallback } from 'react';
+import { Fragment, useState, useCallback, useMemo, useEffect, useRef } from 'react';
 import './App.css';
 import StressGraph from './components/StressGraph';
 import ParameterSlider from './components/ParameterSlider';
 import ThetaRangeControl from './components/ThetaRangeControl';
 import BodyOrientation from './components/BodyOrientation';
 import MohrsCircle from './components/MohrsCircle';
+import SegmentedControl from './components/SegmentedControl';
+import HookePanel from './components/HookePanel';
+import RosettePanel from './components/RosettePanel';
+import FailurePanel from './components/FailurePanel';
+import FailureEnvelope from './components/FailureEnvelope';
+import InvariantsPanel from './components/InvariantsPanel';
+import LoadingPanel from './components/LoadingPanel';
+import ScenarioPanel from './components/ScenarioPanel';
+import FieldExplorer from './components/FieldExplorer';
+import FeaPanel from './components/FeaPanel';
+import LoadCasesPanel from './components/LoadCasesPanel';
+import HistoryPanel from './components/HistoryPanel';
+import FatiguePanel from './components/FatiguePanel';
+import FatigueDiagram from './components/FatigueDiagram';
+import LaminaPanel from './components/LaminaPanel';
+import GeotechPanel from './components/GeotechPanel';
+import SectionBuilder from './components/SectionBuilder';
+import SectionDiagram from './components/SectionDiagram';
+import PresetLibrary from './components/PresetLibrary';
+import UndoPanel from './components/UndoPanel';
+import { analyzeStress, principalStresses, principalStresses3D, normalizeAngle } from './lib/stress';
+import { strainToStress, stressToStrain } from './lib/elasticity';
+import { STRESS_UNITS, convertStress } from './lib/units';
+import { DEFAULT_CONVENTION, rotationSign, signedState } from './lib/convention';
+import { DEFAULT_DIMS } from './lib/sections';
+import { DEFAULT_SCENARIO_INPUTS, scaleScenarioInputs } from './lib/scenarios';
+import { DEFAULT_FIELD_PARAMS, scaleFieldParams } from './lib/fields';
+import { scaleLoadCases } from './lib/loadCases';
+import {
+  DEFAULT_HISTORY, formatHistory, scaleHistory, sampleHistory,
+} from './lib/history';
+import { fatigueStates, analyzeFatigue } from './lib/fatigue';
+import { DEFAULT_LAMINA, LAMINA_CRITERIA, evaluateLamina } from './lib/composite';
+import { effectiveState, mohrCoulomb } from './lib/geotech';
+import { SECTION_PRESETS, MM4_PER_CM4, sectionInertia } from './lib/inertia';
+import { QUANTITIES } from './lib/quantities';
+import {
+  DEFAULT_MOHR_DISPLAY, scaleParams, encodeWorkspace, decodeWorkspace,
+} from './lib/workspace';
+import { loadLibrary, saveLibrary } from './lib/presets';
+import {
+  EMPTY_UNDO, recordStep, jumpTo, undoStep, redoStep, scaleUndo,
+} from './lib/undo';
 
+// stress-valued entries of INITIAL/INITIAL_STRENGTH are in MPa
 const INITIAL = {
   sigmaX: { value: 80,  min: -200, max: 200, step: 1 },
   sigmaY: { value: -40, min: -200, max: 200, step: 1 },
   tauXY:  { value: 50,  min: -200, max: 200, step: 1 },
+  sigmaZ: { value: 0,   min: -200, max: 200, step: 1 },
+  tauYZ:  { value: 0,   min: -200, max: 200, step: 1 },
+  tauZX:  { value: 0,   min: -200, max: 200, step: 1 },
 };
 
+// strains are edited in microstrain (µε)
+const INITIAL_STRAIN = {
+  epsX:    { value: 500,  min: -2000, max: 2000, step: 10 },
+  epsY:    { value: -200, min: -2000, max: 2000, step: 10 },
+  gammaXY: { value: 300,  min: -2000, max: 2000, step: 10 },
+};
+
+const INITIAL_MATERIAL = { E: 200, nu: 0.3 }; // GPa, structural steel
+
+// structural steel yield, grey cast iron–like split when `separate`
+const INITIAL_STRENGTH = { Sy: 250, Sut: 300, Suc: 900, separate: false };
+
+const INITIAL_ROSETTE = {
+  type: 'rectangular',
+  angles: [0, 45, 90],
+  readings: [500, 300, -200], // µε
+  overlay: true,
+};
+
+// member loads in kN and kN·m, section geometry in mm
+const INITIAL_LOADING = {
+  section: 'rectangle',
+  dims: DEFAULT_DIMS,
+  loads: { N: 50, Vy: 10, Vz: 0, T: 0.5, My: 0, Mz: 2 },
+  point: { y: 20, z: 20 },
+};
+
+const INITIAL_SCENARIO = { type: 'cylinder', inputs: DEFAULT_SCENARIO_INPUTS, live: false };
+
+const INITIAL_FIELD = {
+  type: 'kirsch',
+  params: DEFAULT_FIELD_PARAMS,
+  measure: 'vonMises',
+  trajectories: false,
+  hoverLoad: false,
+};
+
+// imported FE results stay in the unit of the file and are converted on display
+const INITIAL_FEA = {
+  name: null,
+  rows: [],
+  columns: [],
+  skipped: 0,
+  error: null,
+  sourceUnit: 'MPa',
+  sort: { key: 'vonMises', dir: -1 },
+  selected: null,
+};
+
+const INITIAL_LOAD_CASES = { cases: [], overlay: true };
+
+// history stresses are in MPa like INITIAL; t is in whatever unit the rig logs
+const INITIAL_HISTORY = {
+  text: formatHistory(DEFAULT_HISTORY),
+  points: DEFAULT_HISTORY,
+  error: null,
+  t: 0,
+  playing: false,
+  speed: 1,
+  trail: true,
+};
+
+// fully reversed bending with a steady torque; strengths of a medium-carbon
+// steel with a corrected endurance limit (MPa)
+const INITIAL_FATIGUE = {
+  source: 'manual',
+  max: { sigmaX: 120, sigmaY: 0, tauXY: 40 },
+  min: { sigmaX: -120, sigmaY: 0, tauXY: 40 },
+  caseIds: [null, null],
+  Sut: 600,
+  Sy: 450,
+  Se: 240,
+};
+
+// lamina strengths in MPa; angle in degrees in the θ sense
+const INITIAL_LAMINA = { enabled: false, angle: 30, criterion: 'tsaiWu', ...DEFAULT_LAMINA };
+
+// pore pressure and cohesion in MPa (compression-positive), φ in degrees
+const INITIAL_GEOTECH = { enabled: false, u: 20, c: 10, phi: 30 };
+
+// what a link leaves out; INITIAL is in MPa
+const WORKSPACE_DEFAULTS = {
+  params: INITIAL,
+  theta: 0,
+  thetaMin: 0,
+  thetaMax: 180,
+  activeTab: 'mohr',
+  unit: 'MPa',
+  mohr: DEFAULT_MOHR_DISPLAY,
+};
+
+// a burst of edits (a slider drag, a pan) settles into one history entry
+const URL_SETTLE_MS = 400;
+
+// How each stress-valued slice of state follows a unit change by factor k.
+const RESCALE = {
+  strength: (s, k) => ({ ...s, Sy: s.Sy * k, Sut: s.Sut * k, Suc: s.Suc * k }),
+  scenario: (s, k) => ({ ...s, inputs: scaleScenarioInputs(s.inputs, k) }),
+  field: (f, k) => ({ ...f, params: scaleFieldParams(f.params, k) }),
+  loadCases: (l, k) => ({ ...l, cases: scaleLoadCases(l.cases, k) }),
+  history: (h, k, unit) => {
+    const points = scaleHistory(h.points, k);
+    return { ...h, points, text: formatHistory(points, STRESS_UNITS[unit].digits + 1) };
+  },
+  fatigue: (f, k) => {
+    const scale = (st) => Object.fromEntries(Object.entries(st).map(([key, v]) => [key, v * k]));
+    return { ...f, max: scale(f.max), min: scale(f.min), Sut: f.Sut * k, Sy: f.Sy * k, Se: f.Se * k };
+  },
+  lamina: (l, k) => ({
+    ...l, Xt: l.Xt * k, Xc: l.Xc * k, Yt: l.Yt * k, Yc: l.Yc * k, S12: l.S12 * k,
+  }),
+  geotech: (g, k) => ({ ...g, u: g.u * k, c: g.c * k }),
+};
+
+// how slider edits are named in the undo history
+const PARAM_SYMBOLS = {
+  sigmaX: 'σx', sigmaY: 'σy', tauXY: 'τxy', sigmaZ: 'σz', tauYZ: 'τyz', tauZX: 'τzx',
+  epsX: 'εx', epsY: 'εy', gammaXY: 'γxy',
+};
+
+const UNIT_OPTIONS = Object.keys(STRESS_UNITS).map(u => ({ value: u, label: u }));
+
+const QUANTITY_OPTIONS = [
+  { value: 'stress', label: 'Stress σ' },
+  { value: 'strain', label: 'Strain ε' },
+  { value: 'inertia', label: 'Inertia I' },
+];
+
+const SHEAR_AXIS_OPTIONS = [
+  { value: 'down', label: 'Shear ↓' },
+  { value: 'up',   label: 'Shear ↑' },
+];
+
+const ROTATION_OPTIONS = [
+  { value: 'ccw', label: 'θ CCW' },
+  { value: 'cw',  label: 'θ CW' },
+];
+
+const NORMAL_SIGN_OPTIONS = [
+  { value: 'tension',     label: 'Tension +' },
+  { value: 'compression', label: 'Compr. +' },
+];
+
 const PRESETS = [
   { name: 'Default',     sx: 80,  sy: -40, txy: 50  },
   { name: 'Uniaxial',    sx: 100, sy: 0,   txy: 0   },
   { name: 'Biaxial',     sx: 80,  sy: 40,  txy: 0   },
   { name: 'Pure Shear',  sx: 0,   sy: 0,   txy: 60  },
   { name: 'Equal Biax',  sx: 60,  sy: 60,  txy: 0   },
+  { name: 'Triaxial',    sx: 80,  sy: 40,  txy: 0,  sz: 20 },
 ];
 
-function getPrincipalAngles(sigmaX, sigmaY, tauXY) {
-  const diff = sigmaX - sigmaY;
-  if (Math.abs(diff) < 1e-9 && Math.abs(tauXY) < 1e-9) return null;
-  const angle = 0.5 * Math.atan2(2 * tauXY, diff) * 180 / Math.PI;
-  return [angle, angle + 90].map(a => ((a % 180) + 180) % 180);
-}
+export default function App() {
+  // a shared link opens on the state it encodes
+  const [startup] = useState(() => decodeWorkspace(window.location.search, WORKSPACE_DEFAULTS));
+  const inStartUnit = (initial, key) => () => (startup.unit === 'MPa'
+    ? initial
+    : RESCALE[key](initial, convertStress(1, 'MPa', startup.unit), startup.unit));
 
-function getMaxShear(sigmaX, sigmaY, tauXY) {
-  return Math.sqrt(((sigmaX - sigmaY) / 2) ** 2 + tauXY ** 2);
-}
+  const [params, setParams] = useState(startup.params);
+  const [thetaMin, setThetaMin] = useState(startup.thetaMin);
+  const [thetaMax, setThetaMax] = useState(startup.thetaMax);
+  const [theta, setTheta] = useState(startup.theta);
+  const [activeTab, setActiveTab] = useState(startup.activeTab); // 'stress' | 'mohr' | 'envelope' | 'fatigue' | 'field'
+  const [quantity, setQuantity] = useState('stress'); // which tensor the sliders edit
+  const [section, setSection] = useState({ shapes: SECTION_PRESETS.angle.shapes });
+  const [strainParams, setStrainParams] = useState(INITIAL_STRAIN);
+  const [material, setMaterial] = useState(INITIAL_MATERIAL);
+  const [planeCondition, setPlaneCondition] = useState('planeStress');
+  const [showBoth, setShowBoth] = useState(false);
+  const [rosette, setRosette] = useState(INITIAL_ROSETTE);
+  const [strength, setStrength] = useState(inStartUnit(INITIAL_STRENGTH, 'strength'));
+  const [loading, setLoading] = useState(INITIAL_LOADING);
+  const [scenario, setScenario] = useState(inStartUnit(INITIAL_SCENARIO, 'scenario'));
+  const [field, setField] = useState(inStartUnit(INITIAL_FIELD, 'field'));
+  const [fea, setFea] = useState(INITIAL_FEA);
+  const [loadCases, setLoadCases] = useState(inStartUnit(INITIAL_LOAD_CASES, 'loadCases'));
+  const [history, setHistory] = useState(inStartUnit(INITIAL_HISTORY, 'history'));
+  const [fatigue, setFatigue] = useState(inStartUnit(INITIAL_FATIGUE, 'fatigue'));
+  const [lamina, setLamina] = useState(inStartUnit(INITIAL_LAMINA, 'lamina'));
+  const [geotech, setGeotech] = useState(inStartUnit(INITIAL_GEOTECH, 'geotech'));
+  const [unit, setUnit] = useState(startup.unit);
+  const [mohrDisplay, setMohrDisplay] = useState(startup.mohr);
+  const [presetLibrary, setPresetLibrary] = useState(loadLibrary);
+  const [undo, setUndo] = useState(EMPTY_UNDO);
+  const [convention, setConvention] = useState(DEFAULT_CONVENTION);
+  const [splitHydrostatic, setSplitHydrostatic] = useState(false);
+  const { digits } = STRESS_UNITS[unit];
+  const sliderDigits = Math.max(digits - 1, 0);
 
-export default function App() {
-  const [params, setParams] = useState(INITIAL);
-  const [thetaMin, setThetaMin] = useState(0);
-  const [thetaMax, setThetaMax] = useState(180);
-  const [theta, setTheta] = useState(0);
-  const [activeTab, setActiveTab] = useState('mohr'); // 'stress' | 'mohr'
+  const setConventionKey = (key) => (value) => setConvention(prev => ({ ...prev, [key]: value }));
+
+  // soil mechanics reads compression-positive; the convention can still be
+  // changed afterwards
+  const toggleGeotech = (enabled) => {
+    setGeotech(prev => ({ ...prev, enabled }));
+    setConvention(prev => ({ ...prev, normal: enabled ? 'compression' : 'tension' }));
+  };
+
+  // ── undo / redo: every tracked change first records the state it leaves ──
+  const snapshot = { params, strainParams, theta, thetaMin, thetaMax, vis: mohrDisplay.vis };
+  const committed = useRef(snapshot);
+  useEffect(() => { committed.current = snapshot; });
+  const record = useCallback((label) => {
+    const before = committed.current, now = Date.now();
+    setUndo(prev => recordStep(prev, before, label, now));
+  }, []);
+  const restoreSnapshot = (snap) => {
+    setParams(snap.params);
+    setStrainParams(snap.strainParams);
+    setTheta(snap.theta);
+    setThetaMin(snap.thetaMin);
+    setThetaMax(snap.thetaMax);
+    setMohrDisplay(prev => ({ ...prev, vis: snap.vis }));
+  };
+  const travel = (step) => {
+    if (!step) return;
+    setUndo(step.undo);
+    restoreSnapshot(step.snapshot);
+  };
+  const handleUndo = () => travel(undoStep(undo, snapshot));
+  const handleRedo = () => travel(redoStep(undo, snapshot));
+
+  // Ctrl/⌘+Z, Ctrl/⌘+Shift+Z and Ctrl+Y; text fields keep their own undo
+  const shortcuts = useRef(null);
+  useEffect(() => { shortcuts.current = { handleUndo, handleRedo }; });
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const t = e.target;
+      if (t.isContentEditable || t.tagName === 'TEXTAREA'
+        || (t.tagName === 'INPUT' && !['range', 'checkbox', 'radio', 'button'].includes(t.type))) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) shortcuts.current.handleUndo();
+      else if ((key === 'z' && e.shiftKey) || key === 'y') shortcuts.current.handleRedo();
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, []);
+
+  const changeTheta = useCallback((next) => {
+    record('θ');
+    setTheta(next);
+  }, [record]);
+  const changeThetaMin = useCallback((next) => {
+    record('θ range');
+    setThetaMin(next);
+  }, [record]);
+  const changeThetaMax = useCallback((next) => {
+    record('θ range');
+    setThetaMax(next);
+  }, [record]);
+  // zoom and pan are not steps; the toggles are
+  const changeMohrDisplay = useCallback((next) => {
+    const visChanged = (typeof next === 'function' ? next(mohrDisplay) : next).vis !== mohrDisplay.vis;
+    if (visChanged) record('Mohr view');
+    setMohrDisplay(next);
+  }, [mohrDisplay, record]);
 
+  // slider moves and range edits of one component each merge into one step
   const update = useCallback((key, patch) => {
+    const cur = params[key];
+    const ranged = (patch.min ?? cur.min) !== cur.min || (patch.max ?? cur.max) !== cur.max;
+    record(`${PARAM_SYMBOLS[key]}${ranged ? ' range' : ''}`);
     setParams(prev => ({ ...prev, [key]: { ...prev[key], ...patch } }));
-  }, []);
+  }, [params, record]);
+
+  const updateStrain = useCallback((key, patch) => {
+    const cur = strainParams[key];
+    const ranged = (patch.min ?? cur.min) !== cur.min || (patch.max ?? cur.max) !== cur.max;
+    record(`${PARAM_SYMBOLS[key]}${ranged ? ' range' : ''}`);
+    setStrainParams(prev => ({ ...prev, [key]: { ...prev[key], ...patch } }));
+  }, [strainParams, record]);
+
+  // Rescale every stress-valued piece of state into the new unit.
+  const changeUnit = useCallback((next) => {
+    const k = convertStress(1, unit, next);
+    setParams(prev => scaleParams(prev, k));
+    setStrength(prev => RESCALE.strength(prev, k));
+    setScenario(prev => RESCALE.scenario(prev, k));
+    setField(prev => RESCALE.field(prev, k));
+    setLoadCases(prev => RESCALE.loadCases(prev, k));
+    setHistory(prev => RESCALE.history(prev, k, next));
+    setFatigue(prev => RESCALE.fatigue(prev, k));
+    setLamina(prev => RESCALE.lamina(prev, k));
+    setGeotech(prev => RESCALE.geotech(prev, k));
+    setUndo(prev => scaleUndo(prev, k));
+    setUnit(next);
+  }, [unit]);
 
   const applyPreset = useCallback((p) => {
+    record(`Preset: ${p.name}`);
+    const k = convertStress(1, 'MPa', unit);
+    const entry = (key, v) => ({
+      value: v * k,
+      min: INITIAL[key].min * k,
+      max: INITIAL[key].max * k,
+      step: +(INITIAL[key].step * k).toPrecision(1),
+    });
     setParams({
-      sigmaX: { ...INITIAL.sigmaX, value: p.sx },
-      sigmaY: { ...INITIAL.sigmaY, value: p.sy },
-      tauXY:  { ...INITIAL.tauXY,  value: p.txy },
+      sigmaX: entry('sigmaX', p.sx),
+      sigmaY: entry('sigmaY', p.sy),
+      tauXY:  entry('tauXY',  p.txy),
+      sigmaZ: entry('sigmaZ', p.sz ?? 0),
+      tauYZ:  entry('tauYZ',  p.tyz ?? 0),
+      tauZX:  entry('tauZX',  p.tzx ?? 0),
     });
+    setQuantity('stress'); // presets are stress states
     setTheta(0);
-  }, []);
+  }, [unit, record]);
+
+  // A saved preset brings its own slider ranges, converted into the current unit.
+  const loadPreset = useCallback((preset) => {
+    record(`Preset: ${preset.name}`);
+    setParams(preset.unit === unit
+      ? preset.params
+      : scaleParams(preset.params, convertStress(1, preset.unit, unit)));
+    setQuantity('stress');
+    setTheta(0);
+  }, [unit, record]);
+
+  useEffect(() => saveLibrary(presetLibrary), [presetLibrary]);
+
+  // Push a computed stress state into the sliders, widening ranges that
+  // would otherwise clip it. Components not given are reset to zero.
+  const loadStressState = useCallback((state) => {
+    record('Loaded state');
+    setParams(prev => {
+      const next = {};
+      for (const key of Object.keys(INITIAL)) {
+        const value = state[key] ?? 0;
+        const cur = prev[key];
+        next[key] = {
+          ...cur,
+          value,
+          min: Math.min(cur.min, Math.floor(value)),
+          max: Math.max(cur.max, Math.ceil(value)),
+        };
+      }
+      return next;
+    });
+    setQuantity('stress');
+  }, [record]);
+
+  // ── workspace ↔ URL: settled changes become history entries, back and
+  // forward restore them ──
+  const search = encodeWorkspace(
+    { params, theta, thetaMin, thetaMax, activeTab, unit, mohr: mohrDisplay }, WORKSPACE_DEFAULTS,
+  );
+  useEffect(() => {
+    if (search === window.location.search.slice(1)) return;
+    const id = setTimeout(() => {
+      const { pathname, hash } = window.location;
+      window.history.pushState(null, '', `${pathname}${search ? `?${search}` : ''}${hash}`);
+    }, URL_SETTLE_MS);
+    return () => clearTimeout(id);
+  }, [search]);
+
+  const restoreWorkspace = useCallback((ws) => {
+    record('Back / forward');
+    if (ws.unit !== unit) changeUnit(ws.unit); // rescales the rest, then params are replaced
+    setParams(ws.params);
+    setTheta(ws.theta);
+    setThetaMin(ws.thetaMin);
+    setThetaMax(ws.thetaMax);
+    setActiveTab(ws.activeTab);
+    setMohrDisplay(ws.mohr);
+  }, [unit, changeUnit, record]);
+  useEffect(() => {
+    const onPop = () => restoreWorkspace(decodeWorkspace(window.location.search, WORKSPACE_DEFAULTS));
+    window.addEventListener('popstate', onPop);
+    return () => window.removeEventListener('popstate', onPop);
+  }, [restoreWorkspace]);
+
+  // stored load cases drawn over the stress diagrams
+  const caseOverlays = useMemo(() => (loadCases.overlay
+    ? loadCases.cases.filter(c => c.visible).map(c => ({ id: c.id, name: c.name, color: c.color, ...c.state }))
+    : []), [loadCases]);
+
+  // path of the load history for the Mohr's-circle trail, drawn up to history.t
+  const historyTrail = useMemo(() => (history.trail && history.points.length > 1
+    ? sampleHistory(history.points, history.points[0].t, history.points[history.points.length - 1].t, 160)
+    : null), [history.trail, history.points]);
+  // failure index vs fibre angle on the σ–θ graph
+  const laminaCurve = useMemo(() => {
+    if (!lamina.enabled || quantity !== 'stress') return null;
+    const { Xt, Xc, Yt, Yc, S12 } = lamina;
+    const color = LAMINA_CRITERIA.find(c => c.key === lamina.criterion).color;
+    return { criterion: lamina.criterion, color, strength: { Xt, Xc, Yt, Yc, S12 } };
+  }, [lamina, quantity]);
+
+  const trail = historyTrail && quantity === 'stress' && history.t > history.points[0].t
+    ? { path: historyTrail, t: history.t }
+    : null;
+
+  const { sigmaX, sigmaY, tauXY, sigmaZ, tauYZ, tauZX } = params;
+  const { epsX, epsY, gammaXY } = strainParams;
 
-  const { sigmaX, sigmaY, tauXY } = params;
-  const avg = (sigmaX.value + sigmaY.value) / 2;
-  const tauMax = getMaxShear(sigmaX.value, sigmaY.value, tauXY.value);
-  const sigma1 = avg + tauMax;
-  const sigma2 = avg - tauMax;
-  const principals = getPrincipalAngles(sigmaX.value, sigmaY.value, tauXY.value);
+  // ── Hooke's-law coupling: whichever tensor is edited drives the other ──
+  const elastic = { E: convertStress(material.E, 'GPa', unit), nu: material.nu };
+  let stress, strain;
+  if (quantity === 'strain') {
+    const s = strainToStress({
+      epsX: epsX.value * 1e-6, epsY: epsY.value * 1e-6, gammaXY: gammaXY.value * 1e-6,
+    }, elastic, planeCondition);
+    stress = { sigmaX: s.sigmaX, sigmaY: s.sigmaY, tauXY: s.tauXY, sigmaZ: s.sigmaZ, tauYZ: 0, tauZX: 0 };
+    strain = { epsX: epsX.value, epsY: epsY.value, gammaXY: gammaXY.value, epsZ: s.epsZ * 1e6, gammaYZ: 0, gammaZX: 0 };
+  } else {
+    // plane strain fixes σz at ν(σx + σy) in place of the σz slider
+    const e = stressToStrain({
+      sigmaX: sigmaX.value, sigmaY: sigmaY.value, tauXY: tauXY.value,
+      sigmaZ: sigmaZ.value, tauYZ: tauYZ.value, tauZX: tauZX.value,
+    }, elastic, planeCondition);
+    stress = {
+      sigmaX: sigmaX.value, sigmaY: sigmaY.value, tauXY: tauXY.value,
+      sigmaZ: e.sigmaZ, tauYZ: tauYZ.value, tauZX: tauZX.value,
+    };
+    strain = {
+      epsX: e.epsX * 1e6, epsY: e.epsY * 1e6, gammaXY: e.gammaXY * 1e6, epsZ: e.epsZ * 1e6,
+      gammaYZ: e.gammaYZ * 1e6, gammaZX: e.gammaZX * 1e6,
+    };
+  }
+
+  // the views draw a generic symmetric tensor; strain enters as (εx, εy, γxy/2)
+  const strainView = {
+    sigmaX: strain.epsX, sigmaY: strain.epsY, tauXY: strain.gammaXY / 2,
+    sigmaZ: strain.epsZ, tauYZ: strain.gammaYZ / 2, tauZX: strain.gammaZX / 2,
+  };
+  // second moments of area enter as (Ix, Iy, −Ixy) in cm⁴, always tension-style
+  const sectionResult = sectionInertia(section.shapes);
+  const inertiaView = sectionResult
+    ? {
+      sigmaX: sectionResult.Ix / MM4_PER_CM4, sigmaY: sectionResult.Iy / MM4_PER_CM4,
+      tauXY: -sectionResult.Ixy / MM4_PER_CM4, sigmaZ: 0, tauYZ: 0, tauZX: 0,
+    }
+    : { sigmaX: 0, sigmaY: 0, tauXY: 0, sigmaZ: 0, tauYZ: 0, tauZX: 0 };
+  const views = { stress, strain: strainView, inertia: inertiaView };
+  const view = views[quantity];
+  const viewConvention = quantity === 'inertia' ? { ...convention, normal: 'tension' } : convention;
+  // the element diagrams in the other tabs stay on the material tensors
+  const elementQuantity = quantity === 'inertia' ? 'stress' : quantity;
+  const elementView = views[elementQuantity];
+
+  // the sidebar reports the state in the chosen normal sign, as the circles do;
+  // the failure checks stay tension-positive
+  const shown = signedState(stress, convention);
+  const {
+    avg, R: tauMax, sigma1, sigma2, principalAngles: principals,
+  } = analyzeStress(shown.sigmaX, shown.sigmaY, shown.tauXY);
+  const shown3D = principalStresses3D(shown);
+  const principal3D = principalStresses3D(stress);
+  const envelopePoint = principalStresses(stress.sigmaX, stress.sigmaY, stress.tauXY);
+  const cycle = fatigueStates(fatigue, loadCases.cases);
+  const fatigueAnalysis = cycle && analyzeFatigue(cycle.max, cycle.min, fatigue);
+  const laminaAnalysis = evaluateLamina(stress, rotationSign(convention) * lamina.angle, lamina);
+  const effective = effectiveState(stress, geotech.u);
+  const geoCheck = mohrCoulomb(effective, geotech);
+  const geoShown = geotech.enabled && quantity === 'stress';
+  const geotechOverlay = geoShown
+    ? { effective, u: geotech.u, c: geotech.c, phi: geotech.phi, check: geoCheck }
+    : null;
+  const showAngle = (a) => normalizeAngle(rotationSign(convention) * a);
 
   return (
     <div className="app">
@@ -80,6 +546,24 @@ export default function App() {
           >
             Mohr's Circle
           </button>
+          <button
+            className={`tab-btn${activeTab === 'envelope' ? ' tab-btn--active' : ''}`}
+            onClick={() => setActiveTab('envelope')}
+          >
+            σ₁–σ₂ Envelope
+          </button>
+          <button
+            className={`tab-btn${activeTab === 'fatigue' ? ' tab-btn--active' : ''}`}
+            onClick={() => setActiveTab('fatigue')}
+          >
+            Fatigue
+          </button>
+          <button
+            className={`tab-btn${activeTab === 'field' ? ' tab-btn--active' : ''}`}
+            onClick={() => setActiveTab('field')}
+          >
+            Stress Field
+          </button>
         </div>
         <div className="header-equations">
           <span className="eq-chip">
@@ -98,35 +582,78 @@ export default function App() {
         {/* ── GRAPH PANEL (tab: stress) ── */}
         <div className={`graph-panel${activeTab !== 'stress' ? ' tab-hidden' : ''}`}>
           <div className="graph-row">
-            <BodyOrientation
-              sigmaX={sigmaX.value}
-              sigmaY={sigmaY.value}
-              tauXY={tauXY.value}
-              theta={theta}
-              onThetaChange={setTheta}
-            />
+            {quantity === 'inertia' ? (
+              <SectionDiagram
+                shapes={section.shapes}
+                section={sectionResult}
+                theta={theta}
+                onThetaChange={changeTheta}
+                convention={convention}
+              />
+            ) : (
+              <BodyOrientation
+                sigmaX={view.sigmaX}
+                sigmaY={view.sigmaY}
+                tauXY={view.tauXY}
+                theta={theta}
+                onThetaChange={changeTheta}
+                quantity={quantity}
+                gauges={rosette.overlay ? rosette.angles : null}
+                unit={unit}
+                digits={quantity === 'stress' ? sliderDigits : 1}
+                convention={convention}
+                hydrostatic={splitHydrostatic ? (view.sigmaX + view.sigmaY + view.sigmaZ) / 3 : null}
+                fibreAngle={lamina.enabled ? lamina.angle : null}
+                planes={geoShown ? geoCheck.planes : null}
+              />
+            )}
             <div className="graph-col">
               <div className="panel-topbar">
-                <span className="panel-label">STRESS  vs  ANGLE</span>
+                <span className="panel-label">{QUANTITIES[quantity].title.toUpperCase()}  vs  ANGLE</span>
                 <div className="legend">
                   <span className="legend-dot" style={{background:'var(--sigma-color)'}} />
-                  <span className="legend-text">σ<sub>x′</sub>(θ)</span>
+                  {{
+                    stress:  <span className="legend-text">σ<sub>x′</sub>(θ)</span>,
+                    strain:  <span className="legend-text">ε<sub>x′</sub>(θ)</span>,
+                    inertia: <span className="legend-text">I<sub>x′</sub>(θ)</span>,
+                  }[quantity]}
                   <span className="legend-dot" style={{background:'var(--tau-color)'}} />
-                  <span className="legend-text">τ<sub>x′y′</sub>(θ)</span>
+                  {{
+                    stress:  <span className="legend-text">τ<sub>x′y′</sub>(θ)</span>,
+                    strain:  <span className="legend-text">γ<sub>x′y′</sub>/2(θ)</span>,
+                    inertia: <span className="legend-text">−I<sub>x′y′</sub>(θ)</span>,
+                  }[quantity]}
                   {principals && (
                     <>
                       <span className="legend-dot" style={{background:'var(--accent)'}} />
                       <span className="legend-text">Principal</span>
                     </>
                   )}
+                  {quantity === 'stress' && caseOverlays.map(c => (
+                    <Fragment key={c.id}>
+                      <span className="legend-dot" style={{background:c.color}} />
+                      <span className="legend-text">{c.name}</span>
+                    </Fragment>
+                  ))}
+                  {laminaCurve && (
+                    <>
+                      <span className="legend-dot" style={{background:laminaCurve.color}} />
+                      <span className="legend-text">FI(φ = θ)</span>
+                    </>
+                  )}
                 </div>
               </div>
               <StressGraph
-                sigmaX={sigmaX.value}
-                sigmaY={sigmaY.value}
-                tauXY={tauXY.value}
+                sigmaX={view.sigmaX}
+                sigmaY={view.sigmaY}
+                tauXY={view.tauXY}
                 thetaMin={thetaMin}
                 thetaMax={thetaMax}
+                quantity={quantity}
+                unit={unit}
+                convention={viewConvention}
+                overlays={quantity === 'stress' ? caseOverlays : []}
+                lamina={laminaCurve}
               />
             </div>
           </div>
@@ -145,20 +672,154 @@ export default function App() {
               <span className="legend-text">σ₂ (P₂)</span>
               <span className="legend-dot" style={{background:'#ffd166'}} />
               <span className="legend-text">τ<sub>max</sub></span>
+              {geotechOverlay && (
+                <>
+                  <span className="legend-dot" style={{background:'#795548'}} />
+                  <span className="legend-text">Effective σ′</span>
+                  <span className="legend-dot" style={{background:'#d84315'}} />
+                  <span className="legend-text">Mohr–Coulomb</span>
+                </>
+              )}
+            </div>
+          </div>
+          {showBoth && quantity !== 'inertia' ? (
+            <div className="mohr-panel-inner mohr-panel-inner--split">
+              <div className="mohr-split-cell">
+                <div className="mohr-split-title">STRESS</div>
+                <MohrsCircle {...stress} theta={theta} quantity="stress" unit={unit} digits={digits} convention={convention} overlays={caseOverlays} trail={trail} geotech={geotechOverlay} display={mohrDisplay} onDisplayChange={changeMohrDisplay} />
+              </div>
+              <div className="mohr-split-cell">
+                <div className="mohr-split-title">STRAIN</div>
+                <MohrsCircle {...strainView} theta={theta} quantity="strain" convention={convention} />
+              </div>
+            </div>
+          ) : (
+            <div className="mohr-panel-inner">
+              <MohrsCircle
+                {...view}
+                theta={theta}
+                quantity={quantity}
+                unit={unit}
+                digits={quantity === 'stress' ? digits : 2}
+                convention={viewConvention}
+                overlays={quantity === 'stress' ? caseOverlays : []}
+                trail={trail}
+                geotech={geotechOverlay}
+                display={mohrDisplay}
+                onDisplayChange={changeMohrDisplay}
+              />
+            </div>
+          )}
+        </div>
+
+        {/* ── FAILURE ENVELOPE PANEL (tab: envelope) ── */}
+        <div className={`graph-panel mohr-panel${activeTab !== 'envelope' ? ' tab-hidden' : ''}`}>
+          <div className="panel-topbar">
+            <span className="panel-label">PRINCIPAL STRESS SPACE  (PLANE STRESS)</span>
+            <div className="legend">
+              <span className="legend-dot" style={{background:'#1565c0'}} />
+              <span className="legend-text">von Mises</span>
+              <span className="legend-dot" style={{background:'#6a1b9a'}} />
+              <span className="legend-text">Tresca</span>
+              <span className="legend-dot" style={{background:'#e65c00'}} />
+              <span className="legend-text">Coulomb–Mohr</span>
+              <span className="legend-dot" style={{background:'#c62828'}} />
+              <span className="legend-text">(σ₁, σ₂)</span>
             </div>
           </div>
           <div className="mohr-panel-inner">
-            <MohrsCircle
-              sigmaX={sigmaX.value}
-              sigmaY={sigmaY.value}
-              tauXY={tauXY.value}
+            <FailureEnvelope
+              sigma1={envelopePoint.sigma1}
+              sigma2={envelopePoint.sigma2}
+              strength={strength}
+              unit={unit}
+              digits={sliderDigits}
+              outOfPlane={[stress.sigmaZ, stress.tauYZ, stress.tauZX].some(v => Math.abs(v) > 1e-9)}
+            />
+          </div>
+        </div>
+
+        {/* ── FATIGUE DIAGRAM PANEL (tab: fatigue) ── */}
+        <div className={`graph-panel mohr-panel${activeTab !== 'fatigue' ? ' tab-hidden' : ''}`}>
+          <div className="panel-topbar">
+            <span className="panel-label">MEAN – ALTERNATING STRESS</span>
+            <div className="legend">
+              <span className="legend-dot" style={{background:'#1565c0'}} />
+              <span className="legend-text">Goodman</span>
+              <span className="legend-dot" style={{background:'#6a1b9a'}} />
+              <span className="legend-text">Soderberg</span>
+              <span className="legend-dot" style={{background:'#e65c00'}} />
+              <span className="legend-text">Gerber</span>
+              <span className="legend-dot" style={{background:'#1b5e20'}} />
+              <span className="legend-text">ASME</span>
+              <span className="legend-dot" style={{background:'#c62828'}} />
+              <span className="legend-text">Langer</span>
+            </div>
+          </div>
+          <div className="mohr-panel-inner">
+            <FatigueDiagram
+              sigmaA={fatigueAnalysis ? fatigueAnalysis.components.sigmaA : 0}
+              sigmaM={fatigueAnalysis ? fatigueAnalysis.components.sigmaM : 0}
+              strength={fatigue}
+              results={fatigueAnalysis ? fatigueAnalysis.results : []}
+              unit={unit}
+              digits={sliderDigits}
+            />
+          </div>
+        </div>
+
+        {/* ── STRESS FIELD PANEL (tab: field) ── */}
+        <div className={`graph-panel${activeTab !== 'field' ? ' tab-hidden' : ''}`}>
+          <div className="graph-row">
+            <BodyOrientation
+              sigmaX={elementView.sigmaX}
+              sigmaY={elementView.sigmaY}
+              tauXY={elementView.tauXY}
               theta={theta}
+              onThetaChange={changeTheta}
+              quantity={elementQuantity}
+              gauges={rosette.overlay ? rosette.angles : null}
+              unit={unit}
+              digits={elementQuantity === 'stress' ? sliderDigits : 1}
+              convention={convention}
+              hydrostatic={splitHydrostatic ? (elementView.sigmaX + elementView.sigmaY + elementView.sigmaZ) / 3 : null}
+            />
+            <FieldExplorer
+              field={field}
+              onChange={setField}
+              onPick={loadStressState}
+              unit={unit}
+              digits={digits}
             />
           </div>
         </div>
 
         {/* ── SIDEBAR ── */}
         <aside className="sidebar">
+          <div className="sidebar-section">
+            <div className="section-heading">UNITS</div>
+            <SegmentedControl options={UNIT_OPTIONS} value={unit} onChange={changeUnit} />
+          </div>
+
+          <div className="sidebar-section">
+            <div className="section-heading">SIGN CONVENTION</div>
+            <SegmentedControl options={SHEAR_AXIS_OPTIONS} value={convention.shear} onChange={setConventionKey('shear')} />
+            <SegmentedControl options={ROTATION_OPTIONS} value={convention.rotation} onChange={setConventionKey('rotation')} />
+            <SegmentedControl options={NORMAL_SIGN_OPTIONS} value={convention.normal} onChange={setConventionKey('normal')} />
+          </div>
+
+          <div className="sidebar-section">
+            <div className="section-heading">UNDO HISTORY</div>
+            <UndoPanel
+              undo={undo}
+              present={snapshot}
+              onUndo={handleUndo}
+              onRedo={handleRedo}
+              onJump={i => travel(jumpTo(undo, snapshot, i))}
+              digits={sliderDigits}
+            />
+          </div>
+
           {/* Presets */}
           <div className="sidebar-section">
             <div className="section-heading">PRESETS</div>
@@ -171,40 +832,225 @@ export default function App() {
             </div>
           </div>
 
+          <div className="sidebar-section">
+            <div className="section-heading">PRESET LIBRARY</div>
+            <PresetLibrary
+              presets={presetLibrary}
+              onChange={setPresetLibrary}
+              current={params}
+              unit={unit}
+              onLoad={loadPreset}
+            />
+          </div>
+
+          <div className="sidebar-section">
+            <div className="section-heading">SCENARIOS</div>
+            <ScenarioPanel
+              scenario={scenario}
+              onChange={setScenario}
+              onApply={loadStressState}
+              nu={material.nu}
+              unit={unit}
+              digits={digits}
+            />
+          </div>
+
+          <div className="sidebar-section">
+            <div className="section-heading">FEA RESULTS</div>
+            <FeaPanel
+              fea={fea}
+              onChange={setFea}
+              onApply={loadStressState}
+              unit={unit}
+              digits={digits}
+            />
+          </div>
+
+          <div className="sidebar-section">
+            <div className="section-heading">LOAD HISTORY</div>
+            <HistoryPanel
+              history={history}
+              onChange={setHistory}
+              onApply={loadStressState}
+              unit={unit}
+            />
+          </div>
+
           <div className="sidebar-section">
             <div className="section-heading">PARAMETERS</div>
-            <ParameterSlider
-              label="Normal Stress X"
-              symbol="σₓ"
-              unit="MPa"
-              value={sigmaX.value}
-              min={sigmaX.min}
-              max={sigmaX.max}
-              step={sigmaX.step}
-              color="var(--sigma-color)"
-              onChange={p => update('sigmaX', p)}
+            <SegmentedControl options={QUANTITY_OPTIONS} value={quantity} onChange={setQuantity} />
+            {quantity === 'inertia' ? (
+              <SectionBuilder
+                section={section}
+                onChange={setSection}
+                result={sectionResult}
+                showAngle={showAngle}
+              />
+            ) : quantity === 'stress' ? (
+              <>
+                <ParameterSlider
+                  label="Normal Stress X"
+                  symbol="σₓ"
+                  unit={unit}
+                  digits={sliderDigits}
+                  value={sigmaX.value}
+                  min={sigmaX.min}
+                  max={sigmaX.max}
+                  step={sigmaX.step}
+                  color="var(--sigma-color)"
+                  onChange={p => update('sigmaX', p)}
+                />
+                <ParameterSlider
+                  label="Normal Stress Y"
+                  symbol="σᵧ"
+                  unit={unit}
+                  digits={sliderDigits}
+                  value={sigmaY.value}
+                  min={sigmaY.min}
+                  max={sigmaY.max}
+                  step={sigmaY.step}
+                  color="#7ecfa0"
+                  onChange={p => update('sigmaY', p)}
+                />
+                <ParameterSlider
+                  label="Shear Stress XY"
+                  symbol="τₓᵧ"
+                  unit={unit}
+                  digits={sliderDigits}
+                  value={tauXY.value}
+                  min={tauXY.min}
+                  max={tauXY.max}
+                  step={tauXY.step}
+                  color="var(--tau-color)"
+                  onChange={p => update('tauXY', p)}
+                />
+              </>
+            ) : (
+              <>
+                <ParameterSlider
+                  label="Normal Strain X"
+                  symbol="εₓ"
+                  unit="µε"
+                  value={epsX.value}
+                  min={epsX.min}
+                  max={epsX.max}
+                  step={epsX.step}
+                  color="var(--sigma-color)"
+                  onChange={p => updateStrain('epsX', p)}
+                />
+                <ParameterSlider
+                  label="Normal Strain Y"
+                  symbol="εᵧ"
+                  unit="µε"
+                  value={epsY.value}
+                  min={epsY.min}
+                  max={epsY.max}
+                  step={epsY.step}
+                  color="#7ecfa0"
+                  onChange={p => updateStrain('epsY', p)}
+                />
+                <ParameterSlider
+                  label="Shear Strain XY"
+                  symbol="γₓᵧ"
+                  unit="µε"
+                  value={gammaXY.value}
+                  min={gammaXY.min}
+                  max={gammaXY.max}
+                  step={gammaXY.step}
+                  color="var(--tau-color)"
+                  onChange={p => updateStrain('gammaXY', p)}
+                />
+              </>
+            )}
+          </div>
+
+          {quantity === 'stress' && (
+            <div className="sidebar-section">
+              <div className="section-heading">OUT-OF-PLANE</div>
+              {planeCondition === 'planeStrain' ? (
+                <div className="sidebar-note">
+                  σz = ν(σx + σy) = {stress.sigmaZ.toFixed(digits)} {unit} under plane strain
+                  — pick plane stress in Hooke&apos;s law to set it.
+                </div>
+              ) : (
+                <ParameterSlider
+                  label="Normal Stress Z"
+                  symbol="σz"
+                  unit={unit}
+                  digits={sliderDigits}
+                  value={sigmaZ.value}
+                  min={sigmaZ.min}
+                  max={sigmaZ.max}
+                  step={sigmaZ.step}
+                  color="#00897b"
+                  onChange={p => update('sigmaZ', p)}
+                />
+              )}
+              <ParameterSlider
+                label="Shear Stress YZ"
+                symbol="τyz"
+                unit={unit}
+                digits={sliderDigits}
+                value={tauYZ.value}
+                min={tauYZ.min}
+                max={tauYZ.max}
+                step={tauYZ.step}
+                color="#ad1457"
+                onChange={p => update('tauYZ', p)}
+              />
+              <ParameterSlider
+                label="Shear Stress ZX"
+                symbol="τzx"
+                unit={unit}
+                digits={sliderDigits}
+                value={tauZX.value}
+                min={tauZX.min}
+                max={tauZX.max}
+                step={tauZX.step}
+                color="#6d4c41"
+                onChange={p => update('tauZX', p)}
+              />
+            </div>
+          )}
+
+          <div className="sidebar-section">
+            <div className="section-heading">COMBINED LOADING</div>
+            <LoadingPanel
+              loading={loading}
+              onChange={setLoading}
+              onApply={loadStressState}
+              unit={unit}
+              digits={digits}
             />
-            <ParameterSlider
-              label="Normal Stress Y"
-              symbol="σᵧ"
-              unit="MPa"
-              value={sigmaY.value}
-              min={sigmaY.min}
-              max={sigmaY.max}
-              step={sigmaY.step}
-              color="#7ecfa0"
-              onChange={p => update('sigmaY', p)}
+          </div>
+
+          <div className="sidebar-section">
+            <div className="section-heading">HOOKE'S LAW</div>
+            <HookePanel
+              material={material}
+              onMaterialChange={setMaterial}
+              condition={planeCondition}
+              onConditionChange={setPlaneCondition}
+              quantity={elementQuantity}
+              stress={stress}
+              strain={strain}
+              showBoth={showBoth}
+              onShowBothChange={setShowBoth}
+              unit={unit}
+              digits={digits}
             />
-            <ParameterSlider
-              label="Shear Stress XY"
-              symbol="τₓᵧ"
-              unit="MPa"
-              value={tauXY.value}
-              min={tauXY.min}
-              max={tauXY.max}
-              step={tauXY.step}
-              color="var(--tau-color)"
-              onChange={p => update('tauXY', p)}
+          </div>
+
+          <div className="sidebar-section">
+            <div className="section-heading">STRAIN ROSETTE</div>
+            <RosettePanel
+              rosette={rosette}
+              onChange={setRosette}
+              material={material}
+              onApply={loadStressState}
+              unit={unit}
+              digits={digits}
+              showAngle={showAngle}
             />
           </div>
 
@@ -216,7 +1062,7 @@ export default function App() {
                 className="theta-range-slider"
                 min={-90} max={90} step={0.5}
                 value={theta}
-                onChange={e => setTheta(Number(e.target.value))}
+                onChange={e => changeTheta(Number(e.target.value))}
               />
               <div className="theta-row-labels">
                 <span className="theta-side-label">θ = {theta.toFixed(1)}°</span>
@@ -231,45 +1077,143 @@ export default function App() {
               <ThetaRangeControl
                 thetaMin={thetaMin}
                 thetaMax={thetaMax}
-                onChangeThetaMin={setThetaMin}
-                onChangeThetaMax={setThetaMax}
+                onChangeThetaMin={changeThetaMin}
+                onChangeThetaMax={changeThetaMax}
               />
             </div>
           )}
 
+          {/* in inertia mode the section builder lists I₁, I₂, Ixy and θp instead */}
+          {quantity !== 'inertia' && (
+            <div className="sidebar-section">
+              <div className="section-heading">DERIVED VALUES</div>
+              <div className="derived-grid">
+                <div className="derived-cell">
+                  <span className="derived-label">σ₁  (max principal)</span>
+                  <span className="derived-val derived-val--sigma">{sigma1.toFixed(digits)} <span className="derived-unit">{unit}</span></span>
+                </div>
+                <div className="derived-cell">
+                  <span className="derived-label">σ₂  (min principal)</span>
+                  <span className="derived-val derived-val--sigma2">{sigma2.toFixed(digits)} <span className="derived-unit">{unit}</span></span>
+                </div>
+                <div className="derived-cell">
+                  <span className="derived-label">τₘₐₓ  (max shear)</span>
+                  <span className="derived-val derived-val--tau">{tauMax.toFixed(digits)} <span className="derived-unit">{unit}</span></span>
+                </div>
+                <div className="derived-cell">
+                  <span className="derived-label">τ_abs  ((σ₁−σ₃)/2)</span>
+                  <span className="derived-val derived-val--tau">{shown3D.tauAbsMax.toFixed(digits)} <span className="derived-unit">{unit}</span></span>
+                </div>
+                <div className="derived-cell">
+                  <span className="derived-label">σₐᵥᵍ  (in-plane mean)</span>
+                  <span className="derived-val">{avg.toFixed(digits)} <span className="derived-unit">{unit}</span></span>
+                </div>
+                {principals && (
+                  <>
+                    <div className="derived-cell">
+                      <span className="derived-label">θ_p1  (principal)</span>
+                      <span className="derived-val derived-val--accent">{showAngle(principals[0]).toFixed(2)}°</span>
+                    </div>
+                    <div className="derived-cell">
+                      <span className="derived-label">θ_p2  (principal)</span>
+                      <span className="derived-val derived-val--accent">{showAngle(principals[1]).toFixed(2)}°</span>
+                    </div>
+                  </>
+                )}
+              </div>
+            </div>
+          )}
+
+          <div className="sidebar-section">
+            <div className="section-heading">LOAD CASES</div>
+            <LoadCasesPanel
+              loadCases={loadCases}
+              onChange={setLoadCases}
+              onLoad={loadStressState}
+              current={stress}
+              unit={unit}
+              digits={sliderDigits}
+              convention={convention}
+            />
+          </div>
+
+          <div className="sidebar-section">
+            <div className="section-heading">FATIGUE</div>
+            <FatiguePanel
+              fatigue={fatigue}
+              onChange={setFatigue}
+              analysis={fatigueAnalysis}
+              current={stress}
+              cases={loadCases.cases}
+              unit={unit}
+              digits={sliderDigits}
+            />
+          </div>
+
           <div className="sidebar-section">
-            <div className="section-heading">DERIVED VALUES</div>
+            <div className="section-heading">COMPOSITE LAMINA</div>
+            <LaminaPanel
+              lamina={lamina}
+              onChange={setLamina}
+              analysis={laminaAnalysis}
+              unit={unit}
+              digits={digits}
+            />
+          </div>
+
+          <div className="sidebar-section">
+            <div className="section-heading">GEOTECHNICAL</div>
+            <GeotechPanel
+              geotech={geotech}
+              onChange={setGeotech}
+              onToggle={toggleGeotech}
+              check={geoCheck}
+              unit={unit}
+              digits={digits}
+              showAngle={showAngle}
+            />
+          </div>
+
+          <div className="sidebar-section">
+            <div className="section-heading">3D PRINCIPAL STATE</div>
             <div className="derived-grid">
-              <div className="derived-cell">
-                <span className="derived-label">σ₁  (max principal)</span>
-                <span className="derived-val derived-val--sigma">{sigma1.toFixed(2)} <span className="derived-unit">MPa</span></span>
-              </div>
-              <div className="derived-cell">
-                <span className="derived-label">σ₂  (min principal)</span>
-                <span className="derived-val derived-val--sigma2">{sigma2.toFixed(2)} <span className="derived-unit">MPa</span></span>
-              </div>
-              <div className="derived-cell">
-                <span className="derived-label">τₘₐₓ  (max shear)</span>
-                <span className="derived-val derived-val--tau">{tauMax.toFixed(2)} <span className="derived-unit">MPa</span></span>
-              </div>
-              <div className="derived-cell">
-                <span className="derived-label">σₐᵥᵍ  (hydrostatic)</span>
-                <span className="derived-val">{avg.toFixed(2)} <span className="derived-unit">MPa</span></span>
-              </div>
-              {principals && (
-                <>
-                  <div className="derived-cell">
-                    <span className="derived-label">θ_p1  (principal)</span>
-                    <span className="derived-val derived-val--accent">{principals[0].toFixed(2)}°</span>
-                  </div>
-                  <div className="derived-cell">
-                    <span className="derived-label">θ_p2  (principal)</span>
-                    <span className="derived-val derived-val--accent">{principals[1].toFixed(2)}°</span>
+              {['σ₁', 'σ₂', 'σ₃'].map((label, i) => {
+                const value = [shown3D.sigma1, shown3D.sigma2, shown3D.sigma3][i];
+                const [l, m, n] = shown3D.directions[i];
+                return (
+                  <div className="derived-cell" key={label}>
+                    <span className="derived-label">
+                      {label}
+                      <span className="derived-cosines">l,m,n = {l.toFixed(3)}, {m.toFixed(3)}, {n.toFixed(3)}</span>
+                    </span>
+                    <span className="derived-val derived-val--sigma">{value.toFixed(digits)} <span className="derived-unit">{unit}</span></span>
                   </div>
-                </>
-              )}
+                );
+              })}
             </div>
           </div>
+
+          <div className="sidebar-section">
+            <div className="section-heading">INVARIANTS</div>
+            <InvariantsPanel
+              state={stress}
+              unit={unit}
+              digits={digits}
+              split={splitHydrostatic}
+              onSplitChange={setSplitHydrostatic}
+            />
+          </div>
+
+          <div className="sidebar-section">
+            <div className="section-heading">FAILURE CRITERIA</div>
+            <FailurePanel
+              strength={strength}
+              onStrengthChange={setStrength}
+              principal={principal3D}
+              unit={unit}
+              digits={digits}
+            />
+          </div>
         </aside>
       </div>
     </div>
@@ -1,15 +1,33 @@
 import { useRef, useEffect, useCallback } from 'react';
 import './BodyOrientation.css';
-
-const DEG2RAD = Math.PI / 180;
+import { DEG2RAD, transformStress, principalAngles } from '../lib/stress';
+import { quantityLabels, shearText } from '../lib/quantities';
+import { DEFAULT_CONVENTION, rotationSign, normalSign } from '../lib/convention';
+import { createSvgContext } from '../lib/svgCanvas';
+import ExportMenu from './ExportMenu';
 
 /**
  * Draws a rotated square element with stress arrows on each face.
- * sigmaX, sigmaY, tauXY  – reference-frame stresses (MPa)
- * theta                  – rotation angle in degrees
+ * sigmaX, sigmaY, tauXY  – reference-frame stresses, tension-positive
+ * theta                  – rotation angle in degrees, in the convention's sense
  * onThetaChange          – callback(newDegrees)
+ * quantity               – 'stress' | 'strain' (strain passes εx, εy, γxy/2)
+ * gauges                 – optional rosette gauge angles (degrees) to overlay
+ * unit, digits           – stress unit label and display precision
+ * convention             – sign convention (see lib/convention); arrows stay
+ *                          physical, the legend and θ sense follow it
+ * hydrostatic            – mean stress I₁/3; when given, normal arrows are split
+ *                          into this hydrostatic part and the deviatoric rest
+ * fibreAngle             – optional lamina fibre angle (degrees, same sense as θ),
+ *                          hatched across the element
+ * planes                 – optional plane traces (CCW degrees from x) to mark,
+ *                          e.g. the Mohr–Coulomb failure planes
  */
-export default function BodyOrientation({ sigmaX, sigmaY, tauXY, theta, onThetaChange }) {
+export default function BodyOrientation({
+  sigmaX, sigmaY, tauXY, theta, onThetaChange, quantity = 'stress', gauges = null, unit, digits = 1,
+  convention = DEFAULT_CONVENTION, hydrostatic = null, fibreAngle = null,
+  planes = null,
+}) {
   const canvasRef = useRef(null);
   // animated display value
   const displayThetaRef = useRef(theta);
@@ -18,7 +36,7 @@ export default function BodyOrientation({ sigmaX, sigmaY, tauXY, theta, onThetaC
 
   useEffect(() => { targetThetaRef.current = theta; }, [theta]);
 
-  const draw = useCallback(() => {
+  const draw = useCallback(function draw() {
     const canvas = canvasRef.current;
     if (!canvas) return;
 
@@ -39,103 +57,12 @@ export default function BodyOrientation({ sigmaX, sigmaY, tauXY, theta, onThetaC
     ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
     ctx.clearRect(0, 0, W, H);
 
-    const cx = W / 2;
-    const cy = H / 2;
-    const side = Math.min(W, H) * 0.3;
-    const rad = displayThetaRef.current * DEG2RAD;
-
-    // ── compute transformed stresses ──────────────────────────────────────
-    const avg  = (sigmaX + sigmaY) / 2;
-    const diff = (sigmaX - sigmaY) / 2;
-    const sigma_x_prime = avg + diff * Math.cos(2 * rad) + tauXY * Math.sin(2 * rad);
-    const sigma_y_prime = avg - diff * Math.cos(2 * rad) - tauXY * Math.sin(2 * rad);
-    const tau_prime     = -diff * Math.sin(2 * rad) + tauXY * Math.cos(2 * rad);
-
-    // ── reference axes (light dashed) ────────────────────────────────────
-    ctx.save();
-    ctx.setLineDash([5, 6]);
-    ctx.strokeStyle = 'rgba(0,60,140,0.15)';
-    ctx.lineWidth = 1;
-    ctx.beginPath(); ctx.moveTo(cx - W * 0.45, cy); ctx.lineTo(cx + W * 0.45, cy); ctx.stroke();
-    ctx.beginPath(); ctx.moveTo(cx, cy - H * 0.45); ctx.lineTo(cx, cy + H * 0.45); ctx.stroke();
-    ctx.restore();
-
-    // ── rotated coordinate axes ────────────────────────────────────────────
-    const axisLen = side * 0.85;
-    drawAxis(ctx, cx, cy, rad, axisLen, '#1565c0', "x′");
-    drawAxis(ctx, cx, cy, rad + Math.PI / 2, axisLen, '#1565c0', "y′");
-
-    // ── square body ───────────────────────────────────────────────────────
-    ctx.save();
-    ctx.translate(cx, cy);
-    ctx.rotate(rad);
-
-    // fill
-    ctx.fillStyle = 'rgba(21,101,192,0.06)';
-    ctx.strokeStyle = '#1565c0';
-    ctx.lineWidth = 2;
-    ctx.beginPath();
-    ctx.rect(-side / 2, -side / 2, side, side);
-    ctx.fill();
-    ctx.stroke();
-
-    // ── stress arrows on each face ────────────────────────────────────────
-    const maxStress = Math.max(
-      Math.abs(sigma_x_prime),
-      Math.abs(sigma_y_prime),
-      Math.abs(tau_prime),
-      1
-    );
-    const arrowScale = (side * 0.55) / maxStress;
-
-    const SIGMA_COLOR = '#1565c0';
-    const TAU_COLOR   = '#c62828';
-    const MID = side / 2;
-
-    // RIGHT face: σ_x′ (normal, horizontal in rotated frame) + τ (shear, vertical)
-    drawNormalArrow(ctx, MID, 0, sigma_x_prime, arrowScale, SIGMA_COLOR, true);
-    drawShearArrow(ctx, MID, 0, tau_prime, arrowScale, TAU_COLOR, true);
-
-    // LEFT face: −σ_x′ (reaction)
-    drawNormalArrow(ctx, -MID, 0, -sigma_x_prime, arrowScale, SIGMA_COLOR, true);
-    drawShearArrow(ctx, -MID, 0, -tau_prime, arrowScale, TAU_COLOR, true);
-
-    // TOP face: σ_y′ (normal, vertical) + τ
-    drawNormalArrow(ctx, 0, -MID, sigma_y_prime, arrowScale, SIGMA_COLOR, false);
-    drawShearArrow(ctx, 0, -MID, -tau_prime, arrowScale, TAU_COLOR, false);
-
-    // BOTTOM face: −σ_y′
-    drawNormalArrow(ctx, 0, MID, -sigma_y_prime, arrowScale, SIGMA_COLOR, false);
-    drawShearArrow(ctx, 0, MID, tau_prime, arrowScale, TAU_COLOR, false);
-
-    ctx.restore();
-
-    // ── theta label ───────────────────────────────────────────────────────
-    ctx.save();
-    ctx.font = `bold 13px 'JetBrains Mono', monospace`;
-    ctx.fillStyle = '#ffdd00';
-    ctx.textAlign = 'center';
-    ctx.fillText(`θ = ${displayThetaRef.current.toFixed(1)}°`, cx, H - 14);
-    ctx.restore();
-
-    // ── stress value legend (bottom-left) ─────────────────────────────────
-    const lx = 14, ly = H - 66;
-    ctx.save();
-    ctx.font = `11px 'JetBrains Mono', monospace`;
-
-    const lines = [
-      { color: '#00cfff', text: `σx′ = ${sigma_x_prime.toFixed(1)} MPa` },
-      { color: '#00ff9f', text: `σy′ = ${sigma_y_prime.toFixed(1)} MPa` },
-      { color: '#ff4d6d', text: `τx′y′ = ${tau_prime.toFixed(1)} MPa`  },
-    ];
-    lines.forEach(({ color, text }, i) => {
-      ctx.fillStyle = color;
-      ctx.fillText(text, lx + ctx.measureText(text).width / 2, ly + i * 16);
+    paintElement(ctx, W, H, displayThetaRef.current, {
+      sigmaX, sigmaY, tauXY, quantity, gauges, unit, digits, convention, hydrostatic, fibreAngle, planes,
     });
-    ctx.restore();
 
     animRef.current = requestAnimationFrame(draw);
-  }, [sigmaX, sigmaY, tauXY]);
+  }, [sigmaX, sigmaY, tauXY, quantity, gauges, unit, digits, convention, hydrostatic, fibreAngle, planes]);
 
   // restart loop when stress params change
   useEffect(() => {
@@ -161,10 +88,23 @@ export default function BodyOrientation({ sigmaX, sigmaY, tauXY, theta, onThetaC
 
   const handleMouseUp = useCallback(() => { dragStart.current = null; }, []);
 
+  // exports redraw at the set θ (not mid-animation) through the SVG recorder
+  const getFigure = (measure) => {
+    const canvas = canvasRef.current;
+    const W = canvas.clientWidth;
+    const H = canvas.clientHeight;
+    const ctx = createSvgContext(W, H, measure);
+    paintElement(ctx, W, H, theta, {
+      sigmaX, sigmaY, tauXY, quantity, gauges, unit, digits, convention, hydrostatic, fibreAngle, planes,
+    });
+    return { svg: ctx.markup(), width: W, height: H };
+  };
+
   return (
     <div className="body-orientation">
       <div className="bo-topbar">
         <span className="bo-label">ELEMENT ORIENTATION</span>
+        <ExportMenu name="element-orientation" title="Element orientation" getFigure={getFigure} />
         <span className="bo-hint">drag to rotate</span>
       </div>
       <canvas
@@ -191,8 +131,194 @@ export default function BodyOrientation({ sigmaX, sigmaY, tauXY, theta, onThetaC
   );
 }
 
+// ── drawing ──────────────────────────────────────────────────────────────────
+
+/**
+ * Paint the element at rotation `theta` onto a W × H canvas context, or onto
+ * the SVG recorder (lib/svgCanvas) for export. `figure` holds the component's
+ * drawing props.
+ */
+function paintElement(ctx, W, H, theta, {
+  sigmaX, sigmaY, tauXY, quantity, gauges, unit, digits, convention, hydrostatic, fibreAngle, planes,
+}) {
+  const cx = W / 2;
+  const cy = H / 2;
+  const side = Math.min(W, H) * 0.3;
+  // physical CCW angle; the canvas y axis points down, so screen angles are −rad
+  const rot = rotationSign(convention);
+  const psi = rot * theta;
+  const rad = psi * DEG2RAD;
+
+  // ── compute transformed stresses ──────────────────────────────────────
+  const {
+    sigmaX: sigma_x_prime,
+    sigmaY: sigma_y_prime,
+    tauXY:  tau_prime,
+  } = transformStress(sigmaX, sigmaY, tauXY, psi);
+
+  // ── reference axes (light dashed) ────────────────────────────────────
+  ctx.save();
+  ctx.setLineDash([5, 6]);
+  ctx.strokeStyle = 'rgba(0,60,140,0.15)';
+  ctx.lineWidth = 1;
+  ctx.beginPath(); ctx.moveTo(cx - W * 0.45, cy); ctx.lineTo(cx + W * 0.45, cy); ctx.stroke();
+  ctx.beginPath(); ctx.moveTo(cx, cy - H * 0.45); ctx.lineTo(cx, cy + H * 0.45); ctx.stroke();
+  ctx.restore();
+
+  // ── rotated coordinate axes ────────────────────────────────────────────
+  const axisLen = side * 0.85;
+  drawAxis(ctx, cx, cy, -rad, axisLen, '#1565c0', "x′");
+  drawAxis(ctx, cx, cy, -rad - Math.PI / 2, axisLen, '#1565c0', "y′");
+
+  // ── square body (local frame: x′ right, y′ up) ────────────────────────
+  ctx.save();
+  ctx.translate(cx, cy);
+  ctx.rotate(-rad);
+  ctx.scale(1, -1);
+
+  // fill
+  ctx.fillStyle = 'rgba(21,101,192,0.06)';
+  ctx.strokeStyle = '#1565c0';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.rect(-side / 2, -side / 2, side, side);
+  ctx.fill();
+  ctx.stroke();
+
+  // fibres are fixed in the material, so they turn against the element
+  if (fibreAngle !== null) {
+    drawFibres(ctx, side, (rot * fibreAngle - psi) * DEG2RAD);
+  }
+
+  // ── stress arrows on each face ────────────────────────────────────────
+  // with a hydrostatic split the blue normal arrows carry only σ′ − σm
+  const split = hydrostatic !== null;
+  const mean = split ? hydrostatic : 0;
+  const nX = sigma_x_prime - mean;
+  const nY = sigma_y_prime - mean;
+  const maxStress = Math.max(
+    Math.abs(nX),
+    Math.abs(nY),
+    Math.abs(tau_prime),
+    Math.abs(mean),
+  ) || 1;
+  const arrowScale = (side * 0.55) / maxStress;
+
+  const SIGMA_COLOR = '#1565c0';
+  const TAU_COLOR   = '#c62828';
+  const HYDRO_COLOR = '#00897b';
+  const MID = side / 2;
+
+  // RIGHT face: σ_x′ (normal, horizontal in rotated frame) + τ (shear, vertical)
+  drawNormalArrow(ctx, MID, 0, nX, arrowScale, SIGMA_COLOR, true);
+  drawShearArrow(ctx, MID, 0, tau_prime, arrowScale, TAU_COLOR, true);
+
+  // LEFT face: −σ_x′ (reaction)
+  drawNormalArrow(ctx, -MID, 0, -nX, arrowScale, SIGMA_COLOR, true);
+  drawShearArrow(ctx, -MID, 0, -tau_prime, arrowScale, TAU_COLOR, true);
+
+  // BOTTOM face (−y′): σ_y′ (normal, vertical) + τ
+  drawNormalArrow(ctx, 0, -MID, nY, arrowScale, SIGMA_COLOR, false);
+  drawShearArrow(ctx, 0, -MID, -tau_prime, arrowScale, TAU_COLOR, false);
+
+  // TOP face (+y′): −σ_y′
+  drawNormalArrow(ctx, 0, MID, -nY, arrowScale, SIGMA_COLOR, false);
+  drawShearArrow(ctx, 0, MID, tau_prime, arrowScale, TAU_COLOR, false);
+
+  // hydrostatic σm: equal on every face, drawn beside the deviatoric arrow
+  if (split) {
+    const off = side * 0.3;
+    drawNormalArrow(ctx,  MID, off,  mean, arrowScale, HYDRO_COLOR, true);
+    drawNormalArrow(ctx, -MID, off, -mean, arrowScale, HYDRO_COLOR, true);
+    drawNormalArrow(ctx, off, -MID,  mean, arrowScale, HYDRO_COLOR, false);
+    drawNormalArrow(ctx, off,  MID, -mean, arrowScale, HYDRO_COLOR, false);
+  }
+
+  ctx.restore();
+
+  // ── rosette gauges + principal direction (fixed x-y frame) ────────────
+  if (gauges) {
+    const reach = side * 1.1;
+    const principal = principalAngles(sigmaX, sigmaY, tauXY);
+    if (principal) {
+      drawDirection(ctx, cx, cy, -principal[0] * DEG2RAD, reach, '#1b5e20', 'p1', [2, 4]);
+    }
+    gauges.forEach((phi, i) => {
+      drawDirection(ctx, cx, cy, -phi * DEG2RAD, reach, '#e65c00', 'abc'[i], []);
+    });
+  }
+
+  // ── marked planes (fixed x-y frame) ───────────────────────────────────
+  if (planes) {
+    planes.forEach((a, i) => {
+      drawDirection(ctx, cx, cy, -a * DEG2RAD, side * 1.25, '#d84315', `F${i + 1}`, [9, 5]);
+    });
+  }
+
+  // ── theta label ───────────────────────────────────────────────────────
+  ctx.save();
+  ctx.font = `bold 13px 'JetBrains Mono', monospace`;
+  ctx.fillStyle = '#ffdd00';
+  ctx.textAlign = 'center';
+  ctx.fillText(`θ = ${theta.toFixed(1)}° ${rot > 0 ? 'CCW' : 'CW'}`, cx, H - 14);
+  ctx.restore();
+
+  // ── stress value legend (bottom-left) ─────────────────────────────────
+  ctx.save();
+  ctx.font = `11px 'JetBrains Mono', monospace`;
+
+  const Q = quantityLabels(quantity, unit);
+  const k = normalSign(convention);
+  const lines = [
+    { color: '#00cfff', text: `${Q.normal}x′ = ${(k * sigma_x_prime).toFixed(digits)} ${Q.unit}` },
+    { color: '#00ff9f', text: `${Q.normal}y′ = ${(k * sigma_y_prime).toFixed(digits)} ${Q.unit}` },
+    { color: '#ff4d6d', text: `${shearText(Q, 'x′y′')} = ${(k * tau_prime).toFixed(digits)} ${Q.unit}`  },
+  ];
+  if (fibreAngle !== null) {
+    lines.push({ color: FIBRE_COLOR, text: `fibres φ = ${fibreAngle.toFixed(1)}°` });
+  }
+  if (split) {
+    lines.push({ color: HYDRO_COLOR, text: `${Q.normal}m = ${(k * mean).toFixed(digits)} ${Q.unit} (hydrostatic)` });
+  }
+  const lx = 14, ly = H - 34 - (lines.length - 1) * 16;
+  lines.forEach(({ color, text }, i) => {
+    ctx.fillStyle = color;
+    ctx.fillText(text, lx + ctx.measureText(text).width / 2, ly + i * 16);
+  });
+  ctx.restore();
+}
+
 // ── helpers ──────────────────────────────────────────────────────────────────
 
+const FIBRE_COLOR = '#8d6e63';
+
+/**
+ * Parallel fibre lines clipped to the element square; called in the element's
+ * local frame (y′ up) with the fibre angle measured from x′ in radians.
+ */
+function drawFibres(ctx, side, angle) {
+  const h = side / 2;
+  const gap = side / 9;
+  const ux = Math.cos(angle), uy = Math.sin(angle);
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(-h, -h, side, side);
+  ctx.clip();
+  ctx.strokeStyle = FIBRE_COLOR;
+  ctx.globalAlpha = 0.55;
+  ctx.lineWidth = 1.2;
+  ctx.setLineDash([]);
+  for (let k = -5; k <= 5; k++) {
+    // offset along the normal (−uy, ux); lines long enough to cross the square
+    const ox = -uy * k * gap, oy = ux * k * gap;
+    ctx.beginPath();
+    ctx.moveTo(ox - ux * side, oy - uy * side);
+    ctx.lineTo(ox + ux * side, oy + uy * side);
+    ctx.stroke();
+  }
+  ctx.restore();
+}
+
 function arrowHead(ctx, x, y, angle, size, color) {
   ctx.save();
   ctx.translate(x, y);
@@ -210,7 +336,7 @@ function arrowHead(ctx, x, y, angle, size, color) {
 /**
  * Normal arrow: perpendicular to the face (tension = away, compression = inward).
  * isHorizontalFace = true  → face is vertical (right/left), arrow along x-axis of rotated frame
- * isHorizontalFace = false → face is horizontal (top/bottom), arrow along y-axis
+ * isHorizontalFace = false → face is horizontal (−y′/+y′), arrow along y-axis
  */
 function drawNormalArrow(ctx, fx, fy, sigma, scale, color, isHorizontalFace) {
   const len = sigma * scale;
@@ -227,7 +353,7 @@ function drawNormalArrow(ctx, fx, fy, sigma, scale, color, isHorizontalFace) {
     ey = fy;
     angle = len >= 0 ? 0 : Math.PI;
   } else {
-    // top face: arrow goes -y direction for tension (upward in canvas = negative y)
+    // −y′ face: arrow goes further −y for tension
     ex = fx;
     ey = fy - len;
     angle = len >= 0 ? -Math.PI / 2 : Math.PI / 2;
@@ -300,3 +426,29 @@ function drawAxis(ctx, cx, cy, angle, len, color, label) {
   ctx.fillText(label, lx, ly);
   ctx.restore();
 }
+
+/**
+ * Full-length direction line through the element centre (rosette gauge or
+ * principal axis); angle is in screen radians, like the x′ axis.
+ */
+function drawDirection(ctx, cx, cy, angle, len, color, label, dash) {
+  const dx = Math.cos(angle) * len;
+  const dy = Math.sin(angle) * len;
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.fillStyle   = color;
+  ctx.lineWidth = 2;
+  ctx.globalAlpha = 0.8;
+  ctx.setLineDash(dash);
+  ctx.beginPath();
+  ctx.moveTo(cx - dx, cy - dy);
+  ctx.lineTo(cx + dx, cy + dy);
+  ctx.stroke();
+
+  ctx.setLineDash([]);
+  ctx.font = `bold 11px 'JetBrains Mono', monospace`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(label, cx + dx * 1.12, cy + dy * 1.12);
+  ctx.restore();
+}
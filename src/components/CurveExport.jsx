@@ -0,0 +1,50 @@
+import { useState } from 'react';
+import NumberField from './NumberField';
+import { MIN_STEP, curveData, curvesToCsv, curvesToJson, sampleThetas } from '../lib/curveExport';
+import { download } from '../lib/download';
+import './CurveExport.css';
+
+const FORMATS = {
+  csv:  { write: curvesToCsv,  type: 'text/csv' },
+  json: { write: curvesToJson, type: 'application/json' },
+};
+
+/**
+ * Download the σ–θ curves at a chosen θ step, as CSV or JSON, with the
+ * derived values in a metadata block (see lib/curveExport).
+ * state – { sigmaX, sigmaY, tauXY } as passed to the graph
+ */
+export default function CurveExport({ state, thetaMin, thetaMax, quantity, unit, convention }) {
+  const [step, setStep] = useState(1);
+  const span = thetaMax - thetaMin;
+  const samples = span > 0 ? sampleThetas(thetaMin, thetaMax, Math.min(step, span)).length : 0;
+
+  const exportFile = (format) => {
+    const data = curveData(state, {
+      thetaMin, thetaMax, step: Math.min(step, span), quantity, unit, convention,
+    });
+    if (!data) return;
+    const { write, type } = FORMATS[format];
+    download(new Blob([write(data)], { type }), `${quantity}-theta-curves.${format}`);
+  };
+
+  return (
+    <div className="curve-export">
+      <span className="curve-export-label">Data</span>
+      <div className="curve-export-step">
+        <NumberField label="Step" symbol="Δθ" unit="°" value={step} onChange={setStep} min={MIN_STEP} max={90} />
+      </div>
+      <span className="curve-export-count">{samples} rows</span>
+      {Object.keys(FORMATS).map(format => (
+        <button
+          key={format}
+          className="preset-btn curve-export-btn"
+          disabled={!samples}
+          onClick={() => exportFile(format)}
+        >
+          {format.toUpperCase()}
+        </button>
+      ))}
+    </div>
+  );
+}
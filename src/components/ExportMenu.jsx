@@ -0,0 +1,56 @@
+import { useState } from 'react';
+import { EXPORT_FORMATS, PNG_SCALE, exportFigure } from '../lib/figureExport';
+import './ExportMenu.css';
+
+const FORMAT_TITLES = {
+  svg: 'Standalone SVG with the fonts embedded',
+  png: `PNG at ${PNG_SCALE}× resolution`,
+  pdf: 'Vector PDF with the fonts embedded',
+};
+
+/**
+ * SVG / PNG / PDF download buttons for a figure, with a transparent-background
+ * option.
+ * getFigure – (measure) → { svg, width, height } (see lib/figureExport)
+ * name      – file name without the extension
+ * title     – document title written into the PDF
+ */
+export default function ExportMenu({ getFigure, name, title = null }) {
+  const [transparent, setTransparent] = useState(false);
+  const [busy, setBusy] = useState(null); // format being written
+  const [error, setError] = useState(null);
+
+  const run = async (format) => {
+    setBusy(format);
+    setError(null);
+    try {
+      await exportFigure(getFigure, { format, name, transparent, title });
+    } catch (e) {
+      setError(e.message || 'Export failed');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div className="export-menu">
+      <span className="export-label">Export</span>
+      {EXPORT_FORMATS.map(format => (
+        <button
+          key={format}
+          className="export-btn"
+          title={FORMAT_TITLES[format]}
+          disabled={busy !== null}
+          onClick={() => run(format)}
+        >
+          {busy === format ? '…' : format.toUpperCase()}
+        </button>
+      ))}
+      <label className="export-transparent" title="Leave the background transparent instead of white">
+        <input type="checkbox" checked={transparent} onChange={e => setTransparent(e.target.checked)} />
+        Transparent
+      </label>
+      {error && <span className="export-error" title={error}>⚠</span>}
+    </div>
+  );
+}
@@ -0,0 +1,165 @@
+import { useMemo } from 'react';
+import './FailureEnvelope.css';
+import { evaluateCriteria } from '../lib/failure';
+
+/* ─── helpers ───────────────────────────────────────────────────── */
+const fmt = (v, d = 1) => (Number.isFinite(v) ? v.toFixed(d) : '∞');
+
+const ENVELOPES = [
+  { key: 'vonMises',    name: 'von Mises',    color: '#1565c0' },
+  { key: 'tresca',      name: 'Tresca',       color: '#6a1b9a' },
+  { key: 'coulombMohr', name: 'Coulomb–Mohr', color: '#e65c00' },
+];
+
+/** von Mises ellipse σA² − σAσB + σB² = S² as a closed polyline. */
+function vonMisesPoints(S, n = 180) {
+  const pts = [];
+  for (let i = 0; i < n; i++) {
+    const t = (i / n) * 2 * Math.PI;
+    const c = Math.cos(t), s = Math.sin(t);
+    const r = S / Math.sqrt(c * c - c * s + s * s);
+    pts.push([r * c, r * s]);
+  }
+  return pts;
+}
+
+/** Hexagon shared by Tresca (St = Sc) and Coulomb–Mohr. */
+function hexagonPoints(St, Sc) {
+  return [[St, 0], [St, St], [0, St], [-Sc, 0], [-Sc, -Sc], [0, -Sc]];
+}
+
+/* ─── main component ────────────────────────────────────────── */
+/**
+ * Plane-stress failure envelopes in σ1–σ2 space with the proportional load line.
+ * sigma1, sigma2 – in-plane principal stresses (in `unit`)
+ * strength       – { Sy, Sut, Suc, separate } as in FailurePanel
+ * outOfPlane     – true when σz, τyz or τzx is non-zero: the envelope ignores
+ *                  them, so its n can differ from the 3D values in FailurePanel
+ */
+export default function FailureEnvelope({ sigma1, sigma2, strength, unit = 'MPa', digits = 1, outOfPlane = false }) {
+  const { Sy, separate } = strength;
+  const Sut = separate ? strength.Sut : Sy;
+  const Suc = separate ? strength.Suc : Sy;
+
+  // plane stress: the third principal stress is zero
+  const crossings = useMemo(() => {
+    const [p1, p2, p3] = [sigma1, sigma2, 0].sort((a, b) => b - a);
+    const { results } = evaluateCriteria({ sigma1: p1, sigma2: p2, sigma3: p3 }, { Sy, Sut, Suc });
+    return ENVELOPES.map(e => {
+      const fs = results.find(r => r.key === e.key).fs;
+      return { ...e, fs, point: Number.isFinite(fs) ? [sigma1 * fs, sigma2 * fs] : null };
+    });
+  }, [sigma1, sigma2, Sy, Sut, Suc]);
+
+  const shapes = {
+    vonMises:    vonMisesPoints(Sy),
+    tresca:      hexagonPoints(Sy, Sy),
+    coulombMohr: hexagonPoints(Sut, Suc),
+  };
+
+  // ── SVG coordinate mapping ──
+  const W = 900;
+  const H = 820;
+  const cx = W / 2;
+  const cy = H / 2;
+  const extent = (Math.max(Sy, Sut, Suc, Math.abs(sigma1), Math.abs(sigma2)) || 1) * 1.15;
+  const scale = (Math.min(W, H) / 2 - 60) / extent;
+  const toX = (v) => cx + v * scale;
+  const toY = (v) => cy - v * scale;
+  const poly = (pts) => pts.map(([a, b]) => `${toX(a).toFixed(1)},${toY(b).toFixed(1)}`).join(' ');
+
+  // load line runs from the origin past the farthest envelope crossing
+  const reach = Math.max(1, ...crossings.filter(c => c.point).map(c => c.fs)) * 1.08;
+  const loaded = Math.abs(sigma1) > 1e-9 || Math.abs(sigma2) > 1e-9;
+
+  // grid ticks
+  const tickStep = (() => {
+    const raw = extent / 4;
+    const exp = Math.pow(10, Math.floor(Math.log10(raw)));
+    return ([1, 2, 5, 10].find(f => f * exp >= raw) || 10) * exp;
+  })();
+  const ticks = [];
+  for (let v = -Math.floor(extent / tickStep) * tickStep; v <= extent; v += tickStep) {
+    ticks.push(+v.toPrecision(4));
+  }
+
+  return (
+    <div className="env-wrap">
+      <svg viewBox={`0 0 ${W} ${H}`} className="env-svg" aria-label="Failure envelopes">
+        <defs>
+          <marker id="arrowEnv" markerWidth="9" markerHeight="9" refX="7" refY="3.5" orient="auto">
+            <path d="M0,0 L0,7 L9,3.5 z" fill="#1a3a6e" />
+          </marker>
+        </defs>
+
+        {/* ── grid + tick labels ── */}
+        {ticks.map(v => (
+          <g key={v}>
+            <line x1={toX(v)} y1={toY(-extent)} x2={toX(v)} y2={toY(extent)} stroke="rgba(0,80,160,0.12)" />
+            <line x1={toX(-extent)} y1={toY(v)} x2={toX(extent)} y2={toY(v)} stroke="rgba(0,80,160,0.12)" />
+            {v !== 0 && (
+              <>
+                <text x={toX(v)} y={cy + 18} className="env-tick" textAnchor="middle">{v}</text>
+                <text x={cx - 8} y={toY(v) + 4} className="env-tick" textAnchor="end">{v}</text>
+              </>
+            )}
+          </g>
+        ))}
+
+        {/* ── axes ── */}
+        <line x1={toX(-extent)} y1={cy} x2={toX(extent)} y2={cy}
+          stroke="#1a3a6e" strokeWidth="2.5" markerEnd="url(#arrowEnv)" />
+        <line x1={cx} y1={toY(-extent)} x2={cx} y2={toY(extent)}
+          stroke="#1a3a6e" strokeWidth="2.5" markerEnd="url(#arrowEnv)" />
+        <text x={toX(extent) - 6} y={cy - 14} className="env-axis-title" textAnchor="end">σ₁ ({unit})</text>
+        <text x={cx + 12} y={toY(extent) + 16} className="env-axis-title">σ₂ ({unit})</text>
+
+        {/* ── envelopes ── */}
+        {ENVELOPES.map(e => (
+          <polygon key={e.key} points={poly(shapes[e.key])}
+            fill={e.color} fillOpacity="0.05" stroke={e.color} strokeWidth="2.5"
+            strokeDasharray={e.key === 'tresca' ? '8,5' : undefined} />
+        ))}
+
+        {/* ── proportional load line + crossings ── */}
+        {loaded && (
+          <>
+            <line x1={cx} y1={cy} x2={toX(sigma1 * reach)} y2={toY(sigma2 * reach)}
+              stroke="#37474f" strokeWidth="1.5" strokeDasharray="6,4" />
+            {crossings.filter(c => c.point).map(c => (
+              <g key={c.key}>
+                <circle cx={toX(c.point[0])} cy={toY(c.point[1])} r={6}
+                  fill="white" stroke={c.color} strokeWidth="3" />
+                <text x={toX(c.point[0]) + 10} y={toY(c.point[1]) - 8} fill={c.color}
+                  className="env-label">n={fmt(c.fs, 2)}</text>
+              </g>
+            ))}
+          </>
+        )}
+
+        {/* ── current state ── */}
+        <circle cx={toX(sigma1)} cy={toY(sigma2)} r={9} fill="#c62828" stroke="#fff" strokeWidth="2" />
+        <text x={toX(sigma1) + 14} y={toY(sigma2) + 20} fill="#c62828" className="env-label">
+          ({fmt(sigma1, digits)}, {fmt(sigma2, digits)})
+        </text>
+      </svg>
+
+      {outOfPlane && (
+        <div className="env-warning">
+          Plane-stress view: σz, τyz and τzx are ignored here (σ₃ = 0). The Failure Criteria panel uses the full 3D state.
+        </div>
+      )}
+
+      {/* ── readout panel ── */}
+      <div className="env-readout">
+        {crossings.map(c => (
+          <div className="env-readout-cell" key={c.key}>
+            <span className="env-readout-dot" style={{ background: c.color }} />
+            <span className="env-readout-name">{c.name}</span>
+            <span className="env-readout-val" style={{ color: c.color }}>n = {fmt(c.fs, 2)}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
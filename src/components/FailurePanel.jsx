@@ -0,0 +1,54 @@
+import NumberField from './NumberField';
+import { evaluateCriteria } from '../lib/failure';
+import './FailurePanel.css';
+
+const fmtFS = (n) => (Number.isFinite(n) ? n.toFixed(2) : '∞');
+
+/**
+ * Strength inputs + factor of safety for every static failure criterion.
+ * strength  – { Sy, Sut, Suc, separate } in `unit`; when !separate, Sut = Suc = Sy
+ * principal – { sigma1, sigma2, sigma3 } 3D principal stresses (same unit)
+ */
+export default function FailurePanel({ strength, onStrengthChange, principal, unit, digits }) {
+  const { Sy, separate } = strength;
+  const effective = separate ? strength : { ...strength, Sut: Sy, Suc: Sy };
+  const { results, governing } = evaluateCriteria(principal, effective);
+  const set = (patch) => onStrengthChange({ ...strength, ...patch });
+
+  return (
+    <div className="failure-panel">
+      <NumberField label="Yield strength" symbol="Sy" unit={unit} value={Sy} min={1e-6}
+        onChange={v => set({ Sy: v })} />
+      <label className="failure-separate">
+        <input type="checkbox" checked={separate} onChange={e => set({ separate: e.target.checked })} />
+        Separate tensile / compressive strengths
+      </label>
+      {separate && (
+        <>
+          <NumberField label="Tensile strength" symbol="Sut" unit={unit} value={strength.Sut} min={1e-6}
+            onChange={v => set({ Sut: v })} />
+          <NumberField label="Compressive strength" symbol="Suc" unit={unit} value={strength.Suc} min={1e-6}
+            onChange={v => set({ Suc: v })} />
+        </>
+      )}
+
+      <div className="failure-table">
+        <div className="failure-row failure-row--head">
+          <span>Criterion</span>
+          <span>σ<sub>eq</sub></span>
+          <span>n</span>
+        </div>
+        {results.map(r => (
+          <div
+            key={r.key}
+            className={`failure-row${r.key === governing ? ' failure-row--governing' : ''}${r.fs < 1 ? ' failure-row--failed' : ''}`}
+          >
+            <span className="failure-name">{r.name}</span>
+            <span className="failure-eq">{r.equivalent.toFixed(digits)} <span className="derived-unit">{unit}</span></span>
+            <span className="failure-fs">{fmtFS(r.fs)}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
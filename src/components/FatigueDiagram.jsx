@@ -0,0 +1,137 @@
+import './FatigueDiagram.css';
+import { FATIGUE_CRITERIA, LANGER } from '../lib/fatigue';
+
+/* ─── helpers ───────────────────────────────────────────────────── */
+const fmt = (v, d = 1) => (Number.isFinite(v) ? v.toFixed(d) : '∞');
+
+function niceStep(extent, count) {
+  const raw = extent / count;
+  const exp = Math.pow(10, Math.floor(Math.log10(raw)));
+  return ([1, 2, 5, 10].find(f => f * exp >= raw) || 10) * exp;
+}
+
+/* ─── main component ────────────────────────────────────────── */
+/**
+ * Mean–alternating (Haigh) diagram with the fatigue loci, the Langer yield
+ * line and the load line through the origin.
+ * sigmaA, sigmaM – von Mises alternating and mean stresses (in `unit`)
+ * strength       – { Sut, Sy, Se }
+ * results        – evaluateFatigue(…).results, for the load-line crossings
+ */
+export default function FatigueDiagram({ sigmaA, sigmaM, strength, results, unit = 'MPa', digits = 1 }) {
+  const { Sut, Sy, Se } = strength;
+
+  // ── SVG coordinate mapping: independent scales, σm runs to past Sut ──
+  const W = 900;
+  const H = 820;
+  const padL = 90, padR = 50, padT = 50, padB = 80;
+  const xMax = Math.max(Sut, Sy, sigmaM) * 1.1 || 1;
+  const yMax = Math.max(Se, Sy, sigmaA) * 1.1 || 1;
+  const toX = (v) => padL + (v / xMax) * (W - padL - padR);
+  const toY = (v) => H - padB - (v / yMax) * (H - padT - padB);
+
+  const locus = (c) => {
+    const end = c.limit(strength);
+    return Array.from({ length: 81 }, (_, i) => {
+      const m = (end * i) / 80;
+      return `${toX(m).toFixed(1)},${toY(c.curve(m, strength)).toFixed(1)}`;
+    }).join(' ');
+  };
+
+  // load line runs from the origin past the farthest crossing
+  const crossings = results.filter(r => r.point);
+  const reach = Math.min(
+    Math.max(1, ...crossings.map(r => r.fs)) * 1.08,
+    xMax / Math.max(sigmaM, 1e-12), yMax / Math.max(sigmaA, 1e-12),
+  );
+  const loaded = sigmaA + sigmaM > 1e-9;
+
+  const xStep = niceStep(xMax, 6), yStep = niceStep(yMax, 6);
+  const xTicks = [], yTicks = [];
+  for (let v = xStep; v < xMax; v += xStep) xTicks.push(+v.toPrecision(4));
+  for (let v = yStep; v < yMax; v += yStep) yTicks.push(+v.toPrecision(4));
+
+  return (
+    <div className="fat-wrap">
+      <svg viewBox={`0 0 ${W} ${H}`} className="fat-svg" aria-label="Fatigue diagram">
+        <defs>
+          <marker id="arrowFat" markerWidth="9" markerHeight="9" refX="7" refY="3.5" orient="auto">
+            <path d="M0,0 L0,7 L9,3.5 z" fill="#1a3a6e" />
+          </marker>
+        </defs>
+
+        {/* ── grid + tick labels ── */}
+        {xTicks.map(v => (
+          <g key={`x${v}`}>
+            <line x1={toX(v)} y1={toY(0)} x2={toX(v)} y2={toY(yMax)} stroke="rgba(0,80,160,0.12)" />
+            <text x={toX(v)} y={toY(0) + 20} className="fat-tick" textAnchor="middle">{v}</text>
+          </g>
+        ))}
+        {yTicks.map(v => (
+          <g key={`y${v}`}>
+            <line x1={toX(0)} y1={toY(v)} x2={toX(xMax)} y2={toY(v)} stroke="rgba(0,80,160,0.12)" />
+            <text x={toX(0) - 8} y={toY(v) + 4} className="fat-tick" textAnchor="end">{v}</text>
+          </g>
+        ))}
+
+        {/* ── axes ── */}
+        <line x1={toX(0)} y1={toY(0)} x2={toX(xMax)} y2={toY(0)}
+          stroke="#1a3a6e" strokeWidth="2.5" markerEnd="url(#arrowFat)" />
+        <line x1={toX(0)} y1={toY(0)} x2={toX(0)} y2={toY(yMax)}
+          stroke="#1a3a6e" strokeWidth="2.5" markerEnd="url(#arrowFat)" />
+        <text x={toX(xMax) - 6} y={toY(0) - 12} className="fat-axis-title" textAnchor="end">σ′m ({unit})</text>
+        <text x={toX(0) + 12} y={toY(yMax) + 16} className="fat-axis-title">σ′a ({unit})</text>
+
+        {/* ── strength marks ── */}
+        {[
+          { v: Sut, label: 'Sut', axis: 'x' },
+          { v: Sy,  label: 'Sy',  axis: 'x' },
+          { v: Se,  label: 'Se',  axis: 'y' },
+          { v: Sy,  label: 'Sy',  axis: 'y' },
+        ].map(({ v, label, axis }) => (axis === 'x'
+          ? <text key={`${axis}${label}`} x={toX(v)} y={toY(0) + 42} className="fat-strength" textAnchor="middle">{label}</text>
+          : <text key={`${axis}${label}`} x={toX(0) - 48} y={toY(v) + 4} className="fat-strength" textAnchor="end">{label}</text>
+        ))}
+
+        {/* ── loci ── */}
+        {[...FATIGUE_CRITERIA, LANGER].map(c => (
+          <polyline key={c.key} points={locus(c)} fill="none" stroke={c.color} strokeWidth="2.5"
+            strokeDasharray={c.key === LANGER.key ? '8,5' : undefined} />
+        ))}
+
+        {/* ── load line + crossings ── */}
+        {loaded && (
+          <>
+            <line x1={toX(0)} y1={toY(0)} x2={toX(sigmaM * reach)} y2={toY(sigmaA * reach)}
+              stroke="#37474f" strokeWidth="1.5" strokeDasharray="6,4" />
+            {crossings.map(r => (
+              <g key={r.key}>
+                <circle cx={toX(r.point[0])} cy={toY(r.point[1])} r={6}
+                  fill="white" stroke={r.color} strokeWidth="3" />
+                <text x={toX(r.point[0]) + 10} y={toY(r.point[1]) - 8} fill={r.color}
+                  className="fat-label">n={fmt(r.fs, 2)}</text>
+              </g>
+            ))}
+          </>
+        )}
+
+        {/* ── operating point ── */}
+        <circle cx={toX(sigmaM)} cy={toY(sigmaA)} r={9} fill="#c62828" stroke="#fff" strokeWidth="2" />
+        <text x={toX(sigmaM) + 14} y={toY(sigmaA) + 20} fill="#c62828" className="fat-label">
+          ({fmt(sigmaM, digits)}, {fmt(sigmaA, digits)})
+        </text>
+      </svg>
+
+      {/* ── readout panel ── */}
+      <div className="fat-readout">
+        {results.map(r => (
+          <div className="fat-readout-cell" key={r.key}>
+            <span className="fat-readout-dot" style={{ background: r.color }} />
+            <span className="fat-readout-name">{r.name}</span>
+            <span className="fat-readout-val" style={{ color: r.color }}>n = {fmt(r.fs, 2)}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,148 @@
+import NumberField from './NumberField';
+import SegmentedControl from './SegmentedControl';
+import './FatiguePanel.css';
+
+const fmtFS = (n) => (Number.isFinite(n) ? n.toFixed(2) : '∞');
+
+const SOURCE_OPTIONS = [
+  { value: 'manual', label: 'Enter states' },
+  { value: 'cases',  label: 'Load cases' },
+];
+
+const COMPONENTS = [
+  { key: 'sigmaX', label: 'Normal x', symbol: 'σx' },
+  { key: 'sigmaY', label: 'Normal y', symbol: 'σy' },
+  { key: 'tauXY',  label: 'Shear xy', symbol: 'τxy' },
+];
+
+const OUT_OF_PLANE = [
+  { key: 'sigmaZ', symbol: 'σz' },
+  { key: 'tauYZ',  symbol: 'τyz' },
+  { key: 'tauZX',  symbol: 'τzx' },
+];
+
+/**
+ * Fatigue setup and results.
+ * fatigue    – { source, max, min, caseIds: [maxId, minId], Sut, Sy, Se } in `unit`
+ * analysis   – { components: fatigueComponents(…), results, governing } or null
+ *              while the states are incomplete
+ * current    – the stress state "Use current σ" copies
+ * cases      – load cases to pick from (see lib/loadCases)
+ */
+export default function FatiguePanel({ fatigue, onChange, analysis, current, cases, unit, digits }) {
+  const set = (patch) => onChange({ ...fatigue, ...patch });
+
+  const stateEditor = (which, title) => {
+    const state = fatigue[which];
+    const extra = OUT_OF_PLANE.filter(c => Math.abs(state[c.key] ?? 0) > 1e-12);
+    return (
+      <div className="fatigue-state">
+        <div className="fatigue-state-head">
+          <span>{title}</span>
+          <button className="preset-btn fatigue-copy" onClick={() => set({ [which]: { ...current } })}>
+            Use current σ
+          </button>
+        </div>
+        {COMPONENTS.map(c => (
+          <NumberField key={c.key} label={c.label} symbol={c.symbol} unit={unit} value={state[c.key] ?? 0}
+            onChange={v => set({ [which]: { ...state, [c.key]: v } })} />
+        ))}
+        {extra.length > 0 && (
+          <div className="fatigue-extra">
+            + {extra.map(c => `${c.symbol} = ${state[c.key].toFixed(digits)}`).join(', ')}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const casePicker = (index, title) => (
+    <label className="fatigue-pick">
+      <span>{title}</span>
+      <select
+        value={fatigue.caseIds[index] ?? ''}
+        onChange={e => {
+          const ids = [...fatigue.caseIds];
+          ids[index] = e.target.value === '' ? null : Number(e.target.value);
+          set({ caseIds: ids });
+        }}
+      >
+        <option value="">—</option>
+        {cases.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+      </select>
+    </label>
+  );
+
+  const c = analysis?.components;
+
+  return (
+    <div className="fatigue-panel">
+      <SegmentedControl options={SOURCE_OPTIONS} value={fatigue.source} onChange={v => set({ source: v })} />
+      {fatigue.source === 'manual' ? (
+        <>
+          {stateEditor('max', 'Maximum state')}
+          {stateEditor('min', 'Minimum state')}
+        </>
+      ) : cases.length < 2 ? (
+        <div className="fatigue-warning">Store at least two load cases to pick from.</div>
+      ) : (
+        <div className="fatigue-picks">
+          {casePicker(0, 'Maximum')}
+          {casePicker(1, 'Minimum')}
+        </div>
+      )}
+
+      <div className="fatigue-strengths">
+        <NumberField label="Ultimate strength" symbol="Sut" unit={unit} value={fatigue.Sut} min={1e-6}
+          onChange={v => set({ Sut: v })} />
+        <NumberField label="Yield strength" symbol="Sy" unit={unit} value={fatigue.Sy} min={1e-6}
+          onChange={v => set({ Sy: v })} />
+        <NumberField label="Endurance limit" symbol="Se" unit={unit} value={fatigue.Se} min={1e-6}
+          onChange={v => set({ Se: v })} />
+      </div>
+
+      {c && (
+        <>
+          <div className="fatigue-table">
+            <div className="fatigue-row fatigue-row--head">
+              <span />
+              <span>σx</span>
+              <span>σy</span>
+              <span>τxy</span>
+              <span>σ′ (vM)</span>
+            </div>
+            {[
+              { label: 'Alternating', t: c.alternating, eq: c.sigmaA },
+              { label: 'Mean', t: c.mean, eq: c.sigmaM },
+            ].map(r => (
+              <div className="fatigue-row" key={r.label}>
+                <span className="fatigue-name">{r.label}</span>
+                <span>{r.t.sigmaX.toFixed(digits)}</span>
+                <span>{r.t.sigmaY.toFixed(digits)}</span>
+                <span>{r.t.tauXY.toFixed(digits)}</span>
+                <span className="fatigue-eq">{r.eq.toFixed(digits)}</span>
+              </div>
+            ))}
+          </div>
+
+          <div className="fatigue-table fatigue-table--fs">
+            <div className="fatigue-row fatigue-row--head">
+              <span>Criterion</span>
+              <span>n</span>
+            </div>
+            {analysis.results.map(r => (
+              <div
+                key={r.key}
+                className={`fatigue-row${r.key === analysis.governing ? ' fatigue-row--governing' : ''}${r.fs < 1 ? ' fatigue-row--failed' : ''}`}
+              >
+                <span className="fatigue-name" style={{ color: r.color }}>{r.name}</span>
+                <span className="fatigue-fs">{fmtFS(r.fs)}</span>
+              </div>
+            ))}
+          </div>
+          <div className="fatigue-units">stresses in {unit}</div>
+        </>
+      )}
+    </div>
+  );
+}
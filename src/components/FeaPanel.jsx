@@ -0,0 +1,131 @@
+import { useMemo, useState } from 'react';
+import SegmentedControl from './SegmentedControl';
+import { parseStressTable, stressMeasures, STRESS_KEYS } from '../lib/fea';
+import { STRESS_UNITS, convertStress } from '../lib/units';
+import './FeaPanel.css';
+
+const SOURCE_UNIT_OPTIONS = Object.keys(STRESS_UNITS).map(u => ({ value: u, label: u }));
+
+const COLUMNS = [
+  { key: 'id',       label: 'ID'  },
+  { key: 'vonMises', label: 'σvm' },
+  { key: 'sigma1',   label: 'σ₁'  },
+  { key: 'tauMax',   label: 'τmax' },
+];
+
+// rendering every row of a large model would stall the page; sort first, then cut
+const MAX_ROWS = 500;
+
+const compareIds = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+
+/**
+ * Imported FE stress results with a sortable summary table.
+ * fea     – { name, rows, columns, skipped, error, sourceUnit, sort: { key, dir }, selected }
+ *           rows as parsed by lib/fea, in `sourceUnit`; selected is a row index
+ * onApply – callback({ sigmaX, …, tauZX }) in the display `unit` for the clicked row
+ */
+export default function FeaPanel({ fea, onChange, onApply, unit, digits }) {
+  const [pasted, setPasted] = useState('');
+  const { rows, sort } = fea;
+  const k = convertStress(1, fea.sourceUnit, unit);
+
+  const measured = useMemo(
+    () => rows.map((row, index) => ({ index, id: row.id, ...stressMeasures(row) })),
+    [rows],
+  );
+  const sorted = useMemo(() => {
+    const cmp = sort.key === 'id'
+      ? (a, b) => compareIds(a.id, b.id)
+      : (a, b) => a[sort.key] - b[sort.key];
+    return [...measured].sort((a, b) => sort.dir * cmp(a, b)).slice(0, MAX_ROWS);
+  }, [measured, sort]);
+
+  const load = (text, name) => onChange({ ...fea, ...parseStressTable(text), name, selected: null });
+
+  const openFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // so picking the same file again re-reads it
+    if (file) load(await file.text(), file.name);
+  };
+
+  const setSort = (key) => onChange({
+    ...fea,
+    sort: { key, dir: sort.key === key ? -sort.dir : (key === 'id' ? 1 : -1) },
+  });
+
+  const select = (index) => {
+    const row = rows[index];
+    const state = {};
+    for (const key of STRESS_KEYS) state[key] = row[key] * k;
+    onChange({ ...fea, selected: index });
+    onApply(state);
+  };
+
+  return (
+    <div className="fea-panel">
+      <div className="fea-source">
+        <label className="preset-btn fea-file">
+          Open file…
+          <input type="file" accept=".csv,.txt,.lis,.rpt,.dat" onChange={openFile} />
+        </label>
+        <span className="fea-name">{fea.name ?? 'CSV or text report with Sxx, Syy, Sxy'}</span>
+      </div>
+      <textarea
+        className="fea-paste"
+        value={pasted}
+        placeholder={'…or paste a table here\nNode, Sxx, Syy, Sxy\n1, 80, -40, 50'}
+        onChange={e => setPasted(e.target.value)}
+        spellCheck={false}
+      />
+      <div className="fea-actions">
+        <button className="preset-btn fea-read" disabled={!pasted.trim()} onClick={() => load(pasted, 'Pasted table')}>
+          Read pasted text
+        </button>
+      </div>
+      <div className="fea-hint fea-unit-label">Values in the file are in</div>
+      <SegmentedControl options={SOURCE_UNIT_OPTIONS} value={fea.sourceUnit}
+        onChange={u => onChange({ ...fea, sourceUnit: u })} />
+
+      {fea.error && <div className="fea-warning">{fea.error}</div>}
+
+      {rows.length > 0 && (
+        <>
+          <div className="fea-summary">
+            {rows.length} rows · {fea.columns.length} components
+            {fea.skipped > 0 && ` · ${fea.skipped} lines skipped`}
+            {rows.length > MAX_ROWS && ` · showing ${MAX_ROWS}`}
+          </div>
+          <div className="fea-table-wrap">
+            <table className="fea-table">
+              <thead>
+                <tr>
+                  {COLUMNS.map(c => (
+                    <th key={c.key}>
+                      <button className={`fea-sort${sort.key === c.key ? ' fea-sort--active' : ''}`}
+                        onClick={() => setSort(c.key)}>
+                        {c.label}{sort.key === c.key && (sort.dir > 0 ? ' ▲' : ' ▼')}
+                      </button>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {sorted.map(r => (
+                  <tr key={r.index}
+                    className={r.index === fea.selected ? 'fea-row--selected' : undefined}
+                    onClick={() => select(r.index)}>
+                    <td>{r.id}</td>
+                    <td>{(r.vonMises * k).toFixed(digits)}</td>
+                    <td>{(r.sigma1 * k).toFixed(digits)}</td>
+                    <td>{(r.tauMax * k).toFixed(digits)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="fea-hint fea-units">stresses in {unit} · click a row to load it</div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,285 @@
+import { useRef, useEffect, useMemo, useState } from 'react';
+import NumberField from './NumberField';
+import SegmentedControl from './SegmentedControl';
+import { FIELDS, MEASURES, measureOf, sampleField, trajectories } from '../lib/fields';
+import './FieldExplorer.css';
+
+const TYPE_OPTIONS = Object.entries(FIELDS).map(([value, f]) => ({ value, label: f.label }));
+const MEASURE_OPTIONS = Object.entries(MEASURES).map(([value, m]) => ({ value, label: m.label }));
+
+const BANDS = 12;
+const PAD = 28;
+const TRAJECTORY_COLORS = ['#0d1b2a', '#6a1b9a']; // σ1, σ2 families
+
+// ── colour maps: diverging for signed measures, sequential otherwise ──
+const DIVERGING = [[33, 102, 172], [146, 197, 222], [247, 247, 247], [244, 165, 130], [178, 24, 43]];
+const SEQUENTIAL = [[255, 255, 204], [254, 217, 118], [253, 141, 60], [227, 26, 28], [128, 0, 38]];
+
+function ramp(stops, t) {
+  const u = Math.min(Math.max(t, 0), 1) * (stops.length - 1);
+  const i = Math.min(Math.floor(u), stops.length - 2), f = u - i;
+  return stops[i].map((c, k) => Math.round(c + (stops[i + 1][k] - c) * f));
+}
+
+/** Colour scale for a sampled grid: value range, band colour and CSS gradient. */
+function colorScale(signed, min, max) {
+  const stops = signed ? DIVERGING : SEQUENTIAL;
+  const m = Math.max(Math.abs(min), Math.abs(max)) || 1;
+  const lo = signed ? -m : Math.min(min, 0);
+  const hi = signed ? m : (max > lo ? max : lo + 1);
+  const band = (v) => {
+    const b = Math.min(Math.floor((v - lo) / (hi - lo) * BANDS), BANDS - 1);
+    return ramp(stops, (Math.max(b, 0) + 0.5) / BANDS);
+  };
+  const css = Array.from({ length: BANDS }, (_, b) => {
+    const c = `rgb(${ramp(stops, (b + 0.5) / BANDS).join(',')})`;
+    return `${c} ${(b / BANDS * 100).toFixed(2)}%, ${c} ${((b + 1) / BANDS * 100).toFixed(2)}%`;
+  }).join(', ');
+  return { lo, hi, band, css: `linear-gradient(to right, ${css})` };
+}
+
+/** Fit the field's extent into the canvas, keeping the aspect ratio. */
+function viewport(extent, W, H) {
+  const [x0, x1] = extent.x, [y0, y1] = extent.y;
+  const s = Math.min((W - 2 * PAD) / (x1 - x0), (H - 2 * PAD) / (y1 - y0));
+  const ox = (W - s * (x1 - x0)) / 2, oy = (H - s * (y1 - y0)) / 2;
+  return {
+    s,
+    toPx: (x, y) => [ox + (x - x0) * s, oy + (y1 - y) * s],
+    fromPx: (px, py) => [x0 + (px - ox) / s, y1 - (py - oy) / s],
+  };
+}
+
+/** Body outline and loads, drawn over the contours. */
+function drawOutline(ctx, type, params, vp) {
+  const [cx, cy] = vp.toPx(0, 0);
+  ctx.strokeStyle = '#0d1b2a';
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  if (type === 'kirsch' || type === 'lame') {
+    ctx.arc(cx, cy, vp.s, 0, 2 * Math.PI);
+    if (type === 'lame') {
+      ctx.moveTo(cx + vp.s * params.b, cy);
+      ctx.arc(cx, cy, vp.s * params.b, 0, 2 * Math.PI);
+    }
+  } else if (type === 'cantilever') {
+    const [wx, top] = vp.toPx(params.L, 1);
+    const [, bottom] = vp.toPx(params.L, -1);
+    ctx.rect(cx, top, wx - cx, bottom - top);
+    for (let y = top; y < bottom; y += 8) {
+      ctx.moveTo(wx, y);
+      ctx.lineTo(wx + 6, y + 6);
+    }
+  } else if (type === 'flamant') {
+    const [left] = vp.toPx(-3, 0);
+    const [right] = vp.toPx(3, 0);
+    ctx.moveTo(left, cy);
+    ctx.lineTo(right, cy);
+    ctx.moveTo(cx, cy - 24);
+    ctx.lineTo(cx, cy - 2);
+    ctx.moveTo(cx - 5, cy - 9);
+    ctx.lineTo(cx, cy - 2);
+    ctx.lineTo(cx + 5, cy - 9);
+  }
+  ctx.stroke();
+}
+
+/**
+ * Contour plot of a closed-form elasticity solution (see lib/fields).
+ * field  – { type, params: { [type]: {…} }, measure, trajectories, hoverLoad }
+ * onPick – callback({ sigmaX, sigmaY, tauXY }) with the local state at a point;
+ *          fires on click, and on hover while `hoverLoad` is on
+ * unit, digits – stress unit of the loads (and so of the field) and precision
+ */
+export default function FieldExplorer({ field, onChange, onPick, unit, digits }) {
+  const { type, measure } = field;
+  const spec = FIELDS[type];
+  const params = field.params[type];
+  const canvasRef = useRef(null);
+  const [picked, setPicked] = useState(null);
+  const [hover, setHover] = useState(null);
+
+  const grid = useMemo(() => sampleField(type, params, measure), [type, params, measure]);
+  const lines = useMemo(
+    () => (field.trajectories ? trajectories(type, params) : []),
+    [type, params, field.trajectories],
+  );
+  const scale = useMemo(
+    () => colorScale(MEASURES[measure].signed, grid.min, grid.max),
+    [measure, grid],
+  );
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    // contours are rendered once at grid resolution and stretched over the plot
+    const { n, values } = grid;
+    const image = document.createElement('canvas');
+    image.width = image.height = n;
+    const imgCtx = image.getContext('2d');
+    const data = imgCtx.createImageData(n, n);
+    values.forEach((v, i) => {
+      if (v === null) return;
+      const [r, g, b] = scale.band(v);
+      data.data.set([r, g, b, 255], i * 4);
+    });
+    imgCtx.putImageData(data, 0, 0);
+
+    function draw() {
+      const dpr = window.devicePixelRatio || 1;
+      const W = canvas.clientWidth;
+      const H = canvas.clientHeight;
+      if (!W || !H) return;
+      canvas.width = W * dpr;
+      canvas.height = H * dpr;
+      const ctx = canvas.getContext('2d');
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      ctx.clearRect(0, 0, W, H);
+
+      const vp = viewport(grid.extent, W, H);
+      const [left, top] = vp.toPx(grid.extent.x[0], grid.extent.y[1]);
+      const [right, bottom] = vp.toPx(grid.extent.x[1], grid.extent.y[0]);
+      ctx.imageSmoothingEnabled = false;
+      ctx.drawImage(image, left, top, right - left, bottom - top);
+
+      ctx.lineWidth = 1;
+      for (const line of lines) {
+        ctx.strokeStyle = TRAJECTORY_COLORS[line.family];
+        ctx.globalAlpha = 0.7;
+        ctx.beginPath();
+        line.pts.forEach(([x, y], i) => {
+          const [px, py] = vp.toPx(x, y);
+          if (i === 0) ctx.moveTo(px, py);
+          else ctx.lineTo(px, py);
+        });
+        ctx.stroke();
+      }
+      ctx.globalAlpha = 1;
+
+      drawOutline(ctx, type, params, vp);
+
+      if (picked) {
+        const [px, py] = vp.toPx(picked.x, picked.y);
+        ctx.fillStyle = '#fff';
+        ctx.strokeStyle = '#0d1b2a';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(px, py, 5, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.stroke();
+      }
+    }
+
+    draw();
+    // also catches the tab becoming visible (size goes from 0 to the panel's)
+    const observer = new ResizeObserver(draw);
+    observer.observe(canvas);
+    return () => observer.disconnect();
+  }, [grid, scale, lines, type, params, picked]);
+
+  const pointAt = (e) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    const vp = viewport(grid.extent, canvas.clientWidth, canvas.clientHeight);
+    const [x, y] = vp.fromPx(e.clientX - rect.left, e.clientY - rect.top);
+    return spec.stress(x, y, params) ? { x, y } : null;
+  };
+
+  const handleMove = (e) => {
+    const p = pointAt(e);
+    setHover(p);
+    if (p && field.hoverLoad) onPick(spec.stress(p.x, p.y, params));
+  };
+
+  const handleClick = (e) => {
+    const p = pointAt(e);
+    if (!p) return;
+    setPicked(p);
+    onPick(spec.stress(p.x, p.y, params));
+  };
+
+  const setParam = (key, v) => onChange({
+    ...field, params: { ...field.params, [type]: { ...params, [key]: v } },
+  });
+
+  // picked and hovered points are kept as coordinates so the readout follows the loads
+  const shown = hover ?? picked;
+  const local = shown && spec.stress(shown.x, shown.y, params);
+  const cells = local ? [
+    { label: 'σx',  value: local.sigmaX },
+    { label: 'σy',  value: local.sigmaY },
+    { label: 'τxy', value: local.tauXY },
+    { label: MEASURES[measure].label, value: measureOf(measure, local) },
+  ] : [];
+
+  return (
+    <div className="graph-col field-explorer">
+      <div className="panel-topbar">
+        <span className="panel-label">STRESS FIELD</span>
+        <div className="legend">
+          {field.trajectories && (
+            <>
+              <span className="legend-dot" style={{ background: TRAJECTORY_COLORS[0] }} />
+              <span className="legend-text">σ₁ trajectories</span>
+              <span className="legend-dot" style={{ background: TRAJECTORY_COLORS[1] }} />
+              <span className="legend-text">σ₂ trajectories</span>
+            </>
+          )}
+        </div>
+      </div>
+
+      <div className="field-toolbar">
+        <div className="field-toolbar-row">
+          <SegmentedControl options={TYPE_OPTIONS} value={type}
+            onChange={t => { setPicked(null); onChange({ ...field, type: t }); }} />
+          <SegmentedControl options={MEASURE_OPTIONS} value={measure}
+            onChange={m => onChange({ ...field, measure: m })} />
+        </div>
+        <div className="field-toolbar-row">
+          {spec.params.map(p => (
+            <NumberField key={p.key} label={p.label} unit={p.unit === 'stress' ? unit : null}
+              value={params[p.key]} min={p.min} onChange={v => setParam(p.key, v)} />
+          ))}
+          <label className="field-toggle">
+            <input type="checkbox" checked={field.trajectories}
+              onChange={e => onChange({ ...field, trajectories: e.target.checked })} />
+            Trajectories
+          </label>
+          <label className="field-toggle">
+            <input type="checkbox" checked={field.hoverLoad}
+              onChange={e => onChange({ ...field, hoverLoad: e.target.checked })} />
+            Load on hover
+          </label>
+        </div>
+      </div>
+
+      <canvas
+        ref={canvasRef}
+        className="field-canvas"
+        onMouseMove={handleMove}
+        onMouseLeave={() => setHover(null)}
+        onClick={handleClick}
+      />
+
+      <div className="field-readout">
+        <div className="field-readout-point">
+          {local
+            ? `x/${spec.axis} ${shown.x.toFixed(2)}  y/${spec.axis} ${shown.y.toFixed(2)}`
+            : 'click a point to load its stress state'}
+        </div>
+        {cells.map(c => (
+          <div className="field-readout-cell" key={c.label}>
+            <span className="derived-label">{c.label}</span>
+            <span className="derived-val">{c.value.toFixed(digits)} <span className="derived-unit">{unit}</span></span>
+          </div>
+        ))}
+        <div className="field-colorbar">
+          <span>{scale.lo.toFixed(digits)}</span>
+          <div className="field-colorbar-ramp" style={{ background: scale.css }} />
+          <span>{scale.hi.toFixed(digits)}</span>
+        </div>
+      </div>
+    </div>
+  );
+}
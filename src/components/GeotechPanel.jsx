@@ -0,0 +1,64 @@
+import NumberField from './NumberField';
+import './GeotechPanel.css';
+
+const fmtOpt = (v, d) => (v === null ? '—' : v.toFixed(d));
+
+/**
+ * Soil-mechanics inputs and the Mohr–Coulomb check of the effective state.
+ * geotech   – { enabled, u, c, phi }: pore pressure and cohesion in `unit`
+ *             (compression-positive), friction angle in degrees
+ * onToggle  – callback(enabled); switching the mode on also switches the
+ *             display to compression-positive
+ * check     – mohrCoulomb(…) of the effective state
+ * showAngle – maps a CCW angle into the display convention's θ
+ */
+export default function GeotechPanel({ geotech, onChange, onToggle, check, unit, digits, showAngle }) {
+  const set = (patch) => onChange({ ...geotech, ...patch });
+  const failed = check.distance < 0;
+
+  const rows = [
+    { label: "σ′₁  (major, effective)", value: check.sigma1.toFixed(digits), unit },
+    { label: "σ′₃  (minor, effective)", value: check.sigma3.toFixed(digits), unit },
+    { label: "s′, t  (centre, radius)", value: `${check.s.toFixed(digits)}, ${check.t.toFixed(digits)}`, unit },
+    { label: 'φ_mob  (mobilised friction)', value: check.mobilised === null ? '—' : `${check.mobilised.toFixed(2)}°` },
+    { label: 't / t_f  (utilisation)', value: fmtOpt(check.tFailure > 1e-12 ? check.t / check.tFailure : null, 3) },
+    {
+      label: 'Failure plane  (45° + φ/2)',
+      sub: check.planes && `θ = ${check.planes.map(a => `${showAngle(a).toFixed(1)}°`).join(', ')}`,
+      value: `${check.planeAngle.toFixed(1)}°`,
+    },
+  ];
+
+  return (
+    <div className="geotech-panel">
+      <label className="geotech-toggle">
+        <input type="checkbox" checked={geotech.enabled} onChange={e => onToggle(e.target.checked)} />
+        Soil mechanics (compression +, effective stress)
+      </label>
+      <NumberField label="Pore pressure" symbol="u" unit={unit} value={geotech.u}
+        onChange={v => set({ u: v })} />
+      <NumberField label="Cohesion" symbol="c′" unit={unit} value={geotech.c} min={0}
+        onChange={v => set({ c: v })} />
+      <NumberField label="Friction angle" symbol="φ′" unit="°" value={geotech.phi} min={0} max={89}
+        onChange={v => set({ phi: v })} />
+
+      <div className={`geotech-status${failed ? ' geotech-status--failed' : ''}`}>
+        <span>Distance to failure</span>
+        <span className="geotech-gap">
+          {check.distance.toFixed(digits)} <span className="derived-unit">{unit}</span>
+        </span>
+      </div>
+      <div className="derived-grid">
+        {rows.map(r => (
+          <div className="derived-cell" key={r.label}>
+            <span className="derived-label">
+              {r.label}
+              {r.sub && <span className="derived-cosines">{r.sub}</span>}
+            </span>
+            <span className="derived-val">{r.value} {r.unit && <span className="derived-unit">{r.unit}</span>}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,124 @@
+import { useEffect, useRef } from 'react';
+import SegmentedControl from './SegmentedControl';
+import StressPathPlot from './StressPathPlot';
+import { parseHistory, stateAt } from '../lib/history';
+import './HistoryPanel.css';
+
+const SPEED_OPTIONS = [0.25, 0.5, 1, 2, 4].map(v => ({ value: v, label: `${v}×` }));
+
+// at 1× the whole history plays in this many seconds, whatever its time scale
+const PLAY_SECONDS = 8;
+
+/**
+ * Load-history editor and playback.
+ * history – { text, points, error, t, playing, speed, trail }
+ *           text is the editor contents; points the last history read from it
+ * onApply – callback({ sigmaX, sigmaY, tauXY }) with the state at the current
+ *           time; fires on every scrub, and during playback whenever the
+ *           sampled state changes
+ */
+export default function HistoryPanel({ history, onChange, onApply, unit }) {
+  const { points, t, playing, speed } = history;
+  const ready = points.length > 1;
+  const t0 = ready ? points[0].t : 0;
+  const t1 = ready ? points[points.length - 1].t : 1;
+
+  // the animation loop reads the latest props without restarting every frame
+  const latest = useRef(null);
+  useEffect(() => { latest.current = { history, onChange, onApply }; });
+
+  useEffect(() => {
+    if (!playing) return;
+    let last = performance.now();
+    let applied = null; // last state handed to onApply
+    let frame;
+    const step = (now) => {
+      const { history: h, onChange: change, onApply: apply } = latest.current;
+      const start = h.points[0].t, end = h.points[h.points.length - 1].t;
+      const next = Math.min(h.t + (now - last) / 1000 * h.speed * (end - start) / PLAY_SECONDS, end);
+      last = now;
+      if (next === h.t && next < end) {
+        frame = requestAnimationFrame(step);
+        return;
+      }
+      change({ ...h, t: next, playing: next < end });
+      // holds (equal neighbouring rows) sample the same state frame after frame
+      const state = stateAt(h.points, next);
+      if (!applied || ['sigmaX', 'sigmaY', 'tauXY'].some(k => state[k] !== applied[k])) {
+        applied = state;
+        apply(state);
+      }
+      if (next < end) frame = requestAnimationFrame(step);
+    };
+    frame = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(frame);
+  }, [playing]);
+
+  const read = (text) => {
+    const { points: next, error } = parseHistory(text);
+    onChange({ ...history, text, points: next.length ? next : points, error, t: next.length ? next[0].t : t, playing: false });
+    if (next.length) onApply(stateAt(next, next[0].t));
+  };
+
+  const openFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) read(await file.text());
+  };
+
+  const scrub = (next) => {
+    onChange({ ...history, t: next, playing: false });
+    onApply(stateAt(points, next));
+  };
+
+  // play from the start once the end has been reached
+  const togglePlay = () => {
+    if (playing) onChange({ ...history, playing: false });
+    else onChange({ ...history, t: t >= t1 ? t0 : t, playing: true });
+  };
+
+  return (
+    <div className="history-panel">
+      <textarea
+        className="history-text"
+        value={history.text}
+        onChange={e => onChange({ ...history, text: e.target.value })}
+        spellCheck={false}
+      />
+      <div className="history-actions">
+        <label className="preset-btn history-file">
+          Open CSV…
+          <input type="file" accept=".csv,.txt" onChange={openFile} />
+        </label>
+        <button className="preset-btn history-read" onClick={() => read(history.text)}>Use this history</button>
+      </div>
+      {history.error && <div className="history-warning">{history.error}</div>}
+
+      {ready && (
+        <>
+          <div className="history-transport">
+            <button className="preset-btn history-play" onClick={togglePlay} title={playing ? 'Pause' : 'Play'}>
+              {playing ? '❚❚' : '▶'}
+            </button>
+            <input
+              type="range"
+              className="history-scrub"
+              min={t0} max={t1} step={(t1 - t0) / 500}
+              value={t}
+              onChange={e => scrub(Number(e.target.value))}
+            />
+            <span className="history-time">t = {t.toFixed(2)}</span>
+          </div>
+          <SegmentedControl options={SPEED_OPTIONS} value={speed}
+            onChange={v => onChange({ ...history, speed: v })} />
+          <label className="history-trail">
+            <input type="checkbox" checked={history.trail}
+              onChange={e => onChange({ ...history, trail: e.target.checked })} />
+            Trail on Mohr's circle
+          </label>
+          <StressPathPlot points={points} t={t} unit={unit} />
+        </>
+      )}
+    </div>
+  );
+}
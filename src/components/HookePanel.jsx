@@ -0,0 +1,65 @@
+import NumberField from './NumberField';
+import SegmentedControl from './SegmentedControl';
+import { shearModulus } from '../lib/elasticity';
+import './HookePanel.css';
+
+const CONDITIONS = [
+  { value: 'planeStress', label: 'Plane σ' },
+  { value: 'planeStrain', label: 'Plane ε' },
+];
+
+/**
+ * Material constants + the Hooke's-law conversion of the state being edited.
+ * stress – { sigmaX, sigmaY, tauXY, sigmaZ }        (in `unit`)
+ * strain – { epsX, epsY, gammaXY, epsZ }            (µε)
+ * quantity decides which of the two is shown as the converted result.
+ */
+export default function HookePanel({
+  material, onMaterialChange, condition, onConditionChange,
+  quantity, stress, strain, showBoth, onShowBothChange, unit, digits,
+}) {
+  const rows = quantity === 'stress'
+    ? [
+        { label: 'εx',  value: strain.epsX,    unit: 'µε' },
+        { label: 'εy',  value: strain.epsY,    unit: 'µε' },
+        { label: 'γxy', value: strain.gammaXY, unit: 'µε' },
+        { label: 'εz',  value: strain.epsZ,    unit: 'µε' },
+      ]
+    : [
+        { label: 'σx',  value: stress.sigmaX, unit },
+        { label: 'σy',  value: stress.sigmaY, unit },
+        { label: 'τxy', value: stress.tauXY,  unit },
+        { label: 'σz',  value: stress.sigmaZ, unit },
+      ];
+
+  return (
+    <div className="hooke-panel">
+      <NumberField
+        label="Young's modulus" symbol="E" unit="GPa"
+        value={material.E} min={1e-6}
+        onChange={E => onMaterialChange({ ...material, E })}
+      />
+      <NumberField
+        label="Poisson's ratio" symbol="ν"
+        value={material.nu} min={-0.999} max={0.499} digits={3}
+        onChange={nu => onMaterialChange({ ...material, nu })}
+      />
+      <div className="hooke-g">G = {shearModulus(material.E, material.nu).toFixed(2)} GPa</div>
+      <SegmentedControl options={CONDITIONS} value={condition} onChange={onConditionChange} />
+
+      <div className="derived-grid">
+        {rows.map(r => (
+          <div className="derived-cell" key={r.label}>
+            <span className="derived-label">{r.label}</span>
+            <span className="derived-val">{r.value.toFixed(r.unit === 'µε' ? 1 : digits)} <span className="derived-unit">{r.unit}</span></span>
+          </div>
+        ))}
+      </div>
+
+      <label className="hooke-both">
+        <input type="checkbox" checked={showBoth} onChange={e => onShowBothChange(e.target.checked)} />
+        Stress and strain circles side by side
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,54 @@
+import { analyzeInvariants } from '../lib/invariants';
+import './InvariantsPanel.css';
+
+const fmtPow = (v) => String(Number(v.toPrecision(4)));
+const fmtOpt = (v, d) => (v === null ? '—' : v.toFixed(d));
+
+/**
+ * 3D invariants, the hydrostatic / deviatoric split and the quantities
+ * derived from them (octahedral stresses, triaxiality, Lode angle).
+ * state – full 3D stress state in `unit` (plane stress has σz = τyz = τzx = 0)
+ * split – whether the element diagram separates hydrostatic arrows
+ */
+export default function InvariantsPanel({ state, unit, digits, split, onSplitChange }) {
+  const inv = analyzeInvariants(state);
+  const s = inv.deviator;
+
+  const rows = [
+    { label: 'I₁', value: inv.I1.toFixed(digits), unit },
+    { label: 'I₂', value: fmtPow(inv.I2),         unit: `${unit}²` },
+    { label: 'I₃', value: fmtPow(inv.I3),         unit: `${unit}³` },
+    { label: 'J₂', value: fmtPow(inv.J2),         unit: `${unit}²` },
+    { label: 'J₃', value: fmtPow(inv.J3),         unit: `${unit}³` },
+    {
+      label: 'σₘ  (hydrostatic, I₁/3)',
+      sub: `sx,sy,sz = ${s.sigmaX.toFixed(digits)}, ${s.sigmaY.toFixed(digits)}, ${s.sigmaZ.toFixed(digits)}`,
+      value: inv.mean.toFixed(digits), unit,
+    },
+    { label: 'σ_oct', value: inv.sigmaOct.toFixed(digits), unit },
+    { label: 'τ_oct', value: inv.tauOct.toFixed(digits),   unit },
+    { label: 'η  (triaxiality σₘ/σvm)', value: fmtOpt(inv.triaxiality, 3) },
+    { label: 'θ_L  (Lode angle)',       value: inv.lodeAngle === null ? '—' : `${inv.lodeAngle.toFixed(2)}°` },
+    { label: 'μ  (Lode parameter)',     value: fmtOpt(inv.lodeParameter, 3) },
+  ];
+
+  return (
+    <div className="invariants-panel">
+      <div className="derived-grid">
+        {rows.map(r => (
+          <div className="derived-cell" key={r.label}>
+            <span className="derived-label">
+              {r.label}
+              {r.sub && <span className="derived-cosines">{r.sub}</span>}
+            </span>
+            <span className="derived-val">{r.value} {r.unit && <span className="derived-unit">{r.unit}</span>}</span>
+          </div>
+        ))}
+      </div>
+      <label className="invariants-split">
+        <input type="checkbox" checked={split} onChange={e => onSplitChange(e.target.checked)} />
+        Split element arrows into hydrostatic + deviatoric
+      </label>
+    </div>
+  );
+}
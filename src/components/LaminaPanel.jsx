@@ -0,0 +1,84 @@
+import NumberField from './NumberField';
+import SegmentedControl from './SegmentedControl';
+import { LAMINA_CRITERIA } from '../lib/composite';
+import './LaminaPanel.css';
+
+const fmtR = (n) => (Number.isFinite(n) ? n.toFixed(2) : '∞');
+
+const CRITERION_OPTIONS = LAMINA_CRITERIA.map(c => ({ value: c.key, label: c.short }));
+
+const STRENGTHS = [
+  { key: 'Xt',  label: 'Fibre tension' },
+  { key: 'Xc',  label: 'Fibre compression' },
+  { key: 'Yt',  label: 'Transverse tension' },
+  { key: 'Yc',  label: 'Transverse compr.' },
+  { key: 'S12', label: 'In-plane shear' },
+];
+
+/**
+ * Unidirectional lamina: fibre angle, strengths and the failure criteria.
+ * lamina   – { enabled, angle, criterion, Xt, Xc, Yt, Yc, S12 } in `unit`;
+ *            angle is in degrees in the θ sense, criterion the one graphed
+ * analysis – evaluateLamina(…) for the current state
+ */
+export default function LaminaPanel({ lamina, onChange, analysis, unit, digits }) {
+  const set = (patch) => onChange({ ...lamina, ...patch });
+  const { material, results, governing } = analysis;
+
+  return (
+    <div className="lamina-panel">
+      <label className="lamina-toggle">
+        <input type="checkbox" checked={lamina.enabled} onChange={e => set({ enabled: e.target.checked })} />
+        Show fibres and failure index on the σ–θ graph
+      </label>
+      <NumberField label="Fibre angle" symbol="φ" unit="°" value={lamina.angle} min={-180} max={180}
+        onChange={v => set({ angle: v })} />
+      {STRENGTHS.map(s => (
+        <NumberField key={s.key} label={s.label} symbol={s.key} unit={unit} value={lamina[s.key]} min={1e-6}
+          onChange={v => set({ [s.key]: v })} />
+      ))}
+
+      <div className="lamina-material">
+        <div className="lamina-material-cell">
+          <span className="lamina-material-label">σ₁₁  (fibre)</span>
+          <span className="lamina-material-val">{material.sigma11.toFixed(digits)}</span>
+        </div>
+        <div className="lamina-material-cell">
+          <span className="lamina-material-label">σ₂₂  (transverse)</span>
+          <span className="lamina-material-val">{material.sigma22.toFixed(digits)}</span>
+        </div>
+        <div className="lamina-material-cell">
+          <span className="lamina-material-label">τ₁₂</span>
+          <span className="lamina-material-val">{material.tau12.toFixed(digits)}</span>
+        </div>
+        <div className="lamina-units">material axes, {unit}</div>
+      </div>
+
+      <div className="lamina-table">
+        <div className="lamina-row lamina-row--head">
+          <span>Criterion</span>
+          <span>FI</span>
+          <span>R</span>
+        </div>
+        {results.map(r => (
+          <div
+            key={r.key}
+            className={`lamina-row${r.key === governing ? ' lamina-row--governing' : ''}${r.index >= 1 ? ' lamina-row--failed' : ''}`}
+          >
+            <span className="lamina-name">
+              <span style={{ color: r.color }}>{r.name}</span>
+              {r.mode && <span className="lamina-mode">{r.mode}</span>}
+            </span>
+            <span className="lamina-fi">{r.index.toFixed(3)}</span>
+            <span className="lamina-ratio">{fmtR(r.ratio)}</span>
+          </div>
+        ))}
+      </div>
+
+      <div className="lamina-graph">
+        <span className="lamina-graph-label">Graphed criterion</span>
+        <SegmentedControl options={CRITERION_OPTIONS} value={lamina.criterion} onChange={v => set({ criterion: v })} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+import { useState } from 'react';
+import { analyzeStress, normalizeAngle } from '../lib/stress';
+import { DEFAULT_CONVENTION, rotationSign, signedState } from '../lib/convention';
+import { addLoadCase } from '../lib/loadCases';
+import './LoadCasesPanel.css';
+
+/**
+ * Named load cases: store the current stress state, overlay the stored ones
+ * on the diagrams and compare their principal values in the chosen
+ * normal sign.
+ * loadCases – { cases: [{ id, name, color, visible, state }], overlay }
+ * current   – the stress state "Add" stores
+ * onLoad    – callback(state) to push a case back into the sliders
+ */
+export default function LoadCasesPanel({
+  loadCases, onChange, onLoad, current, unit, digits, convention = DEFAULT_CONVENTION,
+}) {
+  const [name, setName] = useState('');
+  const { cases } = loadCases;
+  const showAngle = (a) => normalizeAngle(rotationSign(convention) * a);
+
+  const setCases = (next) => onChange({ ...loadCases, cases: next });
+  const patchCase = (id, patch) => setCases(cases.map(c => (c.id === id ? { ...c, ...patch } : c)));
+
+  const add = () => {
+    setCases(addLoadCase(cases, current, name));
+    setName('');
+  };
+
+  return (
+    <div className="cases-panel">
+      <div className="cases-add">
+        <input
+          className="cases-name-input"
+          value={name}
+          placeholder={`Case ${cases.reduce((m, c) => Math.max(m, c.id), 0) + 1}`}
+          onChange={e => setName(e.target.value)}
+          onKeyDown={e => { if (e.key === 'Enter') add(); }}
+        />
+        <button className="preset-btn cases-add-btn" onClick={add}>Add current σ</button>
+      </div>
+
+      <label className="cases-overlay">
+        <input type="checkbox" checked={loadCases.overlay}
+          onChange={e => onChange({ ...loadCases, overlay: e.target.checked })} />
+        Overlay on Mohr's circle and σ–θ graph
+      </label>
+
+      {cases.length > 0 && (
+        <div className="cases-table">
+          <div className="cases-row cases-row--head">
+            <span />
+            <span>Case</span>
+            <span>σ₁</span>
+            <span>σ₂</span>
+            <span>τmax</span>
+            <span title="Direction of σ₁">θ(σ₁)</span>
+            <span />
+          </div>
+          {cases.map(c => {
+            const { sigmaX, sigmaY, tauXY } = signedState(c.state, convention);
+            const a = analyzeStress(sigmaX, sigmaY, tauXY);
+            return (
+              <div className="cases-row" key={c.id}>
+                <input type="checkbox" className="cases-visible" checked={c.visible}
+                  style={{ accentColor: c.color }} title="Show in overlays"
+                  onChange={e => patchCase(c.id, { visible: e.target.checked })} />
+                <button className="cases-name" style={{ color: c.color }}
+                  title="Load into the sliders" onClick={() => onLoad(c.state)}>
+                  {c.name}
+                </button>
+                <span>{a.sigma1.toFixed(digits)}</span>
+                <span>{a.sigma2.toFixed(digits)}</span>
+                <span>{a.R.toFixed(digits)}</span>
+                <span>{a.principalAngles ? `${showAngle(a.principalAngles[0]).toFixed(1)}°` : '—'}</span>
+                <button className="cases-remove" title="Remove"
+                  onClick={() => setCases(cases.filter(x => x.id !== c.id))}>×</button>
+              </div>
+            );
+          })}
+          <div className="cases-units">stresses in {unit} · click a name to load the case</div>
+        </div>
+      )}
+    </div>
+  );
+}
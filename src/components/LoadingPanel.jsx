@@ -0,0 +1,96 @@
+import NumberField from './NumberField';
+import SegmentedControl from './SegmentedControl';
+import { SECTIONS, sectionProperties } from '../lib/sections';
+import { LOADS, combinedStress } from '../lib/loading';
+import { convertStress } from '../lib/units';
+import './LoadingPanel.css';
+
+const SECTION_OPTIONS = Object.entries(SECTIONS).map(([value, s]) => ({ value, label: s.label }));
+const ROW_LABELS = { N: 'N/A', My: 'My·z/Iy', Mz: '−Mz·y/Iz', Vy: 'VyQ/Izt', Vz: 'VzQ/Iyt', T: 'Torsion' };
+const fmtProp = (v) => String(Number(v.toPrecision(4)));
+
+/**
+ * Combined-loading calculator: section + internal forces + point → σx, τxy, τxz.
+ * loading – { section, dims: { [section]: {…} } (mm), loads (kN, kN·m), point: { y, z } (mm) }
+ * onApply – callback({ sigmaX, tauXY, tauZX }) in the stress `unit`
+ */
+export default function LoadingPanel({ loading, onChange, onApply, unit, digits }) {
+  const { section, loads, point } = loading;
+  const dims = loading.dims[section];
+  const set = (patch) => onChange({ ...loading, ...patch });
+  const setDim = (key, v) => set({ dims: { ...loading.dims, [section]: { ...dims, [key]: v } } });
+
+  const props = sectionProperties(section, dims);
+  const inside = props && props.contains(point.y, point.z);
+  const result = inside && combinedStress(props, loads, point);
+  const toUnit = (v) => convertStress(v, 'MPa', unit);
+  const fmt = (v) => (Math.abs(v) < 1e-12 ? '·' : toUnit(v).toFixed(digits));
+
+  return (
+    <div className="loading-panel">
+      <SegmentedControl options={SECTION_OPTIONS} value={section} onChange={s => set({ section: s })} />
+      {SECTIONS[section].dims.map(d => (
+        <NumberField key={d.key} label={d.label} symbol={d.symbol} unit="mm"
+          value={dims[d.key]} min={1e-6} onChange={v => setDim(d.key, v)} />
+      ))}
+      {props && (
+        <div className="loading-props">
+          A = {fmtProp(props.A)} mm² · Iz = {fmtProp(props.Iz)} · Iy = {fmtProp(props.Iy)} · J = {fmtProp(props.J)} mm⁴
+        </div>
+      )}
+
+      <div className="loading-group">
+        {LOADS.map(l => (
+          <NumberField key={l.key} label={l.label} symbol={l.key} unit={l.unit}
+            value={loads[l.key]} onChange={v => set({ loads: { ...loads, [l.key]: v } })} />
+        ))}
+      </div>
+      <div className="loading-group">
+        <NumberField label="Point depth" symbol="y" unit="mm" value={point.y}
+          onChange={v => set({ point: { ...point, y: v } })} />
+        <NumberField label="Point width" symbol="z" unit="mm" value={point.z}
+          onChange={v => set({ point: { ...point, z: v } })} />
+      </div>
+
+      {result ? (
+        <div className="loading-table">
+          <div className="loading-row loading-row--head">
+            <span>Load</span>
+            <span>σx</span>
+            <span>τxy</span>
+            <span>τxz</span>
+          </div>
+          {result.rows.map(r => (
+            <div className="loading-row" key={r.key}>
+              <span className="loading-name">{ROW_LABELS[r.key]}</span>
+              <span>{fmt(r.sigmaX)}</span>
+              <span>{fmt(r.tauXY)}</span>
+              <span>{fmt(r.tauXZ)}</span>
+            </div>
+          ))}
+          <div className="loading-row loading-row--total">
+            <span className="loading-name">Total ({unit})</span>
+            <span>{toUnit(result.total.sigmaX).toFixed(digits)}</span>
+            <span>{toUnit(result.total.tauXY).toFixed(digits)}</span>
+            <span>{toUnit(result.total.tauXZ).toFixed(digits)}</span>
+          </div>
+        </div>
+      ) : (
+        <div className="loading-warning">
+          {props ? 'The point lies outside the section.' : 'These dimensions do not describe a valid section.'}
+        </div>
+      )}
+
+      <div className="loading-actions">
+        <button className="preset-btn loading-apply" disabled={!result}
+          onClick={() => onApply({
+            sigmaX: toUnit(result.total.sigmaX),
+            tauXY:  toUnit(result.total.tauXY),
+            tauZX:  toUnit(result.total.tauXZ),
+          })}>
+          Apply to σ
+        </button>
+      </div>
+    </div>
+  );
+}
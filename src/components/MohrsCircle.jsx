@@ -1,27 +1,64 @@
 ﻿import { useRef, useEffect, useMemo, useState, useCallback } from 'react';
 import './MohrsCircle.css';
+import { analyzeStress, transformStress, principalStresses3D, normalizeAngle } from '../lib/stress';
+import { quantityLabels, shearText } from '../lib/quantities';
+import {
+  DEFAULT_CONVENTION, shearAxisSign, rotationSign, normalSign, signedState,
+} from '../lib/convention';
+import { DEFAULT_MOHR_DISPLAY, ZOOM_LIMITS } from '../lib/workspace';
+import ExportMenu from './ExportMenu';
 
 /* ─── helpers ───────────────────────────────────────────────────── */
 const toRad = (deg) => (deg * Math.PI) / 180;
 const fmt = (v, d = 2) => (typeof v === 'number' ? v.toFixed(d) : '—');
+const compact = (v) => {
+  const a = Math.abs(v);
+  if (a >= 1e6) return +(v / 1e6).toPrecision(3) + 'M';
+  if (a >= 1000) return +(v / 1000).toPrecision(3) + 'k';
+  return String(+v.toPrecision(3));
+};
 
 /* ─── main component ────────────────────────────────────────── */
-export default function MohrsCircle({ sigmaX, sigmaY, tauXY, theta }) {
+export default function MohrsCircle({
+  theta, quantity = 'stress', unit, digits = 2, convention = DEFAULT_CONVENTION, overlays = [],
+  trail = null, geotech = null, display: displayProp = null, onDisplayChange = null, ...tensor
+}) {
   const svgRef = useRef(null);
-
-  // ── zoom / pan state ──
-  const [zoom, setZoom] = useState(1.6);
-  const [pan, setPan] = useState({ x: 0, y: 0 });
+  const Q = quantityLabels(quantity, unit);
+  const N = Q.normal;
+  const spatial = !Q.planar; // 3D circles and σ3 only mean something for a 3D tensor
+
+  // ── sign convention: everything below works on the state as displayed ──
+  const {
+    sigmaX, sigmaY, tauXY, sigmaZ = 0, tauYZ = 0, tauZX = 0,
+  } = signedState(tensor, convention);
+  const up = shearAxisSign(convention);   // +1: +τ plots upward
+  const rot = rotationSign(convention);   // +1: positive θ is CCW
+  const psi = rot * theta;                // θ as a CCW angle for the math
+  const showAngle = (a) => normalizeAngle(rot * a);
+
+  // ── zoom / pan / visibility ──
+  // held here unless the parent passes `display`; onDisplayChange then gets
+  // setState-style updater functions
+  const [ownDisplay, setOwnDisplay] = useState(DEFAULT_MOHR_DISPLAY);
+  const display = displayProp ?? ownDisplay;
+  const setDisplay = onDisplayChange ?? setOwnDisplay;
+  const { zoom, pan, vis } = display;
+  const setZoom = useCallback((next) => setDisplay(d => ({
+    ...d, zoom: typeof next === 'function' ? next(d.zoom) : next,
+  })), [setDisplay]);
+  const setPan = useCallback((next) => setDisplay(d => ({ ...d, pan: next })), [setDisplay]);
   const [isDragging, setIsDragging] = useState(false);
   const isPanning = useRef(false);
+  const isAiming  = useRef(false); // dragging a plane line from the pole
   const panStart  = useRef({ mx: 0, my: 0, px: 0, py: 0 });
 
   // wheel to zoom
   const handleWheel = useCallback((e) => {
     e.preventDefault();
     const factor = e.deltaY < 0 ? 1.12 : 1 / 1.12;
-    setZoom(z => Math.min(Math.max(z * factor, 0.4), 8));
-  }, []);
+    setZoom(z => Math.min(Math.max(z * factor, ZOOM_LIMITS[0]), ZOOM_LIMITS[1]));
+  }, [setZoom]);
   useEffect(() => {
     const el = svgRef.current;
     if (!el) return;
@@ -42,53 +79,84 @@ export default function MohrsCircle({ sigmaX, sigmaY, tauXY, theta }) {
       x: panStart.current.px + (e.clientX - panStart.current.mx),
       y: panStart.current.py + (e.clientY - panStart.current.my),
     });
-  }, []);
+  }, [setPan]);
   const handleMouseUp = useCallback(() => {
     isPanning.current = false;
+    isAiming.current = false;
     setIsDragging(false);
   }, []);
-  const handleDblClick = useCallback(() => { setZoom(1); setPan({ x: 0, y: 0 }); }, []);
+  const handleDblClick = useCallback(() => {
+    setDisplay(d => ({ ...d, zoom: 1, pan: { x: 0, y: 0 } }));
+  }, [setDisplay]);
 
   // ── visibility toggles ──
-  const [vis, setVis] = useState({
-    grid:        true,
-    principal:   true,   // P1, P2 points, radius lines, 2θp arc
-    shear:       true,   // τmax / τmin points
-    sigmaAvg:    true,   // σavg dashed line + arrow
-    rotation:    true,   // rotating point, conjugate, 2θ arc, diameter line, projections, R label
-    axisTicks:   true,   // numeric tick labels
-  });
   const toggle = useCallback((key) =>
-    setVis(v => ({ ...v, [key]: !v[key] })), []);
+    setDisplay(d => ({ ...d, vis: { ...d.vis, [key]: !d.vis[key] } })), [setDisplay]);
 
   // ── hovered point (for z-order: hovered group renders last = on top) ──
   const [hoveredPt, setHoveredPt] = useState(null);
 
+  // ── plane picked by dragging from the pole: its normal, CCW degrees ──
+  const [probe, setProbe] = useState(null);
+
   // ── computed values ──
   const derived = useMemo(() => {
-    const avg = (sigmaX + sigmaY) / 2;
-    const diff = (sigmaX - sigmaY) / 2;
-    const R = Math.sqrt(diff * diff + tauXY * tauXY);
-
-    const angle2 = toRad(2 * theta);
-    const sx_prime = avg + diff * Math.cos(angle2) + tauXY * Math.sin(angle2);
-    const txy_prime = -diff * Math.sin(angle2) + tauXY * Math.cos(angle2);
-
-    // principal stresses
-    const s1 = avg + R;
-    const s2 = avg - R;
-
-    // principal angle (angle from x-face to σ1, in degrees)
-    const thetaP1 = (Math.atan2(tauXY, diff) * 180) / Math.PI / 2;
-    // second principal angle
-    const thetaP2 = thetaP1 + 90;
-    // max shear angle (45° from principal)
-    const thetaS1 = thetaP1 - 45;
-
-    return { avg, diff, R, sx_prime, txy_prime, s1, s2, thetaP1, thetaP2, thetaS1 };
-  }, [sigmaX, sigmaY, tauXY, theta]);
-
-  const { avg, diff, R, sx_prime, txy_prime, s1, s2, thetaP1, thetaP2, thetaS1 } = derived;
+    const a = analyzeStress(sigmaX, sigmaY, tauXY);
+    const t = transformStress(sigmaX, sigmaY, tauXY, psi);
+    const p3 = principalStresses3D({ sigmaX, sigmaY, sigmaZ, tauXY, tauYZ, tauZX });
+
+    // isotropic state: every direction is principal, report the x-face
+    const [thetaP1, thetaP2] = a.principalAngles || [0, 90];
+    const [thetaS1] = a.shearAngles || [-45];
+
+    return {
+      avg: a.avg, diff: a.diff, R: a.R,
+      sx_prime: t.sigmaX, txy_prime: t.tauXY,
+      s1: a.sigma1, s2: a.sigma2,
+      thetaP1, thetaP2, thetaS1,
+      p3,
+    };
+  }, [sigmaX, sigmaY, tauXY, sigmaZ, tauYZ, tauZX, psi]);
+
+  const { avg, diff, R, sx_prime, txy_prime, s1, s2, thetaP1, thetaP2, thetaS1, p3 } = derived;
+
+  // ── load-case overlays [{ id, name, color, sigmaX, sigmaY, tauXY }], shown
+  //    in the same convention as the live state ──
+  const caseCircles = overlays.map(c => {
+    const s = signedState(c, convention);
+    const a = analyzeStress(s.sigmaX, s.sigmaY, s.tauXY);
+    return {
+      id: c.id, name: c.name, color: c.color,
+      sigmaX: s.sigmaX, tauXY: s.tauXY, avg: a.avg, R: a.R,
+      reach: Math.max(Math.abs(s.sigmaX), Math.abs(s.sigmaY), Math.abs(s.tauXY)) + a.R,
+    };
+  });
+  const shownCases = vis.cases ? caseCircles : [];
+
+  // ── load-history trail { path: [{ t, sigmaX, sigmaY, tauXY }], t }: the
+  //    whole path sets the scale so it holds still during playback; only the
+  //    part up to t is drawn ──
+  const trailStates = (vis.trail && trail ? trail.path : []).map(st => {
+    const s = signedState(st, convention);
+    const a = analyzeStress(s.sigmaX, s.sigmaY, s.tauXY);
+    return {
+      t: st.t, sigmaX: s.sigmaX, tauXY: s.tauXY, avg: a.avg, R: a.R,
+      reach: Math.max(Math.abs(s.sigmaX), Math.abs(s.sigmaY), Math.abs(s.tauXY)) + a.R,
+    };
+  });
+  const trailDrawn = trailStates.filter(st => st.t <= trail.t + 1e-9);
+
+  // ── geotechnical overlay { effective, u, c, phi, check }: the effective
+  //    state's circle (same convention as the live one) under the Mohr–Coulomb
+  //    envelope; check is mohrCoulomb(…), compression-positive ──
+  const geo = geotech && vis.geotech ? (() => {
+    const e = signedState(geotech.effective, convention);
+    const a = analyzeStress(e.sigmaX, e.sigmaY, e.tauXY);
+    return {
+      sigmaX: e.sigmaX, tauXY: e.tauXY, avg: a.avg, R: a.R,
+      reach: Math.max(Math.abs(e.sigmaX), Math.abs(e.sigmaY), Math.abs(e.tauXY)) + a.R,
+    };
+  })() : null;
 
   // ── SVG coordinate mapping ──
   const W = 900;
@@ -96,10 +164,20 @@ export default function MohrsCircle({ sigmaX, sigmaY, tauXY, theta }) {
   const cx = W / 2;
   const cy = H / 2;
 
-  // auto-scale so circle always fills most of the viewport
-  const maxVal = Math.max(Math.abs(sigmaX), Math.abs(sigmaY), Math.abs(tauXY), 1);
-  const scale = (Math.min(W, H) / 2 - 80) / (maxVal + R + 10);
-  const clampedScale = Math.min(Math.max(scale, 0.5), 8);
+  // auto-scale so circle always fills most of the viewport; everything is
+  // relative to the state's own magnitude so any stress unit fits
+  const maxVal = Math.max(Math.abs(sigmaX), Math.abs(sigmaY), Math.abs(tauXY)) || 1;
+  // 3D circles may reach beyond the in-plane one (σz or out-of-plane shear)
+  const extent = Math.max(
+    R + Math.abs(avg), Math.abs(p3.sigma1), Math.abs(p3.sigma3),
+    ...shownCases.map(c => c.R + Math.abs(c.avg)),
+    ...trailStates.map(st => st.R + Math.abs(st.avg)),
+    geo ? geo.R + Math.abs(geo.avg) : 0,
+  ) || 1;
+  const reach = Math.max(
+    maxVal + R, extent, ...shownCases.map(c => c.reach), ...trailStates.map(st => st.reach), geo ? geo.reach : 0,
+  );
+  const clampedScale = (Math.min(W, H) / 2 - 80) / (reach * 1.06);
 
   const toSvgX = (v) => cx + v * clampedScale;
   const toSvgY = (v) => cy - v * clampedScale; // y flips
@@ -109,14 +187,15 @@ export default function MohrsCircle({ sigmaX, sigmaY, tauXY, theta }) {
   const circleR = R * clampedScale;
 
   // ── Point A: the x-face point (σx, τxy) — fixed on the circle ──
-  // Convention: τxy plots on the NEGATIVE y-axis (downward), so Point A is at (diff, -tauXY)
-  const angle2 = toRad(2 * theta);
-  const alpha_A = Math.atan2(-tauXY, diff || 0); // angle of Point A (τxy plots down)
+  // With +τ plotted downward Point A sits at (diff, −τxy) and the point turns
+  // the same way as the element; plotted upward it turns the opposite way.
+  const turn = -up * toRad(2 * psi); // on-screen angle swept by the live point
+  const alpha_A = Math.atan2(up * tauXY, diff || 0); // angle of Point A
   const aX = circleCX + circleR * Math.cos(alpha_A);
   const aY = circleCY - circleR * Math.sin(alpha_A); // SVG y-flip
 
-  // current rotating point (σx', τx'y') — starts at A, rotates by −2θ
-  const liveAngle = alpha_A - angle2;
+  // current rotating point (σx', τx'y') — starts at A, rotates by 2θ
+  const liveAngle = alpha_A + turn;
   const pointX = circleCX + circleR * Math.cos(liveAngle);
   const pointY = circleCY - circleR * Math.sin(liveAngle);
 
@@ -132,11 +211,11 @@ export default function MohrsCircle({ sigmaX, sigmaY, tauXY, theta }) {
   const p2X = circleCX - circleR;
   const p2Y = circleCY;
 
-  // ── Max shear point (top/bottom of circle) ──
-  const topShearX = circleCX;
-  const topShearY = circleCY - circleR;
-  const botShearX = circleCX;
-  const botShearY = circleCY + circleR;
+  // ── Max / min shear points (top/bottom of circle, per the τ axis sense) ──
+  const maxShearX = circleCX;
+  const maxShearY = circleCY - up * circleR;
+  const minShearX = circleCX;
+  const minShearY = circleCY + up * circleR;
 
   // arc for 2θ (from Point A to live point)
   const arcR = Math.max(circleR * 0.22, 14);
@@ -145,7 +224,7 @@ export default function MohrsCircle({ sigmaX, sigmaY, tauXY, theta }) {
   const arcEndX = circleCX + arcR * Math.cos(liveAngle);
   const arcEndY = circleCY - arcR * Math.sin(liveAngle);
   const largeArc = Math.abs(2 * theta) > 180 ? 1 : 0;
-  const sweepArc = theta >= 0 ? 1 : 0; // positive θ → CW on circle (decreasing angle)
+  const sweepArc = turn < 0 ? 1 : 0; // SVG sweep 1 = clockwise on screen
 
   // arc for 2θP1 (from Point A to P1 at angle 0)
   const arcP_R = circleR * 0.35;
@@ -154,10 +233,33 @@ export default function MohrsCircle({ sigmaX, sigmaY, tauXY, theta }) {
   const arcP_EndX = circleCX + arcP_R; // P1 is always at angle 0
   const arcP_EndY = circleCY;
   const arcP_large = Math.abs(2 * thetaP1) > 180 ? 1 : 0;
-  const arcP_sweep = thetaP1 >= 0 ? 0 : 1; // A below axis (+τxy): go CCW (incr angle) to P1 at 0°
+  const arcP_sweep = alpha_A > 0 ? 1 : 0; // A above the axis: go CW down to P1 at 0°
+
+  // ── pole (origin of planes) ──
+  // A line through A parallel to the x-face plane (vertical) meets the circle
+  // again at A's mirror image across the σ axis. From there, the line to any
+  // point is parallel to that plane. With +τ plotted upward the diagram is a
+  // reflection of the element: every chord then turns against the plane, so
+  // no pole exists and the construction is switched off.
+  const poleShown = vis.pole && up < 0;
+  const poleX = aX;
+  const poleY = 2 * circleCY - aY;
+  const planeAngle = (x, y) => normalizeAngle(-up * Math.atan2(poleY - y, x - poleX) / toRad(1) - 90);
+  const probeState = probe === null ? null : transformStress(sigmaX, sigmaY, tauXY, probe);
+  const probeAngle = probe === null ? 0 : alpha_A - up * toRad(2 * probe);
+  const probeX = circleCX + circleR * Math.cos(probeAngle);
+  const probeY = circleCY - circleR * Math.sin(probeAngle);
+
+  // drag from the pole: aim a plane line at the cursor
+  function aimProbe(e) {
+    const pt = new DOMPoint(e.clientX, e.clientY).matrixTransform(svgRef.current.getScreenCTM().inverse());
+    const x = (pt.x - W / 2 - pan.x) / zoom + W / 2;
+    const y = (pt.y - H / 2 - pan.y) / zoom + H / 2;
+    if (Math.hypot(x - poleX, y - poleY) > 4) setProbe(planeAngle(x, y));
+  }
 
   // axis bounds
-  const axisExtent = (R + Math.max(Math.abs(avg), 1) + 15) * clampedScale + 40;
+  const axisExtent = extent * 1.1 * clampedScale + 40;
   const axisLeft = Math.max(cx - axisExtent, 10);
   const axisRight = Math.min(cx + axisExtent, W - 10);
   const axisTop = Math.max(cy - axisExtent, 10);
@@ -165,12 +267,12 @@ export default function MohrsCircle({ sigmaX, sigmaY, tauXY, theta }) {
 
   // grid ticks
   const tickStep = (() => {
-    const raw = (R + Math.abs(avg)) / clampedScale / 4;
-    const exp = Math.pow(10, Math.floor(Math.log10(raw || 1)));
+    const raw = extent / 8;
+    const exp = Math.pow(10, Math.floor(Math.log10(raw)));
     const nice = [1, 2, 5, 10].find(f => f * exp >= raw) || 10;
     return nice * exp;
   })();
-  const maxTick = Math.ceil(((R + Math.abs(avg)) / clampedScale + tickStep) / tickStep) * tickStep;
+  const maxTick = Math.ceil(axisExtent / clampedScale / tickStep) * tickStep;
   const ticks = [];
   for (let v = -maxTick; v <= maxTick; v += tickStep) {
     ticks.push(+v.toPrecision(4));
@@ -201,9 +303,9 @@ export default function MohrsCircle({ sigmaX, sigmaY, tauXY, theta }) {
       <div className="mohr-toolbar">
         {/* zoom section */}
         <div className="mohr-zoom-bar">
-          <button className="mohr-zoom-btn" onClick={() => setZoom(z => Math.min(z * 1.25, 8))} title="Zoom in">️+</button>
+          <button className="mohr-zoom-btn" onClick={() => setZoom(z => Math.min(z * 1.25, ZOOM_LIMITS[1]))} title="Zoom in">️+</button>
           <span className="mohr-zoom-label">{Math.round(zoom * 100)}%</span>
-          <button className="mohr-zoom-btn" onClick={() => setZoom(z => Math.max(z / 1.25, 0.4))} title="Zoom out">️−</button>
+          <button className="mohr-zoom-btn" onClick={() => setZoom(z => Math.max(z / 1.25, ZOOM_LIMITS[0]))} title="Zoom out">️−</button>
           <button className="mohr-zoom-btn mohr-zoom-reset" onClick={handleDblClick} title="Reset view">↺</button>
         </div>
         <div className="mohr-toolbar-sep" />
@@ -211,23 +313,41 @@ export default function MohrsCircle({ sigmaX, sigmaY, tauXY, theta }) {
         <div className="mohr-vis-bar">
           {[
             { key: 'principal', label: 'Principal', color: '#1b5e20' },
-            { key: 'shear',     label: 'τₐₑⴹ', color: '#6a1b9a' },
-            { key: 'sigmaAvg',  label: 'σₐᵥᵍ', color: '#e65c00' },
+            { key: 'shear',     label: shearText(Q, 'max'), color: '#6a1b9a' },
+            { key: 'sigmaAvg',  label: `${N}avg`, color: '#e65c00' },
             { key: 'rotation',  label: 'Live Point', color: '#1565c0' },
+            spatial && { key: 'circles3D', label: '3D Circles', color: '#00897b' },
+            { key: 'pole',      label: 'Pole', color: '#6d4c41',
+              disabled: up > 0 && `The pole needs +${shearText(Q)} plotted downward; plotted upward the plane lines come out mirrored` },
+            overlays.length > 0 && { key: 'cases', label: 'Load Cases', color: '#8e24aa' },
+            trail && { key: 'trail', label: 'Trail', color: '#00695c' },
+            geotech && { key: 'geotech', label: `Effective ${N}′`, color: '#795548' },
             { key: 'grid',      label: 'Grid', color: '#5b7fa6' },
             { key: 'axisTicks', label: 'Ticks', color: '#2a4a7a' },
-          ].map(({ key, label, color }) => (
-            <button
-              key={key}
-              className={`mohr-vis-btn${vis[key] ? ' mohr-vis-btn--on' : ''}`}
-              style={vis[key] ? { borderColor: color, color: color, background: color + '18' } : {}}
-              onClick={() => toggle(key)}
-            >
-              <span className="mohr-vis-dot" style={{ background: vis[key] ? color : '#aaa' }} />
-              {label}
-            </button>
-          ))}
+          ].filter(Boolean).map(({ key, label, color, disabled }) => {
+            const on = vis[key] && !disabled;
+            return (
+              <button
+                key={key}
+                className={`mohr-vis-btn${on ? ' mohr-vis-btn--on' : ''}`}
+                style={on ? { borderColor: color, color: color, background: color + '18' } : {}}
+                disabled={Boolean(disabled)}
+                title={disabled || undefined}
+                onClick={() => toggle(key)}
+              >
+                <span className="mohr-vis-dot" style={{ background: on ? color : '#aaa' }} />
+                {label}
+              </button>
+            );
+          })}
         </div>
+        <div className="mohr-toolbar-sep" />
+        {/* exports show the visible layers over the whole figure, unzoomed */}
+        <ExportMenu
+          name="mohrs-circle"
+          title="Mohr's circle"
+          getFigure={() => ({ svg: svgRef.current, width: W, height: H })}
+        />
       </div>
       {/* ── SVG canvas ── */}
       <svg
@@ -237,7 +357,7 @@ export default function MohrsCircle({ sigmaX, sigmaY, tauXY, theta }) {
         style={{ cursor: isDragging ? 'grabbing' : 'grab' }}
         aria-label="Mohr's Circle"
         onMouseDown={handleMouseDown}
-        onMouseMove={handleMouseMove}
+        onMouseMove={(e) => (isAiming.current ? aimProbe(e) : handleMouseMove(e))}
         onMouseUp={handleMouseUp}
         onMouseLeave={handleMouseUp}
         onDoubleClick={handleDblClick}
@@ -260,8 +380,8 @@ export default function MohrsCircle({ sigmaX, sigmaY, tauXY, theta }) {
           </marker>
         </defs>
 
-        {/* zoom + pan transform group — all content lives inside here */}
-        <g transform={`translate(${W/2 + pan.x} ${H/2 + pan.y}) scale(${zoom}) translate(${-W/2} ${-H/2})`}>
+        {/* zoom + pan transform group — all content lives inside here; exports drop it */}
+        <g data-view transform={`translate(${W/2 + pan.x} ${H/2 + pan.y}) scale(${zoom}) translate(${-W/2} ${-H/2})`}>
 
         {/* ── grid lines ── */}
         {vis.grid && ticks.map(v => {
@@ -278,12 +398,16 @@ export default function MohrsCircle({ sigmaX, sigmaY, tauXY, theta }) {
         {/* ── axes ── */}
         <line x1={axisLeft} y1={cy} x2={axisRight} y2={cy}
           stroke="#1a3a6e" strokeWidth="2.5" markerEnd="url(#arrowAxis)" />
-        <line x1={cx} y1={axisBottom} x2={cx} y2={axisTop}
+        {/* τ axis arrow points toward +τ */}
+        <line x1={cx} y1={up > 0 ? axisBottom : axisTop} x2={cx} y2={up > 0 ? axisTop : axisBottom}
           stroke="#1a3a6e" strokeWidth="2.5" markerEnd="url(#arrowAxis)" />
 
         {/* axis labels */}
-        <text x={axisRight - 6} y={cy - 14} fill="#1a3a6e" fontSize="16" fontFamily="JetBrains Mono, monospace" fontWeight="800" textAnchor="end">σ (MPa)</text>
-        <text x={cx + 12} y={axisTop + 16} fill="#1a3a6e" fontSize="16" fontFamily="JetBrains Mono, monospace" fontWeight="800">τ (MPa)</text>
+        <text x={axisRight - 6} y={cy - 14} fill="#1a3a6e" fontSize="16" fontFamily="JetBrains Mono, monospace" fontWeight="800" textAnchor="end">{N} ({Q.unit})</text>
+        {convention.normal === 'compression' && (
+          <text x={axisRight - 6} y={cy - 34} fill="#1a3a6e" fontSize="12" fontFamily="JetBrains Mono, monospace" fontWeight="600" textAnchor="end">compression +</text>
+        )}
+        <text x={cx + 12} y={up > 0 ? axisTop + 16 : axisBottom - 8} fill="#1a3a6e" fontSize="16" fontFamily="JetBrains Mono, monospace" fontWeight="800">{shearText(Q)} ({Q.unit})</text>
 
         {/* ── tick labels ── */}
         {vis.axisTicks && ticks.filter(v => v !== 0).map(v => {
@@ -291,14 +415,13 @@ export default function MohrsCircle({ sigmaX, sigmaY, tauXY, theta }) {
           const gy = toSvgY(v);
           const inBoundsX = gx > 34 && gx < W - 34;
           const inBoundsY = gy > 22 && gy < H - 22;
-          const label = Math.abs(v) >= 1000 ? (v / 1000).toFixed(0) + 'k' : v % 1 === 0 ? String(v) : v.toFixed(1);
           return (
             <g key={v}>
               {inBoundsX && (
-                <text x={gx} y={cy + 19} fill="#2a4a7a" fontSize="12" fontFamily="JetBrains Mono, monospace" fontWeight="600" textAnchor="middle">{label}</text>
+                <text x={gx} y={cy + 19} fill="#2a4a7a" fontSize="12" fontFamily="JetBrains Mono, monospace" fontWeight="600" textAnchor="middle">{compact(v)}</text>
               )}
               {inBoundsY && (
-                <text x={cx - 9} y={gy + 4} fill="#2a4a7a" fontSize="12" fontFamily="JetBrains Mono, monospace" fontWeight="600" textAnchor="end">{label}</text>
+                <text x={cx - 9} y={gy + 4} fill="#2a4a7a" fontSize="12" fontFamily="JetBrains Mono, monospace" fontWeight="600" textAnchor="end">{compact(up * v)}</text>
               )}
             </g>
           );
@@ -316,7 +439,7 @@ export default function MohrsCircle({ sigmaX, sigmaY, tauXY, theta }) {
               <line x1={axisLeft + 10} y1={ly} x2={circleCX - 8} y2={ly}
                 stroke="#e65c00" strokeWidth="1.5" strokeDasharray="5,4" opacity="0.7"
                 markerEnd="url(#arrowAxis)" />
-              {pill((axisLeft + 10 + circleCX - 8) / 2, ly - 4, `σavg=${fmt(avg)}`, '#e65c00', 'middle')}
+              {pill((axisLeft + 10 + circleCX - 8) / 2, ly - 4, `${N}avg=${fmt(avg, digits)}`, '#e65c00', 'middle')}
             </>
           );
         })()}
@@ -324,9 +447,9 @@ export default function MohrsCircle({ sigmaX, sigmaY, tauXY, theta }) {
         {/* ── Max shear horizontal projection lines (non-interactive decoration) ── */}
         {vis.shear && circleR > 0 && (
           <>
-            <line x1={topShearX} y1={topShearY} x2={cx} y2={topShearY}
+            <line x1={maxShearX} y1={maxShearY} x2={cx} y2={maxShearY}
               stroke="#6a1b9a" strokeWidth="1.5" strokeDasharray="4,4" opacity="0.45" />
-            <line x1={botShearX} y1={botShearY} x2={cx} y2={botShearY}
+            <line x1={minShearX} y1={minShearY} x2={cx} y2={minShearY}
               stroke="#6a1b9a" strokeWidth="1.5" strokeDasharray="4,4" opacity="0.45" />
           </>
         )}
@@ -343,6 +466,119 @@ export default function MohrsCircle({ sigmaX, sigmaY, tauXY, theta }) {
           );
         })}
 
+        {/* ── 3D Mohr's circles: admissible (σn, τn) region between the three ── */}
+        {spatial && vis.circles3D && p3.tauAbsMax > 1e-9 && (() => {
+          const { sigma1: q1, sigma2: q2, sigma3: q3 } = p3;
+          const ring = (a, b) => {
+            const c = toSvgX((a + b) / 2), r = ((a - b) / 2) * clampedScale;
+            return `M ${c - r},${cy} a ${r},${r} 0 1,0 ${2 * r},0 a ${r},${r} 0 1,0 ${-2 * r},0`;
+          };
+          const rings = [
+            { a: q1, b: q3 },
+            { a: q1, b: q2 },
+            { a: q2, b: q3 },
+          ];
+          return (
+            <g>
+              <path d={rings.map(({ a, b }) => ring(a, b)).join(' ')}
+                fill="#00897b" fillOpacity="0.1" fillRule="evenodd" stroke="none" />
+              {rings.map(({ a, b }, i) => (
+                <path key={i} d={ring(a, b)} fill="none" stroke="#00897b"
+                  strokeWidth={i === 0 ? 2 : 1.5} strokeDasharray="7,4" opacity="0.75" />
+              ))}
+              {[q1, q2, q3].map((q, i) => (
+                <g key={i}>
+                  <circle cx={toSvgX(q)} cy={cy} r={4.5} fill="#00897b" stroke="#fff" strokeWidth="1.2" />
+                  <text x={toSvgX(q)} y={cy + 36} fill="#00897b" fontSize="12"
+                    fontFamily="JetBrains Mono, monospace" fontWeight="700" textAnchor="middle">
+                    {N}{i + 1}={fmt(q, Math.max(digits - 1, 0))}
+                  </text>
+                </g>
+              ))}
+              {pill(toSvgX((q1 + q3) / 2), toSvgY(p3.tauAbsMax) - 12,
+                `${shearText(Q, 'abs')} = ${fmt(p3.tauAbsMax, digits)}`, '#00897b', 'middle')}
+            </g>
+          );
+        })()}
+
+        {/* ── load-history trail: fading ghost circles, centres, principal points
+               and the path of the x-face point A ── */}
+        {trailDrawn.length > 1 && (() => {
+          const n = trailDrawn.length;
+          const fade = (i) => 0.15 + 0.85 * (i + 1) / n;
+          const ghostEvery = Math.max(Math.round(n / 10), 1);
+          return (
+            <g>
+              {trailDrawn.map((st, i) => (i % ghostEvery === 0 && st.R > 0 && (
+                <circle key={`g${i}`} cx={toSvgX(st.avg)} cy={cy} r={st.R * clampedScale}
+                  fill="none" stroke="#00695c" strokeWidth="1" opacity={0.25 * fade(i)} />
+              )))}
+              {trailDrawn.map((st, i) => (
+                <g key={i} opacity={fade(i)}>
+                  <circle cx={toSvgX(st.avg - st.R)} cy={cy} r={2.5} fill="#e65100" />
+                  <circle cx={toSvgX(st.avg + st.R)} cy={cy} r={2.5} fill="#1b5e20" />
+                  <circle cx={toSvgX(st.avg)} cy={cy} r={2} fill="#e65c00" />
+                </g>
+              ))}
+              <polyline fill="none" stroke="#00695c" strokeWidth="2" strokeLinejoin="round" opacity="0.8"
+                points={trailDrawn.map(st => `${toSvgX(st.sigmaX)},${toSvgY(up * st.tauXY)}`).join(' ')} />
+            </g>
+          );
+        })()}
+
+        {/* ── load-case circles: outline, x-face point A and principal points ── */}
+        {shownCases.map(c => {
+          const ccx = toSvgX(c.avg), r = c.R * clampedScale;
+          return (
+            <g key={c.id} opacity="0.85">
+              <circle cx={ccx} cy={cy} r={Math.max(r, 3)} fill="none"
+                stroke={c.color} strokeWidth="2.5" strokeDasharray="10,5" />
+              {[ccx - r, ccx + r].map((x, i) => (
+                <circle key={i} cx={x} cy={cy} r={5} fill={c.color} stroke="#fff" strokeWidth="1.2" />
+              ))}
+              <circle cx={toSvgX(c.sigmaX)} cy={toSvgY(up * c.tauXY)} r={5}
+                fill="#fff" stroke={c.color} strokeWidth="2.5" />
+              {pill(ccx, cy - r - 10, c.name, c.color, 'middle')}
+            </g>
+          );
+        })}
+
+        {/* ── effective-stress circle + Mohr–Coulomb envelope τ = ±(c + σ′ tan φ);
+               the envelope is built compression-positive and mapped onto the
+               displayed σ axis, so it mirrors with the convention ── */}
+        {geo && (() => {
+          const { c, phi, u, check } = geotech;
+          const k = -normalSign(convention); // displayed σ per compression-positive σ
+          const toX = (sc) => toSvgX(k * sc);
+          const tan = Math.tan(toRad(phi));
+          const far = (axisExtent / clampedScale) * 1.5;
+          const start = tan > 1e-9 ? Math.max(-c / tan, -far) : -far;
+          const branch = (sign) => [start, far].map(sc => `${toX(sc)},${toSvgY(sign * (c + sc * tan))}`).join(' ');
+          const [tx, ty] = check.tangent;
+          const gap = check.distance;
+          const foot = [tx - gap * Math.sin(toRad(phi)), ty + gap * Math.cos(toRad(phi))];
+          const gcx = toSvgX(geo.avg), gr = geo.R * clampedScale;
+          const color = gap < 0 ? '#c62828' : '#795548';
+          return (
+            <g>
+              {[1, -1].map(sign => (
+                <polyline key={sign} points={branch(sign)} fill="none"
+                  stroke="#d84315" strokeWidth="2.5" strokeDasharray="12,5" opacity="0.85" />
+              ))}
+              <circle cx={gcx} cy={cy} r={Math.max(gr, 3)} fill="#795548" fillOpacity="0.06"
+                stroke="#795548" strokeWidth="2.5" />
+              <circle cx={toSvgX(geo.sigmaX)} cy={toSvgY(up * geo.tauXY)} r={5}
+                fill="#fff" stroke="#795548" strokeWidth="2.5" />
+              <line x1={toX(tx)} y1={toSvgY(ty)} x2={toX(foot[0])} y2={toSvgY(foot[1])}
+                stroke={color} strokeWidth="2" strokeDasharray="3,3" />
+              <circle cx={toX(tx)} cy={toSvgY(ty)} r={5} fill={color} stroke="#fff" strokeWidth="1.2" />
+              {pill(gcx, cy + gr + 24, `${N}′  u=${fmt(u, digits)}`, '#795548', 'middle')}
+              {circleR > 0 && pill(circleCX, circleCY - circleR - 10, 'total', '#1565c0', 'middle')}
+              {pill(toX(foot[0]) + 10, toSvgY(foot[1]) - 10, `c=${fmt(c, digits)} φ=${fmt(phi, 1)}°`, '#d84315')}
+            </g>
+          );
+        })()}
+
         {/* ── Mohr's circle ── */}
         {circleR > 0 ? (
           <circle
@@ -373,7 +609,7 @@ export default function MohrsCircle({ sigmaX, sigmaY, tauXY, theta }) {
             {pill(
               circleCX + (arcP_R + 18) * Math.cos(alpha_A / 2),
               circleCY - (arcP_R + 18) * Math.sin(alpha_A / 2),
-              `2θp=${fmt(2 * thetaP1, 1)}°`,
+              `2θp=${fmt(2 * showAngle(thetaP1), 1)}°`,
               '#1b5e20',
               'middle'
             )}
@@ -411,8 +647,8 @@ export default function MohrsCircle({ sigmaX, sigmaY, tauXY, theta }) {
               fill="none" stroke="#e65c00" strokeWidth="2.5" opacity="0.9"
             />
             {pill(
-              circleCX + (arcR + 16) * Math.cos(alpha_A - toRad(theta)),
-              circleCY - (arcR + 16) * Math.sin(alpha_A - toRad(theta)),
+              circleCX + (arcR + 16) * Math.cos(alpha_A + turn / 2),
+              circleCY - (arcR + 16) * Math.sin(alpha_A + turn / 2),
               `2θ=${fmt(2 * theta, 1)}°`,
               '#e65c00',
               'middle'
@@ -438,44 +674,77 @@ export default function MohrsCircle({ sigmaX, sigmaY, tauXY, theta }) {
         {vis.rotation && circleR > 30 && pill(
           (circleCX + pointX) / 2 + 6,
           (circleCY + pointY) / 2,
-          `R=${fmt(R)}`, '#e65c00'
+          `R=${fmt(R, digits)}`, '#e65c00'
         )}
 
+        {/* ── pole construction: plane lines from the origin of planes ── */}
+        {poleShown && circleR > 0 && (() => {
+          const targets = [
+            vis.rotation  && { x: pointX,    y: pointY,    color: '#1565c0' },
+            vis.rotation  && { x: conjX,     y: conjY,     color: '#c62828' },
+            vis.principal && { x: p1X,       y: p1Y,       color: '#1b5e20' },
+            vis.principal && { x: p2X,       y: p2Y,       color: '#e65100' },
+            vis.shear     && { x: maxShearX, y: maxShearY, color: '#6a1b9a' },
+            vis.shear     && { x: minShearX, y: minShearY, color: '#6a1b9a' },
+          ].filter(t => t && Math.hypot(t.x - poleX, t.y - poleY) > 1);
+          return (
+            <g>
+              {/* x-face plane through A */}
+              <line x1={aX} y1={aY} x2={poleX} y2={poleY}
+                stroke="#6d4c41" strokeWidth="1.5" strokeDasharray="3,4" opacity="0.7" />
+              {targets.map((t, i) => (
+                <line key={i} x1={poleX} y1={poleY} x2={t.x} y2={t.y}
+                  stroke={t.color} strokeWidth="1.5" opacity="0.55" />
+              ))}
+              {probeState && (
+                <>
+                  <line x1={poleX} y1={poleY} x2={probeX} y2={probeY}
+                    stroke="#6d4c41" strokeWidth="2.5" />
+                  <circle cx={probeX} cy={probeY} r={6} fill="white" stroke="#6d4c41" strokeWidth="2.5" />
+                  {pill(probeX + 12, probeY - 10,
+                    `θ=${fmt(showAngle(probe), 1)}°  (${fmt(probeState.sigmaX, digits)}, ${fmt(probeState.tauXY, digits)})`,
+                    '#6d4c41')}
+                </>
+              )}
+            </g>
+          );
+        })()}
+
         {/* ── Interactive point groups — sorted so hovered renders last (on top) ── */}
         {[
-          // ── τmax (top of circle) ──
+          // ── τmax ──
           {
             key: 'tauMax',
             show: vis.shear && circleR > 0,
             render: () => {
-              const dx = topShearX - circleCX, dy = topShearY - circleCY;
+              const dx = maxShearX - circleCX, dy = maxShearY - circleCY;
               const len = Math.sqrt(dx * dx + dy * dy) || 1;
               const nx = dx / len, ny = dy / len;
-              const lx = topShearX + nx * 34, ly = topShearY + ny * 34;
+              const lx = maxShearX + nx * 34, ly = maxShearY + ny * 34;
               const anchor = Math.abs(nx) < 0.3 ? 'middle' : nx > 0 ? 'start' : 'end';
               return <>
-                <circle cx={topShearX} cy={topShearY} r={hoveredPt === 'tauMax' ? 9 : 7}
+                <circle cx={maxShearX} cy={maxShearY} r={hoveredPt === 'tauMax' ? 9 : 7}
                   fill="#6a1b9a" stroke="#fff" strokeWidth="1.5"
                   style={{ filter: 'url(#glowStrongM)', transition: 'r 0.1s' }} />
-                {pill(lx, ly, `τmax = ${fmt(R)}`, '#6a1b9a', anchor)}
+                {pill(lx, ly, `${shearText(Q, 'max')} = ${fmt(R, digits)}`, '#6a1b9a', anchor)}
               </>;
             },
           },
-          // ── τmin (bottom of circle) ──
+          // ── τmin ──
           {
             key: 'tauMin',
             show: vis.shear && circleR > 0,
             render: () => {
-              const dx = botShearX - circleCX, dy = botShearY - circleCY;
+              const dx = minShearX - circleCX, dy = minShearY - circleCY;
               const len = Math.sqrt(dx * dx + dy * dy) || 1;
               const nx = dx / len, ny = dy / len;
-              const lx = botShearX + nx * 34, ly = botShearY + ny * 34;
+              const lx = minShearX + nx * 34, ly = minShearY + ny * 34;
               const anchor = Math.abs(nx) < 0.3 ? 'middle' : nx > 0 ? 'start' : 'end';
               return <>
-                <circle cx={botShearX} cy={botShearY} r={hoveredPt === 'tauMin' ? 9 : 7}
+                <circle cx={minShearX} cy={minShearY} r={hoveredPt === 'tauMin' ? 9 : 7}
                   fill="#6a1b9a" stroke="#fff" strokeWidth="1.5"
                   style={{ filter: 'url(#glowStrongM)', transition: 'r 0.1s' }} />
-                {pill(lx, ly, `τmin = ${fmt(-R)}`, '#6a1b9a', anchor)}
+                {pill(lx, ly, `${shearText(Q, 'min')} = ${fmt(-R, digits)}`, '#6a1b9a', anchor)}
               </>;
             },
           },
@@ -494,8 +763,8 @@ export default function MohrsCircle({ sigmaX, sigmaY, tauXY, theta }) {
                 <circle cx={p1X} cy={p1Y} r={hoveredPt === 'p1' ? 11 : 9}
                   fill="#1b5e20" stroke="#fff" strokeWidth="2"
                   style={{ filter: 'url(#glowStrongM)', transition: 'r 0.1s' }} />
-                {pill(lx, ly - 2, `P1  θp = ${fmt(thetaP1, 1)}°`, '#1b5e20', anchor)}
-                {pill(lx, ly + 22, `σ1 = ${fmt(s1)}`, '#1b5e20', anchor)}
+                {pill(lx, ly - 2, `P1  θp = ${fmt(showAngle(thetaP1), 1)}°`, '#1b5e20', anchor)}
+                {pill(lx, ly + 22, `${N}1 = ${fmt(s1, digits)}`, '#1b5e20', anchor)}
               </>;
             },
           },
@@ -514,8 +783,8 @@ export default function MohrsCircle({ sigmaX, sigmaY, tauXY, theta }) {
                 <circle cx={p2X} cy={p2Y} r={hoveredPt === 'p2' ? 11 : 9}
                   fill="#e65100" stroke="#fff" strokeWidth="2"
                   style={{ filter: 'url(#glowStrongM)', transition: 'r 0.1s' }} />
-                {pill(lx, ly - 2, `P2  θp = ${fmt(thetaP2, 1)}°`, '#e65100', anchor)}
-                {pill(lx, ly + 22, `σ2 = ${fmt(s2)}`, '#e65100', anchor)}
+                {pill(lx, ly - 2, `P2  θp = ${fmt(showAngle(thetaP2), 1)}°`, '#e65100', anchor)}
+                {pill(lx, ly + 22, `${N}2 = ${fmt(s2, digits)}`, '#e65100', anchor)}
               </>;
             },
           },
@@ -537,7 +806,7 @@ export default function MohrsCircle({ sigmaX, sigmaY, tauXY, theta }) {
                 <text x={aX} y={aY + 1} fill="white" fontSize="11"
                   fontFamily="JetBrains Mono, monospace" fontWeight="800" textAnchor="middle"
                   dominantBaseline="middle">A</text>
-                {pill(lx, ly, `A  (\u03c3x=${fmt(sigmaX)}, \u03c4xy=${fmt(tauXY)})`, '#37474f', anchor)}
+                {pill(lx, ly, `A  (${N}x=${fmt(sigmaX, digits)}, ${shearText(Q, 'xy')}=${fmt(tauXY, digits)})`, '#37474f', anchor)}
               </>;
             },
           },
@@ -557,7 +826,7 @@ export default function MohrsCircle({ sigmaX, sigmaY, tauXY, theta }) {
                   fill="white" stroke="#c62828" strokeWidth="3"
                   style={{ filter: 'url(#glowM)', transition: 'cx 0.25s ease, cy 0.25s ease, r 0.1s' }} />
                 {hoveredPt === 'conjPoint' && pill(lx, ly,
-                  `(${fmt(2 * avg - sx_prime)}, ${fmt(-txy_prime)})`, '#c62828', anchor)}
+                  `(${fmt(2 * avg - sx_prime, digits)}, ${fmt(-txy_prime, digits)})`, '#c62828', anchor)}
               </>;
             },
           },
@@ -576,7 +845,7 @@ export default function MohrsCircle({ sigmaX, sigmaY, tauXY, theta }) {
                 <circle cx={pointX} cy={pointY} r={hoveredPt === 'livePoint' ? 11 : 9}
                   fill="#1565c0" stroke="#fff" strokeWidth="2"
                   style={{ filter: 'url(#glowStrongM)', transition: 'cx 0.25s ease, cy 0.25s ease, r 0.1s' }} />
-                {pill(lx, ly, `(${fmt(sx_prime)}, ${fmt(txy_prime)})`, '#1565c0', anchor)}
+                {pill(lx, ly, `(${fmt(sx_prime, digits)}, ${fmt(txy_prime, digits)})`, '#1565c0', anchor)}
               </>;
             },
           },
@@ -592,6 +861,18 @@ export default function MohrsCircle({ sigmaX, sigmaY, tauXY, theta }) {
             </g>
           ))
         }
+        {/* pole marker — drag from it to read the stresses on any plane */}
+        {poleShown && circleR > 0 && (
+          <g style={{ cursor: 'crosshair' }}
+            onMouseDown={(e) => { isAiming.current = true; e.stopPropagation(); e.preventDefault(); }}
+          >
+            <circle cx={poleX} cy={poleY} r={9} fill="#6d4c41" stroke="#fff" strokeWidth="2"
+              style={{ filter: 'url(#glowStrongM)' }} />
+            <text x={poleX} y={poleY + 1} fill="white" fontSize="10"
+              fontFamily="JetBrains Mono, monospace" fontWeight="800" textAnchor="middle"
+              dominantBaseline="middle">Op</text>
+          </g>
+        )}
         </g>{/* end zoom+pan group */}
       </svg>
 
@@ -600,44 +881,58 @@ export default function MohrsCircle({ sigmaX, sigmaY, tauXY, theta }) {
         <div className="mohr-readout-title">DERIVED VALUES</div>
         <div className="mohr-readout-grid">
           <div className="mohr-readout-cell">
-            <span className="mohr-cell-label">σ<sub>x'</sub></span>
-            <span className="mohr-cell-val" style={{ color: '#1565c0' }}>{fmt(sx_prime)} <span className="mohr-cell-unit">MPa</span></span>
+            <span className="mohr-cell-label">{N}<sub>x'</sub></span>
+            <span className="mohr-cell-val" style={{ color: '#1565c0' }}>{fmt(sx_prime, digits)} <span className="mohr-cell-unit">{Q.unit}</span></span>
           </div>
           <div className="mohr-readout-cell">
-            <span className="mohr-cell-label">τ<sub>x'y'</sub></span>
-            <span className="mohr-cell-val" style={{ color: '#c62828' }}>{fmt(txy_prime)} <span className="mohr-cell-unit">MPa</span></span>
+            <span className="mohr-cell-label">{Q.shearSym}<sub>x'y'</sub>{Q.shearSuffix}</span>
+            <span className="mohr-cell-val" style={{ color: '#c62828' }}>{fmt(txy_prime, digits)} <span className="mohr-cell-unit">{Q.unit}</span></span>
           </div>
           <div className="mohr-readout-cell">
-            <span className="mohr-cell-label">σ<sub>avg</sub></span>
-            <span className="mohr-cell-val" style={{ color: '#e65c00' }}>{fmt(avg)} <span className="mohr-cell-unit">MPa</span></span>
+            <span className="mohr-cell-label">{N}<sub>avg</sub></span>
+            <span className="mohr-cell-val" style={{ color: '#e65c00' }}>{fmt(avg, digits)} <span className="mohr-cell-unit">{Q.unit}</span></span>
           </div>
           <div className="mohr-readout-cell">
-            <span className="mohr-cell-label">σ<sub>1</sub></span>
-            <span className="mohr-cell-val" style={{ color: '#1b5e20' }}>{fmt(s1)} <span className="mohr-cell-unit">MPa</span></span>
+            <span className="mohr-cell-label">{N}<sub>1</sub></span>
+            <span className="mohr-cell-val" style={{ color: '#1b5e20' }}>{fmt(s1, digits)} <span className="mohr-cell-unit">{Q.unit}</span></span>
           </div>
           <div className="mohr-readout-cell">
-            <span className="mohr-cell-label">σ<sub>2</sub></span>
-            <span className="mohr-cell-val" style={{ color: '#e65100' }}>{fmt(s2)} <span className="mohr-cell-unit">MPa</span></span>
+            <span className="mohr-cell-label">{N}<sub>2</sub></span>
+            <span className="mohr-cell-val" style={{ color: '#e65100' }}>{fmt(s2, digits)} <span className="mohr-cell-unit">{Q.unit}</span></span>
           </div>
           <div className="mohr-readout-cell">
-            <span className="mohr-cell-label">τ<sub>max</sub></span>
-            <span className="mohr-cell-val" style={{ color: '#6a1b9a' }}>{fmt(R)} <span className="mohr-cell-unit">MPa</span></span>
+            {spatial
+              ? <span className="mohr-cell-label">{Q.shearSym}<sub>max</sub>{Q.shearSuffix}</span>
+              : <span className="mohr-cell-label">R = max |{N}<sub>x'y'</sub>|</span>}
+            <span className="mohr-cell-val" style={{ color: '#6a1b9a' }}>{fmt(R, digits)} <span className="mohr-cell-unit">{Q.unit}</span></span>
           </div>
+          {spatial && (
+            <>
+              <div className="mohr-readout-cell">
+                <span className="mohr-cell-label">{Q.shearSym}<sub>abs</sub>{Q.shearSuffix}</span>
+                <span className="mohr-cell-val" style={{ color: '#00897b' }}>{fmt(p3.tauAbsMax, digits)} <span className="mohr-cell-unit">{Q.unit}</span></span>
+              </div>
+              <div className="mohr-readout-cell">
+                <span className="mohr-cell-label">{N}<sub>3</sub> (3D)</span>
+                <span className="mohr-cell-val" style={{ color: '#00897b' }}>{fmt(p3.sigma3, digits)} <span className="mohr-cell-unit">{Q.unit}</span></span>
+              </div>
+            </>
+          )}
           <div className="mohr-readout-cell">
             <span className="mohr-cell-label">θ<sub>p1</sub></span>
-            <span className="mohr-cell-val" style={{ color: '#1b5e20' }}>{fmt(thetaP1, 2)}°</span>
+            <span className="mohr-cell-val" style={{ color: '#1b5e20' }}>{fmt(showAngle(thetaP1), 2)}°</span>
           </div>
           <div className="mohr-readout-cell">
             <span className="mohr-cell-label">θ<sub>p2</sub></span>
-            <span className="mohr-cell-val" style={{ color: '#e65100' }}>{fmt(thetaP2, 2)}°</span>
+            <span className="mohr-cell-val" style={{ color: '#e65100' }}>{fmt(showAngle(thetaP2), 2)}°</span>
           </div>
           <div className="mohr-readout-cell">
             <span className="mohr-cell-label">θ<sub>s</sub></span>
-            <span className="mohr-cell-val" style={{ color: '#6a1b9a' }}>{fmt(thetaS1, 2)}°</span>
+            <span className="mohr-cell-val" style={{ color: '#6a1b9a' }}>{fmt(showAngle(thetaS1), 2)}°</span>
           </div>
         </div>
         <div className="mohr-readout-eq">
-          (σ<sub>x'</sub> − {fmt(avg)})² + τ² = {fmt(R, 1)}²
+          ({N}<sub>x'</sub> − {fmt(avg, digits)})² + ({shearText(Q)})² = {fmt(R, Math.max(digits - 1, 0))}²
         </div>
       </div>
     </div>
@@ -0,0 +1,40 @@
+import { useState, useCallback } from 'react';
+import './NumberField.css';
+
+/**
+ * Click-to-edit numeric field used by the sidebar panels.
+ * Commits on Enter or blur; values outside [min, max] or non-numbers are ignored.
+ */
+export default function NumberField({ label, symbol, unit, value, onChange, min = -Infinity, max = Infinity, digits = 2 }) {
+  const [editing, setEditing] = useState(false);
+  const [local, setLocal] = useState(String(value));
+
+  const commit = useCallback((raw) => {
+    const v = parseFloat(raw);
+    if (!isNaN(v) && v >= min && v <= max) onChange(v);
+    setEditing(false);
+  }, [min, max, onChange]);
+
+  return (
+    <div className="number-field">
+      {symbol && <span className="nf-symbol">{symbol}</span>}
+      <span className="nf-label">{label}</span>
+      {editing ? (
+        <input
+          className="nf-input"
+          type="number"
+          value={local}
+          onChange={e => setLocal(e.target.value)}
+          onBlur={() => commit(local)}
+          onKeyDown={e => { if (e.key === 'Enter') commit(local); }}
+          autoFocus
+        />
+      ) : (
+        <button className="nf-val" onClick={() => { setLocal(String(value)); setEditing(true); }}>
+          {Number.isInteger(value) ? value : value.toFixed(digits)}
+        </button>
+      )}
+      {unit && <span className="nf-unit">{unit}</span>}
+    </div>
+  );
+}
@@ -1,7 +1,7 @@
 import { useState, useCallback } from 'react';
 import './ParameterSlider.css';
 
-export default function ParameterSlider({ label, symbol, unit, value, min, max, step, onChange, color }) {
+export default function ParameterSlider({ label, symbol, unit, value, min, max, step, onChange, color, digits = 1 }) {
   const [editingMin, setEditingMin] = useState(false);
   const [editingMax, setEditingMax] = useState(false);
   const [localMin, setLocalMin] = useState(String(min));
@@ -25,7 +25,7 @@ export default function ParameterSlider({ label, symbol, unit, value, min, max,
       <div className="param-header">
         <span className="param-symbol" style={{ color }}>{symbol}</span>
         <span className="param-label">{label}</span>
-        <span className="param-value" style={{ color }}>{value.toFixed(1)}<span className="param-unit">{unit}</span></span>
+        <span className="param-value" style={{ color }}>{value.toFixed(digits)}<span className="param-unit">{unit}</span></span>
       </div>
 
       <div className="slider-track-wrap">
@@ -0,0 +1,152 @@
+import { useState } from 'react';
+import {
+  addPreset, movePreset, mergePresets, parseTags, exportLibrary, parseLibrary,
+} from '../lib/presets';
+import { download } from '../lib/download';
+import './PresetLibrary.css';
+
+/**
+ * Saved stress states with notes and tags, kept in the browser and shared as
+ * a JSON file.
+ * presets – [{ id, name, notes, tags, unit, params }] (see lib/presets)
+ * current – the six slider states { value, min, max, step } "Save" stores
+ * onLoad  – callback(preset) to put a preset back into the sliders
+ */
+export default function PresetLibrary({ presets, onChange, current, unit, onLoad }) {
+  const [draft, setDraft] = useState({ name: '', tags: '', notes: '' });
+  const [renaming, setRenaming] = useState(null); // { id, name }
+  const [tagFilter, setTagFilter] = useState(null);
+  const [message, setMessage] = useState(null);   // { text, error }
+
+  const save = () => {
+    onChange(addPreset(presets, { ...draft, tags: parseTags(draft.tags), unit, params: current }));
+    setDraft({ name: '', tags: '', notes: '' });
+    setMessage(null);
+  };
+
+  const commitRename = () => {
+    const name = renaming.name.trim();
+    if (name) onChange(presets.map(p => (p.id === renaming.id ? { ...p, name } : p)));
+    setRenaming(null);
+  };
+
+  const exportFile = () => {
+    download(new Blob([exportLibrary(presets)], { type: 'application/json' }), 'stress-presets.json');
+  };
+
+  const importFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // so picking the same file again re-reads it
+    if (!file) return;
+    const { presets: incoming, skipped, error } = parseLibrary(await file.text());
+    if (error) {
+      setMessage({ text: error, error: true });
+      return;
+    }
+    onChange(mergePresets(presets, incoming));
+    setMessage({
+      text: `Imported ${incoming.length} preset${incoming.length === 1 ? '' : 's'}`
+        + (skipped ? `, skipped ${skipped} unreadable` : '') + '.',
+      error: false,
+    });
+  };
+
+  const shown = tagFilter ? presets.filter(p => p.tags.includes(tagFilter)) : presets;
+
+  return (
+    <div className="library-panel">
+      <div className="library-form">
+        <input
+          className="library-input"
+          value={draft.name}
+          placeholder={`Preset ${presets.reduce((m, p) => Math.max(m, p.id), 0) + 1}`}
+          onChange={e => setDraft({ ...draft, name: e.target.value })}
+          onKeyDown={e => { if (e.key === 'Enter') save(); }}
+        />
+        <input
+          className="library-input"
+          value={draft.tags}
+          placeholder="tags, comma separated"
+          onChange={e => setDraft({ ...draft, tags: e.target.value })}
+        />
+        <textarea
+          className="library-input library-notes-input"
+          value={draft.notes}
+          placeholder="notes"
+          rows={2}
+          onChange={e => setDraft({ ...draft, notes: e.target.value })}
+        />
+        <button className="preset-btn library-save" onClick={save}>Save current σ</button>
+      </div>
+
+      {tagFilter && (
+        <button className="library-filter" onClick={() => setTagFilter(null)}>
+          tag: {tagFilter} ×
+        </button>
+      )}
+
+      {shown.length > 0 && (
+        <div className="library-list">
+          {shown.map(p => (
+            <div className="library-item" key={p.id}>
+              <div className="library-item-head">
+                {renaming?.id === p.id ? (
+                  <input
+                    className="library-input library-rename"
+                    value={renaming.name}
+                    autoFocus
+                    onChange={e => setRenaming({ ...renaming, name: e.target.value })}
+                    onBlur={commitRename}
+                    onKeyDown={e => {
+                      if (e.key === 'Enter') commitRename();
+                      if (e.key === 'Escape') setRenaming(null);
+                    }}
+                  />
+                ) : (
+                  <button className="library-name" title="Load into the sliders" onClick={() => onLoad(p)}>
+                    {p.name}
+                  </button>
+                )}
+                <span className="library-unit">{p.unit}</span>
+                <div className="library-tools">
+                  <button title="Move up" disabled={presets[0] === p}
+                    onClick={() => onChange(movePreset(presets, p.id, -1))}>↑</button>
+                  <button title="Move down" disabled={presets[presets.length - 1] === p}
+                    onClick={() => onChange(movePreset(presets, p.id, 1))}>↓</button>
+                  <button title="Rename" onClick={() => setRenaming({ id: p.id, name: p.name })}>✎</button>
+                  <button title="Delete" className="library-delete"
+                    onClick={() => onChange(presets.filter(x => x.id !== p.id))}>×</button>
+                </div>
+              </div>
+              <div className="library-values">
+                σx {+p.params.sigmaX.value.toPrecision(4)} · σy {+p.params.sigmaY.value.toPrecision(4)}
+                {' '}· τxy {+p.params.tauXY.value.toPrecision(4)}
+              </div>
+              {p.tags.length > 0 && (
+                <div className="library-tags">
+                  {p.tags.map(t => (
+                    <button key={t} className="library-tag" onClick={() => setTagFilter(t)}>{t}</button>
+                  ))}
+                </div>
+              )}
+              {p.notes && <div className="library-notes">{p.notes}</div>}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="library-actions">
+        <button className="preset-btn library-file" onClick={exportFile} disabled={!presets.length}>
+          Export JSON
+        </button>
+        <label className="preset-btn library-file">
+          Import JSON…
+          <input type="file" accept=".json,application/json" onChange={importFile} />
+        </label>
+      </div>
+      {message && (
+        <div className={`library-message${message.error ? ' library-message--error' : ''}`}>{message.text}</div>
+      )}
+    </div>
+  );
+}
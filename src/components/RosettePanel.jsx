@@ -0,0 +1,87 @@
+import NumberField from './NumberField';
+import SegmentedControl from './SegmentedControl';
+import { ROSETTES, solveRosette } from '../lib/rosette';
+import { analyzeStress } from '../lib/stress';
+import { strainToStress } from '../lib/elasticity';
+import { convertStress } from '../lib/units';
+import './RosettePanel.css';
+
+const TYPE_OPTIONS = Object.entries(ROSETTES).map(([value, r]) => ({ value, label: r.label }));
+const GAUGE_NAMES = ['a', 'b', 'c'];
+
+/**
+ * Strain-gauge rosette reduction.
+ * rosette   – { type, angles, readings (µε), overlay }
+ * material  – { E (GPa), nu } used for the plane-stress conversion
+ * onApply   – callback({ sigmaX, sigmaY, tauXY }) in the stress `unit`
+ * showAngle – maps a CCW angle into the display convention's θ
+ */
+export default function RosettePanel({ rosette, onChange, material, onApply, unit, digits, showAngle }) {
+  const { type, angles, readings, overlay } = rosette;
+
+  const setType = (t) => onChange({ ...rosette, type: t, angles: ROSETTES[t].angles || angles });
+  const setAngle = (i, v) => onChange({ ...rosette, angles: angles.map((a, j) => (j === i ? v : a)) });
+  const setReading = (i, v) => onChange({ ...rosette, readings: readings.map((r, j) => (j === i ? v : r)) });
+
+  const strain = solveRosette(angles, readings);
+  const principal = strain && analyzeStress(strain.epsX, strain.epsY, strain.gammaXY / 2);
+  // a surface-mounted rosette sees plane stress
+  const stress = strain && strainToStress({
+    epsX: strain.epsX * 1e-6, epsY: strain.epsY * 1e-6, gammaXY: strain.gammaXY * 1e-6,
+  }, { E: convertStress(material.E, 'GPa', unit), nu: material.nu }, 'planeStress');
+
+  const cells = strain ? [
+    { label: 'εx',  value: strain.epsX,    unit: 'µε' },
+    { label: 'εy',  value: strain.epsY,    unit: 'µε' },
+    { label: 'γxy', value: strain.gammaXY, unit: 'µε' },
+    { label: 'ε₁',  value: principal.sigma1, unit: 'µε' },
+    { label: 'ε₂',  value: principal.sigma2, unit: 'µε' },
+    ...(principal.principalAngles ? [{ label: 'θ_p1', value: showAngle(principal.principalAngles[0]), unit: '°' }] : []),
+    { label: 'σx',  value: stress.sigmaX, unit },
+    { label: 'σy',  value: stress.sigmaY, unit },
+    { label: 'τxy', value: stress.tauXY,  unit },
+  ] : [];
+
+  return (
+    <div className="rosette-panel">
+      <SegmentedControl options={TYPE_OPTIONS} value={type} onChange={setType} />
+      {GAUGE_NAMES.map((g, i) => (
+        <div className="rosette-gauge" key={g}>
+          {type === 'custom' ? (
+            <NumberField label={`Gauge ${g} angle`} symbol={`φ${g}`} unit="°"
+              value={angles[i]} onChange={v => setAngle(i, v)} />
+          ) : (
+            <div className="rosette-fixed-angle">φ{g} = {angles[i]}°</div>
+          )}
+          <NumberField label={`Gauge ${g} reading`} symbol={`ε${g}`} unit="µε"
+            value={readings[i]} onChange={v => setReading(i, v)} />
+        </div>
+      ))}
+
+      {strain ? (
+        <div className="derived-grid">
+          {cells.map(c => (
+            <div className="derived-cell" key={c.label}>
+              <span className="derived-label">{c.label}</span>
+              <span className="derived-val">{c.value.toFixed(c.unit === unit ? digits : 1)} <span className="derived-unit">{c.unit}</span></span>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="rosette-warning">Gauge directions are not independent — pick three distinct angles.</div>
+      )}
+
+      <div className="rosette-actions">
+        <label className="rosette-overlay">
+          <input type="checkbox" checked={overlay}
+            onChange={e => onChange({ ...rosette, overlay: e.target.checked })} />
+          Show gauges on element
+        </label>
+        <button className="preset-btn rosette-apply" disabled={!stress}
+          onClick={() => onApply({ sigmaX: stress.sigmaX, sigmaY: stress.sigmaY, tauXY: stress.tauXY })}>
+          Apply to σ
+        </button>
+      </div>
+    </div>
+  );
+}
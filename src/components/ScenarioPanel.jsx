@@ -0,0 +1,100 @@
+import { useEffect, useRef } from 'react';
+import NumberField from './NumberField';
+import SegmentedControl from './SegmentedControl';
+import { SCENARIOS, scenarioStress } from '../lib/scenarios';
+import './ScenarioPanel.css';
+
+const TYPE_OPTIONS = Object.entries(SCENARIOS).map(([value, s]) => ({ value, label: s.label }));
+
+/**
+ * Parametric scenario builders (pressure vessels, Lamé cylinder, rotating disk).
+ * scenario – { type, inputs: { [type]: {…} }, live }
+ * nu       – Poisson's ratio of the Hooke's-law material (rotating disk)
+ * onApply  – callback({ sigmaX, sigmaY, tauXY, sigmaZ }) in the stress `unit`;
+ *            with `live` on it fires on every edit, including ν edits in the
+ *            Hooke's-law panel, so the views follow along
+ */
+export default function ScenarioPanel({ scenario, onChange, onApply, nu, unit, digits }) {
+  const { type, live } = scenario;
+  const spec = SCENARIOS[type];
+  const values = scenario.inputs[type];
+  const result = scenarioStress(type, values, { unit, nu });
+
+  const update = (next) => {
+    onChange(next);
+    if (!next.live) return;
+    const s = scenarioStress(next.type, next.inputs[next.type], { unit, nu });
+    if (s) onApply(s);
+  };
+  // ν is edited in the Hooke's-law panel: follow it too while live, reading
+  // the rest of the latest props without re-running on every edit
+  const latest = useRef(null);
+  useEffect(() => { latest.current = { scenario, onApply, unit }; });
+  const seenNu = useRef(nu);
+  useEffect(() => {
+    const before = seenNu.current;
+    seenNu.current = nu;
+    const { scenario: sc, onApply: apply, unit: u } = latest.current;
+    if (before === nu || !sc.live) return;
+    const s = scenarioStress(sc.type, sc.inputs[sc.type], { unit: u, nu });
+    const was = scenarioStress(sc.type, sc.inputs[sc.type], { unit: u, nu: before });
+    if (s && (!was || Object.keys(s).some(k => s[k] !== was[k]))) apply(s);
+  }, [nu]);
+
+  const setValue = (key, v) => update({
+    ...scenario, inputs: { ...scenario.inputs, [type]: { ...values, [key]: v } },
+  });
+
+  const cells = result ? [
+    { label: 'σx',  value: result.sigmaX },
+    { label: 'σy',  value: result.sigmaY },
+    { label: 'τxy', value: result.tauXY },
+    { label: 'σz',  value: result.sigmaZ },
+  ] : [];
+
+  return (
+    <div className="scenario-panel">
+      <SegmentedControl options={TYPE_OPTIONS} value={type} onChange={t => update({ ...scenario, type: t })} />
+      {spec.fields.map(f => (
+        <NumberField key={f.key} label={f.label} symbol={f.symbol}
+          unit={f.unit === 'stress' ? unit : f.unit}
+          value={values[f.key]} min={f.min} onChange={v => setValue(f.key, v)} />
+      ))}
+      {spec.choice && (
+        <div className="scenario-choice">
+          <SegmentedControl options={spec.choice.options} value={values[spec.choice.key]}
+            onChange={v => setValue(spec.choice.key, v)} />
+        </div>
+      )}
+
+      <div className="scenario-formulas">
+        <div className="scenario-axes">{spec.axes}</div>
+        {spec.formulas.map(f => <div key={f}>{f}</div>)}
+      </div>
+
+      {result ? (
+        <div className="derived-grid">
+          {cells.map(c => (
+            <div className="derived-cell" key={c.label}>
+              <span className="derived-label">{c.label}</span>
+              <span className="derived-val">{c.value.toFixed(digits)} <span className="derived-unit">{unit}</span></span>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="scenario-warning">Check the geometry — the point must lie within the wall.</div>
+      )}
+
+      <div className="scenario-actions">
+        <label className="scenario-live">
+          <input type="checkbox" checked={live}
+            onChange={e => update({ ...scenario, live: e.target.checked })} />
+          Drive the sliders live
+        </label>
+        <button className="preset-btn scenario-apply" disabled={!result} onClick={() => onApply(result)}>
+          Apply to σ
+        </button>
+      </div>
+    </div>
+  );
+}
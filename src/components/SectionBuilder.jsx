@@ -0,0 +1,129 @@
+import { SHAPE_TYPES, SECTION_PRESETS, MM4_PER_CM4 } from '../lib/inertia';
+import { principalStresses, principalAngles } from '../lib/stress';
+import './SectionBuilder.css';
+
+const NEW_SHAPE = {
+  rect:   { type: 'rect', x: 0, y: 0, b: 40, h: 20 },
+  circle: { type: 'circle', x: 0, y: 0, d: 30 },
+};
+
+/** Compact numeric cell: edits freely, commits a finite value on blur or Enter. */
+function DimInput({ value, min, onChange }) {
+  const commit = (e) => {
+    const v = Number(e.target.value);
+    if (e.target.value.trim() === '' || !Number.isFinite(v) || (min !== undefined && v < min)) {
+      e.target.value = value;
+      return;
+    }
+    if (v !== value) onChange(v);
+  };
+  return (
+    <input
+      key={value}
+      type="number"
+      className="sb-input"
+      defaultValue={value}
+      onBlur={commit}
+      onKeyDown={e => { if (e.key === 'Enter') e.target.blur(); }}
+    />
+  );
+}
+
+/**
+ * Built-up section editor and its centroidal properties.
+ * section   – { shapes }: rectangles and circles placed by their centroids, mm
+ * result    – sectionInertia(shapes), or null when the net area vanishes
+ * showAngle – maps a CCW angle into the display convention's θ
+ */
+export default function SectionBuilder({ section, onChange, result, showAngle }) {
+  const { shapes } = section;
+  const setShapes = (next) => onChange({ ...section, shapes: next });
+  const update = (i, patch) => setShapes(shapes.map((s, j) => (j === i ? { ...s, ...patch } : s)));
+
+  const changeType = (i, type) => {
+    const s = shapes[i];
+    if (s.type === type) return;
+    // keep the footprint roughly the same size when switching
+    const size = s.type === 'circle' ? { b: s.d, h: s.d } : { d: Math.min(s.b, s.h) };
+    const { x, y, hole } = s;
+    setShapes(shapes.map((t, j) => (j === i ? { type, x, y, ...size, ...(hole ? { hole } : {}) } : t)));
+  };
+
+  let rows = [];
+  if (result) {
+    const cm4 = (v) => (v / MM4_PER_CM4).toFixed(1);
+    const p = principalStresses(result.Ix, result.Iy, -result.Ixy);
+    const angles = principalAngles(result.Ix, result.Iy, -result.Ixy);
+    rows = [
+      { label: 'A  (net area)', value: result.A.toFixed(0), unit: 'mm²' },
+      { label: 'x̄, ȳ  (centroid)', value: `${result.xc.toFixed(2)}, ${result.yc.toFixed(2)}`, unit: 'mm' },
+      { label: 'Ix, Iy', value: `${cm4(result.Ix)}, ${cm4(result.Iy)}`, unit: 'cm⁴' },
+      { label: 'Ixy  (product of inertia)', value: cm4(result.Ixy), unit: 'cm⁴' },
+      { label: 'I₁  (major principal)', value: cm4(p.sigma1), unit: 'cm⁴', sub: `r₁ = ${Math.sqrt(Math.max(p.sigma1, 0) / result.A).toFixed(2)} mm` },
+      { label: 'I₂  (minor principal)', value: cm4(p.sigma2), unit: 'cm⁴', sub: `r₂ = ${Math.sqrt(Math.max(p.sigma2, 0) / result.A).toFixed(2)} mm` },
+      { label: 'θp  (principal axis 1)', value: angles ? `${showAngle(angles[0]).toFixed(2)}°` : '—' },
+    ];
+  }
+
+  return (
+    <div className="section-builder">
+      <div className="preset-grid sb-presets">
+        {Object.entries(SECTION_PRESETS).map(([key, preset]) => (
+          <button key={key} className="preset-btn sb-preset" onClick={() => setShapes(preset.shapes)}>
+            {preset.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="sb-table">
+        <div className="sb-row sb-row--head">
+          <span>Shape</span><span>x</span><span>y</span><span>Size</span><span>Hole</span><span />
+        </div>
+        {shapes.map((s, i) => (
+          <div className={`sb-row${s.hole ? ' sb-row--hole' : ''}`} key={i}>
+            <select className="sb-select" value={s.type} onChange={e => changeType(i, e.target.value)}>
+              {Object.entries(SHAPE_TYPES).map(([type, t]) => (
+                <option key={type} value={type}>{t.label}</option>
+              ))}
+            </select>
+            <DimInput value={s.x} onChange={v => update(i, { x: v })} />
+            <DimInput value={s.y} onChange={v => update(i, { y: v })} />
+            <span className="sb-dims">
+              {SHAPE_TYPES[s.type].dims.map(d => (
+                <DimInput key={d} value={s[d]} min={0} onChange={v => update(i, { [d]: v })} />
+              ))}
+            </span>
+            <input type="checkbox" className="sb-hole" checked={!!s.hole}
+              onChange={e => update(i, { hole: e.target.checked })} />
+            <button className="sb-remove" title="Remove shape"
+              onClick={() => setShapes(shapes.filter((_, j) => j !== i))}>×</button>
+          </div>
+        ))}
+        <div className="sb-actions">
+          {Object.entries(SHAPE_TYPES).map(([type, t]) => (
+            <button key={type} className="sb-add" onClick={() => setShapes([...shapes, NEW_SHAPE[type]])}>
+              + {t.label}
+            </button>
+          ))}
+          <span className="sb-note">mm · size = b × h or d</span>
+        </div>
+      </div>
+
+      {result ? (
+        <div className="derived-grid">
+          {rows.map(r => (
+            <div className="derived-cell" key={r.label}>
+              <span className="derived-label">
+                {r.label}
+                {r.sub && <span className="derived-cosines">{r.sub}</span>}
+              </span>
+              <span className="derived-val">{r.value} {r.unit && <span className="derived-unit">{r.unit}</span>}</span>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="sb-empty">The section has no net area.</div>
+      )}
+    </div>
+  );
+}
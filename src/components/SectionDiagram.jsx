@@ -0,0 +1,107 @@
+import './SectionDiagram.css';
+import { DEG2RAD, transformStress, principalAngles } from '../lib/stress';
+import { sectionBounds, MM4_PER_CM4 } from '../lib/inertia';
+import { DEFAULT_CONVENTION, rotationSign } from '../lib/convention';
+
+const S = 300;   // viewBox size
+const PAD = 46;
+
+/**
+ * Built-up section with its centroidal x–y axes, the x′–y′ axes at θ and the
+ * principal axes; the inertia-mode stand-in for the element diagram.
+ * shapes     – section shapes (see lib/inertia), mm
+ * section    – sectionInertia(shapes), or null for an empty section
+ * theta      – rotation angle in degrees, in the convention's sense
+ */
+export default function SectionDiagram({ shapes, section, theta, onThetaChange, convention = DEFAULT_CONVENTION }) {
+  const rot = rotationSign(convention);
+  const psi = rot * theta;
+
+  const [x0, y0, x1, y1] = shapes.length ? sectionBounds(shapes) : [-1, -1, 1, 1];
+  const scale = (S - 2 * PAD) / Math.max(x1 - x0, y1 - y0, 1e-9);
+  const mx = (x0 + x1) / 2, my = (y0 + y1) / 2;
+  const X = (x) => S / 2 + (x - mx) * scale;
+  const Y = (y) => S / 2 - (y - my) * scale;
+
+  // an axis through the centroid at CCW angle a (degrees), long enough to clear the section
+  const axis = (a, len) => {
+    const dx = Math.cos(a * DEG2RAD) * len, dy = Math.sin(a * DEG2RAD) * len;
+    return { x1: X(section.xc) - dx, y1: Y(section.yc) + dy, x2: X(section.xc) + dx, y2: Y(section.yc) - dy };
+  };
+  const len = S / 2 - 14;
+
+  let rotated = null, principal = null;
+  if (section) {
+    const t = transformStress(section.Ix, section.Iy, -section.Ixy, psi);
+    rotated = { Ix: t.sigmaX, Iy: t.sigmaY, Ixy: -t.tauXY };
+    principal = principalAngles(section.Ix, section.Iy, -section.Ixy);
+  }
+  const cm4 = (v) => (v / MM4_PER_CM4).toFixed(1);
+
+  const label = (a, text, color) => {
+    const { x2, y2 } = axis(a, len + 2);
+    return <text x={x2} y={y2} className="sd-axis-label" fill={color} textAnchor="middle" dominantBaseline="middle">{text}</text>;
+  };
+
+  return (
+    <div className="section-diagram">
+      <div className="sd-topbar">
+        <span className="sd-label">SECTION</span>
+        <span className="sd-hint">axes through the centroid</span>
+      </div>
+      <svg viewBox={`0 0 ${S} ${S}`} className="sd-svg" aria-label="Section">
+        {shapes.filter(s => !s.hole).concat(shapes.filter(s => s.hole)).map((s, i) => (s.type === 'circle'
+          ? <circle key={i} cx={X(s.x)} cy={Y(s.y)} r={(s.d / 2) * scale}
+              className={s.hole ? 'sd-hole' : 'sd-solid'} />
+          : <rect key={i} x={X(s.x - s.b / 2)} y={Y(s.y + s.h / 2)} width={s.b * scale} height={s.h * scale}
+              className={s.hole ? 'sd-hole' : 'sd-solid'} />
+        ))}
+
+        {section && (
+          <>
+            <line {...axis(0, len)} className="sd-ref" />
+            <line {...axis(90, len)} className="sd-ref" />
+            {principal && (
+              <>
+                <line {...axis(principal[0], len)} className="sd-principal" />
+                <line {...axis(principal[1], len)} className="sd-principal" />
+                {label(principal[0] + 8, '1', '#1b5e20')}
+                {label(principal[1] + 8, '2', '#1b5e20')}
+              </>
+            )}
+            <line {...axis(psi, len - 20)} className="sd-rotated" />
+            <line {...axis(psi + 90, len - 20)} className="sd-rotated" />
+            {label(psi - 6, 'x′', '#1565c0')}
+            {label(psi + 84, 'y′', '#1565c0')}
+            <circle cx={X(section.xc)} cy={Y(section.yc)} r={5} className="sd-centroid" />
+            <text x={X(section.xc) + 8} y={Y(section.yc) + 16} className="sd-centroid-label">
+              C ({section.xc.toFixed(1)}, {section.yc.toFixed(1)})
+            </text>
+          </>
+        )}
+      </svg>
+
+      {rotated && (
+        <div className="sd-readout">
+          <span style={{ color: '#1565c0' }}>Ix′ = {cm4(rotated.Ix)}</span>
+          <span style={{ color: '#00897b' }}>Iy′ = {cm4(rotated.Iy)}</span>
+          <span style={{ color: '#c62828' }}>Ix′y′ = {cm4(rotated.Ixy)}</span>
+          <span className="sd-unit">cm⁴ · mm</span>
+        </div>
+      )}
+
+      {/* theta scrubber */}
+      <div className="sd-slider-row">
+        <span className="sd-slider-label">θ</span>
+        <input
+          type="range"
+          className="sd-slider"
+          min={0} max={180} step={0.5}
+          value={theta}
+          onChange={e => onThetaChange(Number(e.target.value))}
+        />
+        <span className="sd-slider-val">{theta.toFixed(1)}°</span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,21 @@
+import './SegmentedControl.css';
+
+/**
+ * Row of mutually exclusive buttons.
+ * options – [{ value, label }]
+ */
+export default function SegmentedControl({ options, value, onChange }) {
+  return (
+    <div className="segmented">
+      {options.map(o => (
+        <button
+          key={o.value}
+          className={`seg-btn${o.value === value ? ' seg-btn--active' : ''}`}
+          onClick={() => onChange(o.value)}
+        >
+          {o.label}
+        </button>
+      ))}
+    </div>
+  );
+}
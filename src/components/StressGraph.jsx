@@ -1,20 +1,20 @@
-import { useRef, useEffect, useMemo } from 'react';
+import { useRef, useEffect } from 'react';
 import './StressGraph.css';
-
-const DEG2RAD = Math.PI / 180;
-
-function computeCurves(sigmaX, sigmaY, tauXY, thetaMin, thetaMax, steps = 500) {
+import { transformStress } from '../lib/stress';
+import { quantityLabels } from '../lib/quantities';
+import { DEFAULT_CONVENTION, rotationSign, normalSign } from '../lib/convention';
+import { laminaIndex } from '../lib/composite';
+import CurveExport from './CurveExport';
+
+// rot / sign: θ sense and normal-stress sign of the display convention
+function computeCurves(sigmaX, sigmaY, tauXY, thetaMin, thetaMax, rot = 1, sign = 1, steps = 500) {
   const sigmaPoints = [];
   const tauPoints = [];
   for (let i = 0; i <= steps; i++) {
     const theta = thetaMin + (i / steps) * (thetaMax - thetaMin);
-    const rad = theta * DEG2RAD;
-    const avg = (sigmaX + sigmaY) / 2;
-    const diff = (sigmaX - sigmaY) / 2;
-    const sigma = avg + diff * Math.cos(2 * rad) + tauXY * Math.sin(2 * rad);
-    const tau = -diff * Math.sin(2 * rad) + tauXY * Math.cos(2 * rad);
-    sigmaPoints.push({ theta, value: sigma });
-    tauPoints.push({ theta, value: tau });
+    const t = transformStress(sigmaX, sigmaY, tauXY, rot * theta);
+    sigmaPoints.push({ theta, value: sign * t.sigmaX });
+    tauPoints.push({ theta, value: sign * t.tauXY });
   }
   return { sigmaPoints, tauPoints };
 }
@@ -34,7 +34,17 @@ function buildPath(points, thetaMin, thetaMax, yMin, yMax, W, H, padL, padR, pad
     .join(' ');
 }
 
-export default function StressGraph({ sigmaX, sigmaY, tauXY, thetaMin, thetaMax }) {
+/**
+ * σx′(θ) and τx′y′(θ) over the angle range, with optional extras:
+ * overlays – stored load cases { color, sigmaX, sigmaY, tauXY }, drawn thin
+ * lamina   – { criterion, color, strength } to add that criterion's failure
+ *            index against fibre angle θ, read on its own right-hand axis
+ * A bar below the plot downloads the main curves as CSV or JSON.
+ */
+export default function StressGraph({
+  sigmaX, sigmaY, tauXY, thetaMin, thetaMax, quantity = 'stress', unit, convention = DEFAULT_CONVENTION,
+  overlays = [], lamina = null,
+}) {
   const containerRef = useRef(null);
   const svgRef = useRef(null);
   const animRef = useRef(null);
@@ -48,7 +58,8 @@ export default function StressGraph({ sigmaX, sigmaY, tauXY, thetaMin, thetaMax
     targetRef.current = { sigmaX, sigmaY, tauXY };
   }, [sigmaX, sigmaY, tauXY]);
 
-  const padL = 62, padR = 28, padT = 28, padB = 48;
+  const padL = 62, padT = 28, padB = 48;
+  const padR = lamina ? 58 : 28;
 
   useEffect(() => {
     const svg = svgRef.current;
@@ -58,8 +69,18 @@ export default function StressGraph({ sigmaX, sigmaY, tauXY, thetaMin, thetaMax
     let W = container.clientWidth;
     let H = container.clientHeight;
 
+    const Q = quantityLabels(quantity, unit);
+    const rot = rotationSign(convention);
+    const sign = normalSign(convention);
+
     function lerp(a, b, t) { return a + (b - a) * t; }
 
+    // load-case overlays are static, so their curves are computed once
+    const caseCurves = overlays.map(c => ({
+      color: c.color,
+      ...computeCurves(c.sigmaX, c.sigmaY, c.tauXY, thetaMin, thetaMax, rot, sign, 180),
+    }));
+
     function render() {
       // Smooth lerp toward target
       const d = displayedRef.current;
@@ -75,10 +96,14 @@ export default function StressGraph({ sigmaX, sigmaY, tauXY, thetaMin, thetaMax
       svg.setAttribute('height', H);
 
       const { sigmaPoints, tauPoints } = computeCurves(
-        d.sigmaX, d.sigmaY, d.tauXY, thetaMin, thetaMax
+        d.sigmaX, d.sigmaY, d.tauXY, thetaMin, thetaMax, rot, sign
       );
 
       const allValues = [...sigmaPoints.map(p => p.value), ...tauPoints.map(p => p.value)];
+      for (const c of caseCurves) {
+        for (const p of c.sigmaPoints) allValues.push(p.value);
+        for (const p of c.tauPoints) allValues.push(p.value);
+      }
       const rawMin = Math.min(...allValues);
       const rawMax = Math.max(...allValues);
       const range = rawMax - rawMin || 1;
@@ -106,12 +131,14 @@ export default function StressGraph({ sigmaX, sigmaY, tauXY, thetaMin, thetaMax
       }
 
       const valueStep = (yMax - yMin) / TICK_Y;
+      // enough decimals to tell neighbouring ticks apart in any unit
+      const yDigits = Math.min(Math.max(1 - Math.floor(Math.log10(valueStep)), 0), 6);
       for (let i = 0; i <= TICK_Y; i++) {
         const v = yMin + i * valueStep;
         const y = yScale(v);
         const isMid = i % 2 === 0;
         gridLines += `<line x1="${padL}" y1="${y.toFixed(1)}" x2="${(padL + plotW).toFixed(1)}" y2="${y.toFixed(1)}" class="grid-line${isMid ? ' grid-mid' : ''}"/>`;
-        yLabels += `<text x="${(padL - 8).toFixed(1)}" y="${(y + 4).toFixed(1)}" class="axis-label axis-label-y">${v.toFixed(1)}</text>`;
+        yLabels += `<text x="${(padL - 8).toFixed(1)}" y="${(y + 4).toFixed(1)}" class="axis-label axis-label-y">${v.toFixed(yDigits)}</text>`;
       }
 
       // Zero line
@@ -123,6 +150,36 @@ export default function StressGraph({ sigmaX, sigmaY, tauXY, thetaMin, thetaMax
 
       const sigmaPath = buildPath(sigmaPoints, thetaMin, thetaMax, yMin, yMax, W, H, padL, padR, padT, padB);
       const tauPath   = buildPath(tauPoints,   thetaMin, thetaMax, yMin, yMax, W, H, padL, padR, padT, padB);
+      const casePaths = caseCurves.map(c => {
+        const path = (pts) => buildPath(pts, thetaMin, thetaMax, yMin, yMax, W, H, padL, padR, padT, padB);
+        return `<path d="${path(c.sigmaPoints)}" class="curve case-curve" stroke="${c.color}"/>`
+          + `<path d="${path(c.tauPoints)}" class="curve case-curve case-curve-tau" stroke="${c.color}"/>`;
+      }).join('');
+
+      // Failure index vs fibre angle on a 0…FI scale of its own
+      let laminaLayer = '';
+      if (lamina) {
+        const points = [];
+        for (let i = 0; i <= 240; i++) {
+          const theta = thetaMin + (i / 240) * (thetaMax - thetaMin);
+          points.push({ theta, value: laminaIndex(d, rot * theta, lamina.criterion, lamina.strength) });
+        }
+        const fiMax = Math.max(1.2, ...points.map(p => p.value)) * 1.08;
+        const fiScale = (v) => padT + (1 - v / fiMax) * plotH;
+        const fiPath = buildPath(points, thetaMin, thetaMax, 0, fiMax, W, H, padL, padR, padT, padB);
+        const y1 = fiScale(1).toFixed(1);
+        const xr = (padL + plotW + 8).toFixed(1);
+        let fiLabels = '';
+        const fiStep = fiMax > 6 ? Math.ceil(fiMax / 6) : fiMax > 3 ? 1 : 0.5;
+        for (let v = 0; v <= fiMax; v += fiStep) {
+          fiLabels += `<text x="${xr}" y="${(fiScale(v) + 4).toFixed(1)}" class="axis-label axis-label-fi" style="fill:${lamina.color}">${+v.toFixed(1)}</text>`;
+        }
+        const xt = (padL + plotW + 44).toFixed(1), yt = (padT + plotH / 2).toFixed(1);
+        laminaLayer = `<line x1="${padL}" y1="${y1}" x2="${(padL + plotW).toFixed(1)}" y2="${y1}" class="lamina-limit" stroke="${lamina.color}"/>`
+          + `<path d="${fiPath}" class="curve lamina-curve" stroke="${lamina.color}"/>`
+          + fiLabels
+          + `<text x="${xt}" y="${yt}" class="axis-title axis-title-y" style="fill:${lamina.color}" transform="rotate(90, ${xt}, ${yt})">failure index</text>`;
+      }
 
       // Principal stress markers (where tau = 0)
       let markers = '';
@@ -145,13 +202,15 @@ export default function StressGraph({ sigmaX, sigmaY, tauXY, thetaMin, thetaMax
         ${gridLines}
         ${zeroLine}
         ${markers}
+        ${casePaths}
         <path d="${sigmaPath}" class="curve sigma-curve"/>
         <path d="${tauPath}" class="curve tau-curve"/>
+        ${laminaLayer}
         ${border}
         ${xLabels}
         ${yLabels}
         <text x="${(padL + plotW / 2).toFixed(1)}" y="${(padT + plotH + 40).toFixed(1)}" class="axis-title">θ  (degrees)</text>
-        <text x="${(padL - 46).toFixed(1)}" y="${(padT + plotH / 2).toFixed(1)}" class="axis-title axis-title-y" transform="rotate(-90, ${(padL - 46).toFixed(1)}, ${(padT + plotH / 2).toFixed(1)})">Stress  (MPa)</text>
+        <text x="${(padL - 46).toFixed(1)}" y="${(padT + plotH / 2).toFixed(1)}" class="axis-title axis-title-y" transform="rotate(-90, ${(padL - 46).toFixed(1)}, ${(padT + plotH / 2).toFixed(1)})">${Q.title}  (${Q.unit})</text>
       `;
 
       animRef.current = requestAnimationFrame(render);
@@ -159,11 +218,21 @@ export default function StressGraph({ sigmaX, sigmaY, tauXY, thetaMin, thetaMax
 
     animRef.current = requestAnimationFrame(render);
     return () => cancelAnimationFrame(animRef.current);
-  }, [thetaMin, thetaMax]);
+  }, [thetaMin, thetaMax, quantity, unit, convention, overlays, lamina, padR]);
 
   return (
-    <div ref={containerRef} className="graph-container">
-      <svg ref={svgRef} className="graph-svg" />
+    <div className="stress-graph">
+      <div ref={containerRef} className="graph-container">
+        <svg ref={svgRef} className="graph-svg" />
+      </div>
+      <CurveExport
+        state={{ sigmaX, sigmaY, tauXY }}
+        thetaMin={thetaMin}
+        thetaMax={thetaMax}
+        quantity={quantity}
+        unit={unit}
+        convention={convention}
+      />
     </div>
   );
 }
@@ -0,0 +1,58 @@
+import { useMemo } from 'react';
+import { sampleHistory, pathMeasures } from '../lib/history';
+import './StressPathPlot.css';
+
+const S = 150;    // plot size (viewBox units)
+const PAD = 22;
+
+/** Path in one pair of axes: faint whole path, bold traversed part, current point. */
+function PathChart({ title, xLabel, yLabel, samples, xKey, yKey, t, span, diagonal }) {
+  const scale = (S / 2 - PAD) / span;
+  const px = (v) => S / 2 + v * scale;
+  const py = (v) => S / 2 - v * scale;
+  const line = (pts) => pts.map(m => `${px(m[xKey]).toFixed(1)},${py(m[yKey]).toFixed(1)}`).join(' ');
+  const done = samples.filter(m => m.t <= t + 1e-9);
+  const now = done[done.length - 1];
+  const lo = PAD / 2, hi = S - PAD / 2;
+
+  return (
+    <div className="path-chart">
+      <div className="path-title">{title}</div>
+      <svg viewBox={`0 0 ${S} ${S}`} className="path-svg">
+        <line x1={lo} y1={S / 2} x2={hi} y2={S / 2} className="path-axis" />
+        <line x1={S / 2} y1={lo} x2={S / 2} y2={hi} className="path-axis" />
+        {diagonal && <line x1={lo} y1={hi} x2={hi} y2={lo} className="path-guide" />}
+        <text x={hi} y={S / 2 - 4} className="path-axis-label" textAnchor="end">{xLabel}</text>
+        <text x={S / 2 + 4} y={lo + 8} className="path-axis-label">{yLabel}</text>
+        <polyline points={line(samples)} className="path-line path-line--all" />
+        {done.length > 1 && <polyline points={line(done)} className="path-line" />}
+        {now && <circle cx={px(now[xKey])} cy={py(now[yKey])} r={4} className="path-now" />}
+      </svg>
+    </div>
+  );
+}
+
+/**
+ * Stress path of a load history in σ1–σ2 and p–q space.
+ * points – history rows { t, sigmaX, sigmaY, tauXY }
+ * t      – playback time; the path is highlighted up to it
+ */
+export default function StressPathPlot({ points, t, unit }) {
+  const samples = useMemo(
+    () => sampleHistory(points, points[0].t, points[points.length - 1].t, 240)
+      .map(s => ({ t: s.t, ...pathMeasures(s) })),
+    [points],
+  );
+  // one symmetric span for both charts keeps their shapes comparable
+  const span = Math.max(...samples.map(m => Math.max(Math.abs(m.sigma1), Math.abs(m.sigma2), m.q))) || 1;
+
+  return (
+    <div className="stress-path">
+      <PathChart title="σ₁ – σ₂" xLabel="σ₁" yLabel="σ₂" samples={samples}
+        xKey="sigma1" yKey="sigma2" t={t} span={span} diagonal />
+      <PathChart title="p – q" xLabel="p" yLabel="q" samples={samples}
+        xKey="p" yKey="q" t={t} span={span} />
+      <div className="path-units">axes in {unit} · p = (σx + σy)/3, q = σvm</div>
+    </div>
+  );
+}
@@ -0,0 +1,45 @@
+import './UndoPanel.css';
+
+const isMac = typeof navigator !== 'undefined' && /Mac|iP(hone|ad)/.test(navigator.platform);
+const MOD = isMac ? '⌘' : 'Ctrl+';
+
+/**
+ * Undo / redo buttons and the list of steps, oldest first.
+ * undo    – { past, label, future } (see lib/undo)
+ * present – the current snapshot, shown as the highlighted step
+ * onJump  – callback(index) into the timeline [...past, present, ...future]
+ */
+export default function UndoPanel({ undo, present, onUndo, onRedo, onJump, digits }) {
+  const timeline = [...undo.past, { label: undo.label, snapshot: present }, ...undo.future];
+  const here = undo.past.length;
+  const fmt = (p) => p.value.toFixed(digits);
+
+  return (
+    <div className="undo-panel">
+      <div className="undo-actions">
+        <button className="preset-btn undo-btn" onClick={onUndo} disabled={!undo.past.length}
+          title={`Undo (${MOD}Z)`}>↶ Undo</button>
+        <button className="preset-btn undo-btn" onClick={onRedo} disabled={!undo.future.length}
+          title={`Redo (${isMac ? '⇧⌘Z' : 'Ctrl+Y'})`}>Redo ↷</button>
+      </div>
+      <div className="undo-list">
+        <div className="undo-row undo-row--head">
+          <span>Step</span><span>σx</span><span>σy</span><span>τxy</span>
+        </div>
+        {timeline.map((step, i) => {
+          const { sigmaX, sigmaY, tauXY } = step.snapshot.params;
+          const cls = i === here ? ' undo-row--present' : i > here ? ' undo-row--future' : '';
+          return (
+            <button className={`undo-row${cls}`} key={i} onClick={() => onJump(i)}
+              title={i === here ? 'Current state' : 'Go to this step'}>
+              <span className="undo-label">{step.label}</span>
+              <span>{fmt(sigmaX)}</span>
+              <span>{fmt(sigmaY)}</span>
+              <span>{fmt(tauXY)}</span>
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
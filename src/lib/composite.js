@@ -0,0 +1,107 @@
+/* ─── Unidirectional lamina under plane stress ─────────────────────
+ * Material axes: 1 along the fibres, 2 transverse in the ply plane. The
+ * laminate-axis state is rotated onto them with the usual transformation
+ * (fibre angle φ from x to the fibres, CCW positive, like θ):
+ *   σ11 = σx′(φ), σ22 = σy′(φ), τ12 = τx′y′(φ)
+ *
+ * Strengths are positive magnitudes in the stress unit:
+ *   Xt, Xc – along the fibres (tension, compression)
+ *   Yt, Yc – transverse (tension, compression)
+ *   S12    – in-plane shear
+ *
+ * Every criterion reports the strength ratio R, the factor the whole state
+ * may be scaled by before it fails, and the failure index 1/R (≥ 1 fails).
+ * Taking the index as 1/R rather than the raw polynomial keeps it linear in
+ * the load, so the criteria can be compared on one axis.
+ */
+
+import { transformStress } from './stress';
+
+/** T300/5208 carbon–epoxy, MPa. */
+export const DEFAULT_LAMINA = { Xt: 1500, Xc: 1500, Yt: 40, Yc: 246, S12: 68 };
+
+/** Lamina stresses { sigma11, sigma22, tau12 } for fibres at `angle` (degrees, physical CCW). */
+export function materialStress({ sigmaX, sigmaY, tauXY }, angle) {
+  const t = transformStress(sigmaX, sigmaY, tauXY, angle);
+  return { sigma11: t.sigmaX, sigma22: t.sigmaY, tau12: t.tauXY };
+}
+
+// { index, ratio, mode } from the strength ratio
+const fromRatio = (ratio, mode = null) => ({ index: 1 / ratio, ratio, mode });
+
+// criteria homogeneous and quadratic in the stresses, given their value F
+const quadratic = (F, mode = null) => (F > 1e-24 ? fromRatio(1 / Math.sqrt(F), mode) : fromRatio(Infinity));
+
+/** Tsai–Hill with the tensile or compressive strength picked by sign. */
+function tsaiHill({ sigma11: s1, sigma22: s2, tau12: t }, { Xt, Xc, Yt, Yc, S12 }) {
+  const X = s1 >= 0 ? Xt : Xc;
+  const Y = s2 >= 0 ? Yt : Yc;
+  return quadratic((s1 / X) ** 2 - (s1 * s2) / X ** 2 + (s2 / Y) ** 2 + (t / S12) ** 2);
+}
+
+/** Tsai–Wu with the interaction term F12 = −½√(F11 F22). */
+function tsaiWu({ sigma11: s1, sigma22: s2, tau12: t }, { Xt, Xc, Yt, Yc, S12 }) {
+  const F1 = 1 / Xt - 1 / Xc, F2 = 1 / Yt - 1 / Yc;
+  const F11 = 1 / (Xt * Xc), F22 = 1 / (Yt * Yc), F66 = 1 / S12 ** 2;
+  const F12 = -0.5 * Math.sqrt(F11 * F22);
+  const a = F11 * s1 * s1 + F22 * s2 * s2 + F66 * t * t + 2 * F12 * s1 * s2;
+  const b = F1 * s1 + F2 * s2;
+  // R solves a R² + b R = 1
+  if (a > 1e-24) return fromRatio((-b + Math.sqrt(b * b + 4 * a)) / (2 * a));
+  return fromRatio(b > 1e-12 ? 1 / b : Infinity);
+}
+
+/** Maximum stress: the largest of the three stress-to-strength ratios. */
+function maxStress({ sigma11: s1, sigma22: s2, tau12: t }, { Xt, Xc, Yt, Yc, S12 }) {
+  const parts = [
+    { mode: s1 >= 0 ? 'fibre tension' : 'fibre compression', v: s1 >= 0 ? s1 / Xt : -s1 / Xc },
+    { mode: s2 >= 0 ? 'matrix tension' : 'matrix compression', v: s2 >= 0 ? s2 / Yt : -s2 / Yc },
+    { mode: 'shear', v: Math.abs(t) / S12 },
+  ];
+  const worst = parts.reduce((a, b) => (b.v > a.v ? b : a));
+  return worst.v > 1e-12 ? fromRatio(1 / worst.v, worst.mode) : fromRatio(Infinity);
+}
+
+/**
+ * Hashin (1980), plane stress. The transverse shear strength S23 is taken as
+ * Yc/2, which reduces the matrix-compression mode to (σ22/Yc)² + (τ12/S12)².
+ */
+function hashin({ sigma11: s1, sigma22: s2, tau12: t }, { Xt, Xc, Yt, Yc, S12 }) {
+  const shear = (t / S12) ** 2;
+  const fibre = s1 >= 0
+    ? { mode: 'fibre tension', index: (s1 / Xt) ** 2 + shear }
+    : { mode: 'fibre compression', index: (s1 / Xc) ** 2 };
+  const matrix = s2 >= 0
+    ? { mode: 'matrix tension', index: (s2 / Yt) ** 2 + shear }
+    : { mode: 'matrix compression', index: (s2 / Yc) ** 2 + shear };
+  const worst = matrix.index >= fibre.index ? matrix : fibre;
+  return quadratic(worst.index, worst.mode);
+}
+
+export const LAMINA_CRITERIA = [
+  { key: 'tsaiHill',  name: 'Tsai–Hill',  short: 'Tsai–Hill', color: '#1565c0', evaluate: tsaiHill },
+  { key: 'tsaiWu',    name: 'Tsai–Wu',    short: 'Tsai–Wu',   color: '#6a1b9a', evaluate: tsaiWu },
+  { key: 'maxStress', name: 'Max stress', short: 'Max σ',     color: '#e65c00', evaluate: maxStress },
+  { key: 'hashin',    name: 'Hashin',     short: 'Hashin',    color: '#1b5e20', evaluate: hashin },
+];
+
+/** Failure index of one criterion for a laminate-axis state and fibre angle. */
+export function laminaIndex(state, angle, key, strength) {
+  const c = LAMINA_CRITERIA.find(c => c.key === key);
+  return c.evaluate(materialStress(state, angle), strength).index;
+}
+
+/**
+ * Every criterion for a laminate-axis state, fibres at `angle` (physical CCW).
+ * Returns { material, results: [{ key, name, color, index, ratio, mode }],
+ * governing } with governing the key of the lowest strength ratio (null when
+ * unloaded).
+ */
+export function evaluateLamina(state, angle, strength) {
+  const material = materialStress(state, angle);
+  const results = LAMINA_CRITERIA.map(c => ({
+    key: c.key, name: c.name, color: c.color, ...c.evaluate(material, strength),
+  }));
+  const lowest = results.reduce((a, b) => (b.ratio < a.ratio ? b : a));
+  return { material, results, governing: Number.isFinite(lowest.ratio) ? lowest.key : null };
+}
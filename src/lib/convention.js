@@ -0,0 +1,34 @@
+/* ─── Sign conventions for the diagrams ────────────────────────────
+ * The stress math in ./stress always works tension-positive with θ measured
+ * counter-clockwise from x. These settings only change how the diagrams
+ * present that state:
+ *   shear    – 'down': +τ plots downward on Mohr's circle, so the point turns
+ *              the same way as the element; 'up': +τ upward, the opposite way
+ *   rotation – 'ccw' | 'cw': the sense of positive θ on the element
+ *   normal   – 'tension' | 'compression': which normal stress is positive
+ *              (compression-positive negates the whole tensor, as in soil
+ *              and rock mechanics)
+ */
+
+export const DEFAULT_CONVENTION = { shear: 'down', rotation: 'ccw', normal: 'tension' };
+
+/** +1 when +τ plots upward on Mohr's circle, −1 when downward. */
+export const shearAxisSign = (c) => (c.shear === 'up' ? 1 : -1);
+
+/** +1 when positive θ is counter-clockwise, −1 when clockwise. */
+export const rotationSign = (c) => (c.rotation === 'cw' ? -1 : 1);
+
+/** +1 for tension-positive, −1 for compression-positive. */
+export const normalSign = (c) => (c.normal === 'compression' ? -1 : 1);
+
+const COMPONENTS = ['sigmaX', 'sigmaY', 'tauXY', 'sigmaZ', 'tauYZ', 'tauZX'];
+
+/** A tension-positive state { sigmaX, …, tauZX } expressed in the chosen sign. */
+export function signedState(state, c) {
+  const k = normalSign(c);
+  const out = { ...state };
+  for (const key of COMPONENTS) {
+    if (typeof out[key] === 'number') out[key] *= k;
+  }
+  return out;
+}
@@ -0,0 +1,147 @@
+/* ─── σ–θ curve data export ────────────────────────────────────────
+ * The σ–θ graph's curves as numbers: σx′, σy′ and τx′y′ sampled every `step`
+ * degrees over the graph's θ range, with a metadata block holding the input
+ * state, the derived values, the principal and maximum-shear angles inside
+ * the range and each curve's extrema there.
+ *
+ * Everything is in the display convention, exactly as the graph plots it:
+ * θ in the chosen rotation sense, values in the chosen normal sign. The
+ * extrema are found analytically (every curve is stationary only at θp1 plus
+ * multiples of 45°), so they do not depend on the step.
+ */
+
+import { transformStress, analyzeStress, normalizeAngle } from './stress';
+import { quantityLabels } from './quantities';
+import { rotationSign, signedState } from './convention';
+
+export const CURVES_FORMAT = 'stress-transformation-curves';
+export const CURVES_VERSION = 1;
+export const MIN_STEP = 0.01;
+export const MAX_ROWS = 100001;
+
+// ASCII stems for column and metadata names, so analysis scripts need not
+// handle Greek: sigma_x_prime, tau_max, …
+const NAMES = {
+  stress:  { normal: 'sigma', shear: 'tau' },
+  strain:  { normal: 'eps', shear: 'half_gamma' },
+  inertia: { normal: 'I', shear: 'neg_I' },
+};
+
+const EPS = 1e-9;
+const round = (v) => +v.toPrecision(10);
+
+/** The θ values sampled: thetaMin, thetaMin + step, … and thetaMax itself. */
+export function sampleThetas(thetaMin, thetaMax, step) {
+  const span = thetaMax - thetaMin;
+  const count = Math.min(Math.floor(span / step + EPS), MAX_ROWS - 2);
+  const thetas = [];
+  for (let i = 0; i <= count; i++) thetas.push(round(thetaMin + i * step));
+  if (thetaMax - thetas[thetas.length - 1] > EPS) thetas.push(thetaMax);
+  return thetas;
+}
+
+/**
+ * Curves and metadata for the graph's current state, or null when the step
+ * or range is unusable.
+ * state      – { sigmaX, sigmaY, tauXY } tension-positive, as the graph gets it
+ * quantity   – 'stress' | 'strain' | 'inertia'
+ * convention – display sign convention (see lib/convention)
+ * Returns { meta, columns, rows } with rows as [θ, x′, y′, x′y′] arrays.
+ */
+export function curveData(state, { thetaMin, thetaMax, step, quantity, unit, convention }) {
+  if (!(step >= MIN_STEP) || !(thetaMax > thetaMin)) return null;
+  const Q = quantityLabels(quantity, unit);
+  const { normal: n, shear: s } = NAMES[quantity];
+  const curves = [`${n}_x_prime`, `${n}_y_prime`, `${s}_xy_prime`];
+  const rot = rotationSign(convention);
+  const shown = signedState(state, convention);
+  const { sigmaX, sigmaY, tauXY } = shown;
+  // θ in the display sense → the three values the graph plots there
+  const at = (theta) => {
+    const t = transformStress(sigmaX, sigmaY, tauXY, rot * theta);
+    return [t.sigmaX, t.sigmaY, t.tauXY];
+  };
+  const a = analyzeStress(sigmaX, sigmaY, tauXY);
+  const showAngle = (deg) => normalizeAngle(rot * deg);
+  const p1 = a.principalAngles && showAngle(a.principalAngles[0]);
+
+  // every multiple of 45° from θp1 in range: principal on even steps, max shear on odd
+  const special = [];
+  if (p1 !== null) {
+    for (let k = Math.ceil((thetaMin - p1) / 45 - EPS); p1 + k * 45 <= thetaMax + EPS; k++) {
+      special.push({ theta: round(p1 + k * 45), k: ((k % 4) + 4) % 4 });
+    }
+  }
+  const inRange = (kinds) => special.filter(s => kinds.includes(s.k)).map(s => s.theta);
+
+  const columns = ['theta_deg', ...curves];
+  const candidates = [thetaMin, thetaMax, ...special.map(s => s.theta)];
+  const extrema = {};
+  curves.forEach((name, i) => {
+    let max = null, min = null;
+    for (const theta of candidates) {
+      const v = at(theta)[i];
+      if (max === null || v > max.value + EPS) max = { theta, value: round(v) };
+      if (min === null || v < min.value - EPS) min = { theta, value: round(v) };
+    }
+    extrema[name] = { max, min };
+  });
+
+  const rows = sampleThetas(thetaMin, thetaMax, step).map(theta => [theta, ...at(theta).map(round)]);
+
+  return {
+    meta: {
+      format: CURVES_FORMAT,
+      version: CURVES_VERSION,
+      exported: new Date().toISOString(),
+      quantity,
+      unit: Q.unit,
+      convention: { rotation: convention.rotation, normal: convention.normal },
+      range: { theta_min: thetaMin, theta_max: thetaMax, step, samples: rows.length },
+      state: { [`${n}_x`]: round(sigmaX), [`${n}_y`]: round(sigmaY), [`${s}_xy`]: round(tauXY) },
+      derived: {
+        [`${n}_1`]: round(a.sigma1),
+        [`${n}_2`]: round(a.sigma2),
+        [`${n}_avg`]: round(a.avg),
+        [`${s}_max`]: round(a.R),
+        theta_p1: p1 === null ? null : round(p1),
+        theta_p2: a.principalAngles && round(showAngle(a.principalAngles[1])),
+        theta_s1: a.shearAngles && round(showAngle(a.shearAngles[0])),
+        theta_s2: a.shearAngles && round(showAngle(a.shearAngles[1])),
+      },
+      // θ in range where the shear curve crosses zero / peaks
+      principal_thetas: inRange([0, 2]),
+      max_shear_thetas: inRange([1, 3]),
+      extrema,
+    },
+    columns,
+    rows,
+  };
+}
+
+/** JSON flavour: the metadata, the column names and the rows. */
+export function curvesToJson({ meta, columns, rows }) {
+  return JSON.stringify({ ...meta, columns, rows }, null, 2);
+}
+
+// nested metadata as "a.b: value" lines
+function flatten(value, prefix, out) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const [k, v] of Object.entries(value)) flatten(v, prefix ? `${prefix}.${k}` : k, out);
+  } else {
+    out.push(`# ${prefix}: ${Array.isArray(value) ? value.join(' ') : value ?? ''}`);
+  }
+  return out;
+}
+
+/**
+ * CSV flavour: the metadata as leading "# key: value" comment lines, then a
+ * header row and one row per θ.
+ */
+export function curvesToCsv({ meta, columns, rows }) {
+  return [
+    ...flatten(meta, '', []),
+    columns.join(','),
+    ...rows.map(r => r.join(',')),
+  ].join('\n') + '\n';
+}
@@ -0,0 +1,14 @@
+/* ─── File downloads ───────────────────────────────────────────────
+ * Saves a Blob through a temporary object URL and a clicked <a download>.
+ */
+
+/** Download `blob` as `filename`. */
+export function download(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  // the download reads the URL after click() returns
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,57 @@
+/* ─── Linear-elastic isotropic Hooke's law ─────────────────────────
+ * Units must be consistent: E in the same unit as the stresses, strains
+ * dimensionless, engineering shear strain γxy = 2·εxy.
+ *
+ * condition:
+ *   'planeStress' – σz is free: 0 when going from strains to stresses, the
+ *                   given σz (0 by default) going the other way; εz follows
+ *                   from the general law
+ *   'planeStrain' – εz = 0, σz = ν(σx + σy) keeps the element from thinning
+ */
+
+/** Shear modulus G = E / 2(1 + ν). */
+export function shearModulus(E, nu) {
+  return E / (2 * (1 + nu));
+}
+
+/** In-plane strains → stresses, plus the out-of-plane σz and εz. */
+export function strainToStress({ epsX, epsY, gammaXY }, { E, nu }, condition = 'planeStress') {
+  const G = shearModulus(E, nu);
+  const tauXY = G * gammaXY;
+  if (condition === 'planeStrain') {
+    const k = E / ((1 + nu) * (1 - 2 * nu));
+    const sigmaX = k * ((1 - nu) * epsX + nu * epsY);
+    const sigmaY = k * (nu * epsX + (1 - nu) * epsY);
+    return { sigmaX, sigmaY, tauXY, sigmaZ: nu * (sigmaX + sigmaY), epsZ: 0 };
+  }
+  const k = E / (1 - nu * nu);
+  return {
+    sigmaX: k * (epsX + nu * epsY),
+    sigmaY: k * (epsY + nu * epsX),
+    tauXY,
+    sigmaZ: 0,
+    epsZ: -nu / (1 - nu) * (epsX + epsY),
+  };
+}
+
+/**
+ * Stresses → strains (out-of-plane shears included), plus the σz they were
+ * worked out with: the given one under plane stress, ν(σx + σy) under plane
+ * strain.
+ */
+export function stressToStrain(
+  { sigmaX, sigmaY, tauXY, sigmaZ = 0, tauYZ = 0, tauZX = 0 }, { E, nu }, condition = 'planeStress',
+) {
+  const G = shearModulus(E, nu);
+  const gammaXY = tauXY / G;
+  const sz = condition === 'planeStrain' ? nu * (sigmaX + sigmaY) : sigmaZ;
+  return {
+    epsX: (sigmaX - nu * (sigmaY + sz)) / E,
+    epsY: (sigmaY - nu * (sigmaX + sz)) / E,
+    gammaXY,
+    epsZ: condition === 'planeStrain' ? 0 : (sz - nu * (sigmaX + sigmaY)) / E,
+    gammaYZ: tauYZ / G,
+    gammaZX: tauZX / G,
+    sigmaZ: sz,
+  };
+}
@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { shearModulus, strainToStress, stressToStrain } from './elasticity';
+
+const steel = { E: 200000, nu: 0.3 };
+
+describe('stressToStrain', () => {
+  it('uses the given σz in the general law', () => {
+    const e = stressToStrain({ sigmaX: 100, sigmaY: -50, tauXY: 40, sigmaZ: 80 }, steel);
+    expect(e.epsX).toBeCloseTo((100 - 0.3 * (-50 + 80)) / 200000, 12);
+    expect(e.epsY).toBeCloseTo((-50 - 0.3 * (100 + 80)) / 200000, 12);
+    expect(e.epsZ).toBeCloseTo((80 - 0.3 * 50) / 200000, 12);
+    expect(e.gammaXY).toBeCloseTo(40 / shearModulus(200000, 0.3), 12);
+    expect(e.sigmaZ).toBe(80);
+  });
+
+  it('turns out-of-plane shear into γyz and γzx', () => {
+    const e = stressToStrain({ sigmaX: 0, sigmaY: 0, tauXY: 0, tauYZ: 26, tauZX: -13 }, steel);
+    expect(e.gammaYZ).toBeCloseTo(26 / shearModulus(200000, 0.3), 12);
+    expect(e.gammaZX).toBeCloseTo(-13 / shearModulus(200000, 0.3), 12);
+  });
+
+  it('ignores the given σz under plane strain and keeps εz = 0', () => {
+    const e = stressToStrain({ sigmaX: 100, sigmaY: 20, tauXY: 0, sigmaZ: 500 }, steel, 'planeStrain');
+    expect(e.sigmaZ).toBeCloseTo(36);
+    expect(e.epsZ).toBe(0);
+  });
+
+  it('round-trips through strainToStress for σz = 0 and for plane strain', () => {
+    for (const condition of ['planeStress', 'planeStrain']) {
+      const e = stressToStrain({ sigmaX: 120, sigmaY: -30, tauXY: 45 }, steel, condition);
+      const s = strainToStress(e, steel, condition);
+      expect(s.sigmaX).toBeCloseTo(120);
+      expect(s.sigmaY).toBeCloseTo(-30);
+      expect(s.tauXY).toBeCloseTo(45);
+      expect(s.epsZ).toBeCloseTo(e.epsZ, 12);
+    }
+  });
+});
@@ -0,0 +1,75 @@
+/* ─── Static yield / fracture criteria ─────────────────────────────
+ * All criteria work on the 3D principal stresses σ1 ≥ σ2 ≥ σ3 (plane stress
+ * simply has a zero among them), so the out-of-plane direction is never
+ * missed. Strengths are positive magnitudes in the same unit as the stresses:
+ *   Sy  – yield strength (ductile criteria)
+ *   Sut – ultimate tensile strength
+ *   Suc – ultimate compressive strength (magnitude)
+ *
+ * Each criterion returns its factor of safety n (Infinity when unloaded);
+ * the equivalent stress is reported as S_ref / n so every row reads in the
+ * same "uniaxial stress that would be as severe" sense.
+ */
+
+/** von Mises equivalent stress. */
+export function vonMises({ sigma1, sigma2, sigma3 }) {
+  return Math.sqrt(((sigma1 - sigma2) ** 2 + (sigma2 - sigma3) ** 2 + (sigma3 - sigma1) ** 2) / 2);
+}
+
+/** Tresca equivalent stress, i.e. twice the absolute maximum shear. */
+export function tresca({ sigma1, sigma3 }) {
+  return sigma1 - sigma3;
+}
+
+const safe = (strength, stress) => (stress > 1e-12 ? strength / stress : Infinity);
+
+/** Maximum normal stress (Rankine) factor of safety. */
+export function maxNormalFS({ sigma1, sigma3 }, Sut, Suc) {
+  return Math.min(safe(Sut, sigma1), safe(Suc, -sigma3));
+}
+
+/** Coulomb–Mohr factor of safety. */
+export function coulombMohrFS({ sigma1, sigma3 }, Sut, Suc) {
+  if (sigma3 >= 0) return safe(Sut, sigma1);
+  if (sigma1 <= 0) return safe(Suc, -sigma3);
+  return 1 / (sigma1 / Sut - sigma3 / Suc);
+}
+
+/** Modified Mohr factor of safety. */
+export function modifiedMohrFS({ sigma1, sigma3 }, Sut, Suc) {
+  if (sigma3 >= 0) return safe(Sut, sigma1);
+  if (sigma1 <= 0) return safe(Suc, -sigma3);
+  if (-sigma3 <= sigma1) return safe(Sut, sigma1);
+  return 1 / ((Suc - Sut) * sigma1 / (Suc * Sut) - sigma3 / Suc);
+}
+
+export const CRITERIA = [
+  { key: 'vonMises',     name: 'von Mises',     ref: 'Sy'  },
+  { key: 'tresca',       name: 'Tresca',        ref: 'Sy'  },
+  { key: 'maxNormal',    name: 'Max normal',    ref: 'Sut' },
+  { key: 'coulombMohr',  name: 'Coulomb–Mohr',  ref: 'Sut' },
+  { key: 'modifiedMohr', name: 'Modified Mohr', ref: 'Sut' },
+];
+
+/**
+ * Evaluate every criterion for a principal state and strengths { Sy, Sut, Suc }.
+ * Returns { results: [{ key, name, ref, equivalent, fs }], governing } where
+ * governing is the key with the lowest factor of safety (null when unloaded).
+ */
+export function evaluateCriteria(principal, strength) {
+  const { Sy, Sut, Suc } = strength;
+  const fs = {
+    vonMises:     safe(Sy, vonMises(principal)),
+    tresca:       safe(Sy, tresca(principal)),
+    maxNormal:    maxNormalFS(principal, Sut, Suc),
+    coulombMohr:  coulombMohrFS(principal, Sut, Suc),
+    modifiedMohr: modifiedMohrFS(principal, Sut, Suc),
+  };
+  const results = CRITERIA.map(c => ({
+    ...c,
+    fs: fs[c.key],
+    equivalent: strength[c.ref] / fs[c.key],
+  }));
+  const lowest = results.reduce((a, b) => (b.fs < a.fs ? b : a));
+  return { results, governing: Number.isFinite(lowest.fs) ? lowest.key : null };
+}
@@ -0,0 +1,114 @@
+/* ─── High-cycle fatigue under fluctuating stress ──────────────────
+ * Two states bound the cycle, σmax and σmin (full tensors). Component by
+ * component
+ *   σa = (σmax − σmin) / 2    (alternating)
+ *   σm = (σmax + σmin) / 2    (mean)
+ * and each tensor is reduced to its von Mises equivalent σ′a, σ′m
+ * (Shigley's approach for multiaxial, in-phase stressing).
+ *
+ * Strengths are positive, in the stress unit:
+ *   Sut – ultimate tensile, Sy – yield, Se – fully corrected endurance limit
+ * Factors of safety assume a load line through the origin (σ′a/σ′m fixed).
+ */
+
+const KEYS = ['sigmaX', 'sigmaY', 'sigmaZ', 'tauXY', 'tauYZ', 'tauZX'];
+
+/** von Mises equivalent of a full stress state. */
+export function equivalentStress({ sigmaX = 0, sigmaY = 0, sigmaZ = 0, tauXY = 0, tauYZ = 0, tauZX = 0 }) {
+  return Math.sqrt(
+    ((sigmaX - sigmaY) ** 2 + (sigmaY - sigmaZ) ** 2 + (sigmaZ - sigmaX) ** 2) / 2
+    + 3 * (tauXY ** 2 + tauYZ ** 2 + tauZX ** 2),
+  );
+}
+
+/** Alternating and mean tensors with their equivalents { alternating, mean, sigmaA, sigmaM }. */
+export function fatigueComponents(max, min) {
+  const alternating = {}, mean = {};
+  for (const k of KEYS) {
+    alternating[k] = ((max[k] ?? 0) - (min[k] ?? 0)) / 2;
+    mean[k] = ((max[k] ?? 0) + (min[k] ?? 0)) / 2;
+  }
+  return { alternating, mean, sigmaA: equivalentStress(alternating), sigmaM: equivalentStress(mean) };
+}
+
+/**
+ * The { max, min } states a fatigue setup refers to: entered directly, or two
+ * load cases picked by id. null while a picked case is missing.
+ */
+export function fatigueStates(fatigue, cases) {
+  if (fatigue.source === 'manual') return { max: fatigue.max, min: fatigue.min };
+  const [max, min] = fatigue.caseIds.map(id => cases.find(c => c.id === id)?.state);
+  return max && min ? { max, min } : null;
+}
+
+const safe = (n) => (Number.isFinite(n) && n > 0 ? n : Infinity);
+
+/**
+ * Criteria in the σm–σa plane. fs(σa, σm, S) is the factor of safety along
+ * the load line; curve(σm, S) the failure locus σa(σm), drawn for
+ * 0 ≤ σm ≤ limit(S).
+ */
+export const FATIGUE_CRITERIA = [
+  {
+    key: 'goodman', name: 'Goodman', color: '#1565c0',
+    fs: (a, m, { Se, Sut }) => safe(1 / (a / Se + m / Sut)),
+    curve: (m, { Se, Sut }) => Se * (1 - m / Sut),
+    limit: ({ Sut }) => Sut,
+  },
+  {
+    key: 'soderberg', name: 'Soderberg', color: '#6a1b9a',
+    fs: (a, m, { Se, Sy }) => safe(1 / (a / Se + m / Sy)),
+    curve: (m, { Se, Sy }) => Se * (1 - m / Sy),
+    limit: ({ Sy }) => Sy,
+  },
+  {
+    key: 'gerber', name: 'Gerber', color: '#e65c00',
+    fs: (a, m, { Se, Sut }) => {
+      if (m < 1e-12) return safe(Se / a);
+      if (a < 1e-12) return safe(Sut / m);
+      const k = 2 * m * Se / (Sut * a);
+      return safe(0.5 * (Sut / m) ** 2 * (a / Se) * (-1 + Math.sqrt(1 + k * k)));
+    },
+    curve: (m, { Se, Sut }) => Se * (1 - (m / Sut) ** 2),
+    limit: ({ Sut }) => Sut,
+  },
+  {
+    key: 'asme', name: 'ASME elliptic', color: '#1b5e20',
+    fs: (a, m, { Se, Sy }) => safe(1 / Math.sqrt((a / Se) ** 2 + (m / Sy) ** 2)),
+    curve: (m, { Se, Sy }) => Se * Math.sqrt(Math.max(1 - (m / Sy) ** 2, 0)),
+    limit: ({ Sy }) => Sy,
+  },
+];
+
+/** Langer first-cycle yield line σa + σm = Sy. */
+export const LANGER = {
+  key: 'langer', name: 'Langer (yield)', color: '#c62828',
+  fs: (a, m, { Sy }) => safe(Sy / (a + m)),
+  curve: (m, { Sy }) => Sy - m,
+  limit: ({ Sy }) => Sy,
+};
+
+/**
+ * Factors of safety for equivalents σ′a, σ′m and strengths { Sut, Sy, Se }.
+ * Returns { results: [{ key, name, color, fs, point: [σm, σa] | null }],
+ * governing } where point is where the load line meets the locus and
+ * governing the fatigue criterion with the lowest n (null when unloaded).
+ */
+export function evaluateFatigue(sigmaA, sigmaM, strength) {
+  const results = [...FATIGUE_CRITERIA, LANGER].map(c => {
+    const fs = sigmaA + sigmaM > 1e-12 ? c.fs(sigmaA, sigmaM, strength) : Infinity;
+    return {
+      key: c.key, name: c.name, color: c.color, fs,
+      point: Number.isFinite(fs) ? [sigmaM * fs, sigmaA * fs] : null,
+    };
+  });
+  const fatigue = results.filter(r => r.key !== LANGER.key);
+  const lowest = fatigue.reduce((a, b) => (b.fs < a.fs ? b : a));
+  return { results, governing: Number.isFinite(lowest.fs) ? lowest.key : null };
+}
+
+/** Everything the fatigue views show: { components, results, governing }. */
+export function analyzeFatigue(max, min, strength) {
+  const components = fatigueComponents(max, min);
+  return { components, ...evaluateFatigue(components.sigmaA, components.sigmaM, strength) };
+}
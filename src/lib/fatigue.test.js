@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { FATIGUE_CRITERIA, analyzeFatigue, evaluateFatigue, fatigueComponents } from './fatigue';
+
+const strength = { Sut: 600, Sy: 450, Se: 200 };
+const fsOf = ({ results }) => Object.fromEntries(results.map(r => [r.key, r.fs]));
+
+describe('fatigueComponents', () => {
+  it('splits the cycle into alternating and mean von Mises equivalents', () => {
+    const { sigmaA, sigmaM } = fatigueComponents({ sigmaX: 150 }, { sigmaX: -50 });
+    expect(sigmaA).toBeCloseTo(100);
+    expect(sigmaM).toBeCloseTo(50);
+  });
+});
+
+describe('evaluateFatigue', () => {
+  it('gives every criterion its static limit when the load does not alternate', () => {
+    // σmax = σmin: σ′a = 0, so each locus is met on the σm axis
+    const fs = fsOf(analyzeFatigue({ sigmaX: 100 }, { sigmaX: 100 }, strength));
+    expect(fs.goodman).toBeCloseTo(6);
+    expect(fs.gerber).toBeCloseTo(6);
+    expect(fs.soderberg).toBeCloseTo(4.5);
+    expect(fs.asme).toBeCloseTo(4.5);
+    expect(fs.langer).toBeCloseTo(4.5);
+  });
+
+  it('gives every fatigue criterion Se/σ′a for a fully reversed load', () => {
+    const result = analyzeFatigue({ sigmaX: 100 }, { sigmaX: -100 }, strength);
+    const fs = fsOf(result);
+    for (const key of ['goodman', 'soderberg', 'gerber', 'asme']) expect(fs[key]).toBeCloseTo(2);
+    expect(fs.langer).toBeCloseTo(4.5);
+  });
+
+  it('puts each load-line crossing on its failure locus', () => {
+    const { results } = evaluateFatigue(80, 120, strength);
+    for (const c of FATIGUE_CRITERIA) {
+      const [m, a] = results.find(r => r.key === c.key).point;
+      expect(a).toBeCloseTo(c.curve(m, strength));
+      expect(a / m).toBeCloseTo(80 / 120);
+    }
+  });
+
+  it('reports no governing criterion for an unloaded part', () => {
+    const result = evaluateFatigue(0, 0, strength);
+    expect(result.governing).toBeNull();
+    expect(result.results.every(r => r.fs === Infinity && r.point === null)).toBe(true);
+  });
+
+  it('picks the criterion with the lowest factor of safety', () => {
+    expect(evaluateFatigue(80, 120, strength).governing).toBe('soderberg');
+  });
+});
@@ -0,0 +1,139 @@
+/* ─── FE result import ─────────────────────────────────────────────
+ * Reads nodal or element stress tables exported from FE post-processors:
+ * CSV (comma, semicolon or tab separated, cells optionally "quoted") as
+ * well as fixed-width text reports such as ANSYS PRNSOL/PRESOL listings or
+ * Abaqus field reports.
+ *
+ * A header line names the columns; it may repeat (page breaks) and any
+ * line that is neither a header nor a full row of numbers is skipped, so
+ * banners, blank lines and MIN/MAX summaries fall through. Column names are
+ * matched case-insensitively with punctuation removed (S.S11 → ss11).
+ * Sxx, Syy and Sxy are required; Szz, Syz and Szx default to 0.
+ */
+
+import { principalStresses3D } from './stress';
+import { vonMises } from './failure';
+
+const ALIASES = {
+  id:     ['id', 'node', 'nodeid', 'nodelabel', 'nid', 'elem', 'element', 'elementid', 'elementlabel', 'eid', 'label'],
+  sigmaX: ['sx', 'sxx', 's11', 'ss11', 'sigmax', 'sigmaxx', 'σx', 'σxx'],
+  sigmaY: ['sy', 'syy', 's22', 'ss22', 'sigmay', 'sigmayy', 'σy', 'σyy'],
+  sigmaZ: ['sz', 'szz', 's33', 'ss33', 'sigmaz', 'sigmazz', 'σz', 'σzz'],
+  tauXY:  ['sxy', 'syx', 's12', 'ss12', 'txy', 'tauxy', 'τxy'],
+  tauYZ:  ['syz', 'szy', 's23', 'ss23', 'tyz', 'tauyz', 'τyz'],
+  tauZX:  ['szx', 'sxz', 's13', 'ss13', 'tzx', 'tauzx', 'τzx', 'txz', 'tauxz', 'τxz'],
+};
+
+export const STRESS_KEYS = ['sigmaX', 'sigmaY', 'sigmaZ', 'tauXY', 'tauYZ', 'tauZX'];
+const REQUIRED = ['sigmaX', 'sigmaY', 'tauXY'];
+
+// min/max/total blocks that close a listing (ANSYS "MINIMUM VALUES", Abaqus
+// "Minimum" / "At Node"); rows resume only after the next header
+const SUMMARY = /^\s*(minimum|maximum|total|at\s+(node|element))\b/i;
+
+const normalize = (name) => name.toLowerCase().replace(/[^a-z0-9σ]/g, '');
+
+const columnKey = (name) => {
+  const n = normalize(name);
+  return Object.keys(ALIASES).find(k => ALIASES[k].includes(n)) ?? null;
+};
+
+/** Cells of a delimited line; "quoted" cells lose their quotes ("" is a literal "). */
+function splitDelimited(line, delimiter) {
+  const cells = [];
+  let cell = '', quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch !== '"') cell += ch;
+      else if (line[i + 1] === '"') cell += line[++i];
+      else quoted = false;
+    } else if (ch === '"' && !cell.trim()) {
+      cell = '';
+      quoted = true;
+    } else if (ch === delimiter) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+/**
+ * Split a line on the first delimiter found, falling back to whitespace.
+ * Tabs and semicolons win over commas, which may be decimal commas there.
+ */
+function splitLine(line) {
+  for (const d of ['\t', ';', ',']) {
+    if (line.includes(d)) return splitDelimited(line, d);
+  }
+  // two-word labels in fixed-width reports ("Node Label") would split apart
+  return line.trim().replace(/\b(node|element)\s+label\b/ig, '$1Label').split(/\s+/);
+}
+
+/** Column map { key → index } when `cells` is a header with the required names. */
+function headerOf(cells) {
+  const map = {};
+  cells.forEach((c, i) => {
+    const key = columnKey(c);
+    if (key && !(key in map)) map[key] = i;
+  });
+  return REQUIRED.every(k => k in map) ? map : null;
+}
+
+/**
+ * Parse an exported stress table.
+ * Returns { rows: [{ id, sigmaX, …, tauZX }], columns, skipped, error } where
+ * columns lists the stress keys that were present, skipped counts the
+ * non-header lines that were not read as rows, and error is a message when
+ * nothing usable was found (rows is then empty).
+ */
+export function parseStressTable(text) {
+  const rows = [];
+  let map = null, columns = [], skipped = 0, headers = 0;
+
+  text.split(/\r?\n/).forEach((line) => {
+    if (!line.trim()) return;
+    const cells = splitLine(line);
+    const header = headerOf(cells);
+    if (header) {
+      map = header;
+      headers++;
+      columns = STRESS_KEYS.filter(k => k in map);
+      return;
+    }
+    if (!map) return;
+    if (SUMMARY.test(line)) {
+      map = null;
+      return;
+    }
+
+    // semicolon- and tab-separated exports often use a decimal comma
+    const num = (k) => {
+      if (!(k in map)) return 0;
+      const cell = cells[map[k]];
+      return cell ? Number(cell.replace(',', '.')) : NaN;
+    };
+    const row = { id: 'id' in map ? cells[map.id] : String(rows.length + 1) };
+    for (const k of STRESS_KEYS) row[k] = num(k);
+    if (!row.id || STRESS_KEYS.some(k => !Number.isFinite(row[k]))) {
+      skipped++;
+      return;
+    }
+    rows.push(row);
+  });
+
+  let error = null;
+  if (!headers) error = 'No header with Sxx, Syy and Sxy columns was found.';
+  else if (!rows.length) error = 'The header was found, but no rows of numbers followed it.';
+  return { rows, columns, skipped, error };
+}
+
+/** Summary measures used by the results table: { vonMises, sigma1, tauMax }. */
+export function stressMeasures(row) {
+  const p = principalStresses3D(row);
+  return { vonMises: vonMises(p), sigma1: p.sigma1, tauMax: p.tauAbsMax };
+}
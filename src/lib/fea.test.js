@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { parseStressTable } from './fea';
+
+const ids = ({ rows }) => rows.map(r => r.id);
+
+describe('parseStressTable', () => {
+  it('reads a plain comma-separated table', () => {
+    const result = parseStressTable('Node,Sxx,Syy,Sxy\n1,80,-40,50\n2,12.5,3.25,-4\n');
+    expect(result.error).toBeNull();
+    expect(result.columns).toEqual(['sigmaX', 'sigmaY', 'tauXY']);
+    expect(result.rows[0]).toEqual({ id: '1', sigmaX: 80, sigmaY: -40, sigmaZ: 0, tauXY: 50, tauYZ: 0, tauZX: 0 });
+    expect(ids(result)).toEqual(['1', '2']);
+  });
+
+  it('unquotes quoted cells, as Excel and many solvers write them', () => {
+    const result = parseStressTable([
+      '"Node","Sxx","Syy","Sxy"',
+      '"1","80","-40","50"',
+      '"A ""hot"" spot, top", "12.5" ,"3.25","-4"',
+    ].join('\r\n'));
+    expect(result.error).toBeNull();
+    expect(ids(result)).toEqual(['1', 'A "hot" spot, top']);
+    expect(result.rows[0].sigmaX).toBe(80);
+    expect(result.rows[1].sigmaX).toBe(12.5);
+    expect(result.skipped).toBe(0);
+  });
+
+  it('reads semicolon-separated tables with decimal commas, quoted or not', () => {
+    const result = parseStressTable([
+      'Element;S11;S22;S33;S12',
+      '7;80,5;-40,25;1,5;50',
+      '"8";"12,5";"3";"0";"-4,75"',
+    ].join('\n'));
+    expect(result.columns).toEqual(['sigmaX', 'sigmaY', 'sigmaZ', 'tauXY']);
+    expect(result.rows.map(r => [r.sigmaX, r.sigmaY, r.sigmaZ, r.tauXY])).toEqual([
+      [80.5, -40.25, 1.5, 50],
+      [12.5, 3, 0, -4.75],
+    ]);
+  });
+
+  it('reads an ANSYS PRNSOL listing and stops at the summary', () => {
+    const result = parseStressTable(`
+ PRINT S    NODAL SOLUTION PER NODE
+
+  ***** POST1 NODAL STRESS LISTING *****
+
+  LOAD STEP=     1  SUBSTEP=     1
+   TIME=    1.0000      LOAD CASE=   0
+
+  THE FOLLOWING X,Y,Z VALUES ARE IN GLOBAL COORDINATES
+
+    NODE     SX          SY          SZ          SXY         SYZ         SXZ
+       1   80.000     -40.000      0.0000      50.000      0.0000      0.0000
+       2   12.500      3.2500      1.0000     -4.0000      0.50000    -0.25000
+
+ MINIMUM VALUES
+ NODE          2           1           1           2           1           2
+ VALUE    12.500     -40.000      0.0000     -4.0000      0.0000    -0.25000
+`);
+    expect(result.error).toBeNull();
+    expect(ids(result)).toEqual(['1', '2']);
+    expect(result.rows[1]).toEqual({ id: '2', sigmaX: 12.5, sigmaY: 3.25, sigmaZ: 1, tauXY: -4, tauYZ: 0.5, tauZX: -0.25 });
+  });
+
+  it('reads an Abaqus field report with a two-word label column', () => {
+    const result = parseStressTable(`
+Field Output reported at nodes for part: PART-1-1
+
+            Node Label         S.S11          S.S22          S.S33          S.S12
+-----------------------------------------------------------------------------------
+                    1           80.           -40.             0.            50.
+                    2         1.25E+01        3.25             1.           -4.
+
+  Minimum                     1.25E+01        -40.             0.           -4.
+`);
+    expect(result.error).toBeNull();
+    expect(ids(result)).toEqual(['1', '2']);
+    expect(result.rows[1].sigmaX).toBe(12.5);
+    expect(result.rows[0].tauXY).toBe(50);
+  });
+
+  it('explains what is missing', () => {
+    expect(parseStressTable('a,b,c\n1,2,3').error).toMatch(/No header/);
+    expect(parseStressTable('Node,Sxx,Syy,Sxy\nfoo,bar').error).toMatch(/no rows of numbers/);
+  });
+});
@@ -0,0 +1,221 @@
+/* ─── Closed-form 2D stress fields ─────────────────────────────────
+ * Each field maps a point (x, y) in normalised coordinates to a plane
+ * stress state { sigmaX, sigmaY, tauXY }, or null outside the body. Loads
+ * are given in the selected stress unit, so the field comes out in it too.
+ *
+ *   kirsch     – infinite plate with a hole of radius a, remote σx∞ and σy∞
+ *   cantilever – beam of depth 2c built in at x = L, tip load at x = 0
+ *                (elasticity solution, nominal root bending stress S)
+ *   flamant    – line load on a half-space, q = P/a over a reference length
+ *   lame       – thick cylinder a ≤ r ≤ b under pᵢ and pₒ
+ */
+
+import { lameStresses } from './scenarios';
+import { principalStresses } from './stress';
+
+/** Polar (σr, σθ, τrθ) at angle t → Cartesian stresses. */
+function fromPolar(sr, st, trt, t) {
+  const c = Math.cos(t), s = Math.sin(t);
+  return {
+    sigmaX: sr * c * c + st * s * s - 2 * trt * s * c,
+    sigmaY: sr * s * s + st * c * c + 2 * trt * s * c,
+    tauXY:  (sr - st) * s * c + trt * (c * c - s * s),
+  };
+}
+
+/** Kirsch solution for remote uniaxial S along x, hole radius 1. */
+function kirschX(S, x, y) {
+  const r2 = x * x + y * y;
+  const t = Math.atan2(y, x);
+  const q = 1 / r2, q2 = q * q;
+  const c2 = Math.cos(2 * t), s2 = Math.sin(2 * t);
+  return fromPolar(
+    S / 2 * (1 - q) + S / 2 * (1 - 4 * q + 3 * q2) * c2,
+    S / 2 * (1 + q) - S / 2 * (1 + 3 * q2) * c2,
+    -S / 2 * (1 + 2 * q - 3 * q2) * s2,
+    t,
+  );
+}
+
+export const FIELDS = {
+  kirsch: {
+    label: 'Kirsch hole',
+    axis: 'a',
+    params: [
+      { key: 'Sx', label: 'Remote σx', unit: 'stress' },
+      { key: 'Sy', label: 'Remote σy', unit: 'stress' },
+    ],
+    defaults: { Sx: 100, Sy: 0 },
+    extent: () => ({ x: [-4, 4], y: [-4, 4] }),
+    stress(x, y, p) {
+      if (x * x + y * y < 1) return null;
+      const a = kirschX(p.Sx, x, y);
+      // σy∞ is the x-solution seen in a frame turned by 90°
+      const b = kirschX(p.Sy, y, -x);
+      return {
+        sigmaX: a.sigmaX + b.sigmaY,
+        sigmaY: a.sigmaY + b.sigmaX,
+        tauXY:  a.tauXY - b.tauXY,
+      };
+    },
+  },
+  cantilever: {
+    label: 'Cantilever',
+    axis: 'c',
+    params: [
+      { key: 'S', label: 'Root stress', unit: 'stress' },
+      { key: 'L', label: 'Length L/c', min: 1 },
+    ],
+    defaults: { S: 100, L: 6 },
+    extent: (p) => ({ x: [0, p.L], y: [-1, 1] }),
+    stress(x, y, p) {
+      if (x < 0 || x > p.L || Math.abs(y) > 1) return null;
+      return {
+        sigmaX: p.S * x * y / p.L,
+        sigmaY: 0,
+        tauXY: p.S * (1 - y * y) / (2 * p.L),
+      };
+    },
+  },
+  flamant: {
+    label: 'Flamant',
+    axis: 'a',
+    params: [{ key: 'q', label: 'Line load P/a', unit: 'stress' }],
+    defaults: { q: 100 },
+    extent: () => ({ x: [-3, 3], y: [-4, 0] }),
+    stress(x, y, p) {
+      const r2 = x * x + y * y;
+      if (y > 0 || r2 < 0.02) return null;
+      // purely radial: σr = −2q·cosφ/(πr), φ from the load line
+      const sr = -2 * p.q * (-y) / (Math.PI * r2);
+      return { sigmaX: sr * x * x / r2, sigmaY: sr * y * y / r2, tauXY: sr * x * y / r2 };
+    },
+  },
+  lame: {
+    label: 'Lamé',
+    axis: 'a',
+    params: [
+      { key: 'pi', label: 'Inner pressure', unit: 'stress' },
+      { key: 'po', label: 'Outer pressure', unit: 'stress' },
+      { key: 'b',  label: 'Ratio b/a', min: 1.01 },
+    ],
+    defaults: { pi: 100, po: 0, b: 2 },
+    extent: (p) => ({ x: [-p.b, p.b], y: [-p.b, p.b] }),
+    stress(x, y, p) {
+      const r = Math.hypot(x, y);
+      if (r < 1 || r > p.b) return null;
+      const { sigmaR, sigmaTheta } = lameStresses(p.pi, p.po, 1, p.b, r);
+      return fromPolar(sigmaR, sigmaTheta, 0, Math.atan2(y, x));
+    },
+  },
+};
+
+export const DEFAULT_FIELD_PARAMS = Object.fromEntries(
+  Object.entries(FIELDS).map(([type, f]) => [type, f.defaults]),
+);
+
+/** Rescale the stress-valued parameters of every field by factor k (unit change). */
+export function scaleFieldParams(params, k) {
+  const out = {};
+  for (const [type, values] of Object.entries(params)) {
+    out[type] = { ...values };
+    for (const p of FIELDS[type].params) {
+      if (p.unit === 'stress') out[type][p.key] *= k;
+    }
+  }
+  return out;
+}
+
+export const MEASURES = {
+  vonMises: { label: 'von Mises', signed: false },
+  sigma1:   { label: 'σ₁',        signed: true  },
+  sigma2:   { label: 'σ₂',        signed: true  },
+  tauMax:   { label: 'τmax',      signed: false },
+  sigmaX:   { label: 'σx',        signed: true  },
+  sigmaY:   { label: 'σy',        signed: true  },
+  tauXY:    { label: 'τxy',       signed: true  },
+};
+
+/** Scalar measure of a plane stress state. */
+export function measureOf(key, s) {
+  if (key === 'sigmaX' || key === 'sigmaY' || key === 'tauXY') return s[key];
+  const { sigma1, sigma2 } = principalStresses(s.sigmaX, s.sigmaY, s.tauXY);
+  if (key === 'sigma1') return sigma1;
+  if (key === 'sigma2') return sigma2;
+  if (key === 'tauMax') return (sigma1 - sigma2) / 2;
+  return Math.sqrt(sigma1 * sigma1 - sigma1 * sigma2 + sigma2 * sigma2);
+}
+
+/**
+ * Sample a measure on an n×n grid over the field's extent. Returns
+ * { extent, n, values (row-major from the top, null outside), min, max }.
+ */
+export function sampleField(type, params, measure, n = 140) {
+  const field = FIELDS[type];
+  const extent = field.extent(params);
+  const [x0, x1] = extent.x, [y0, y1] = extent.y;
+  const values = new Array(n * n);
+  let min = Infinity, max = -Infinity;
+  for (let j = 0; j < n; j++) {
+    const y = y1 - (j + 0.5) / n * (y1 - y0);
+    for (let i = 0; i < n; i++) {
+      const x = x0 + (i + 0.5) / n * (x1 - x0);
+      const s = field.stress(x, y, params);
+      const v = s ? measureOf(measure, s) : null;
+      values[j * n + i] = v;
+      if (v !== null) {
+        if (v < min) min = v;
+        if (v > max) max = v;
+      }
+    }
+  }
+  return { extent, n, values, min, max };
+}
+
+/**
+ * Principal stress trajectories: polylines tangent to the σ1 (family 0) or
+ * σ2 (family 1) direction, traced both ways from a grid of seeds until they
+ * leave the body or reach an isotropic point.
+ */
+export function trajectories(type, params, seeds = 6) {
+  const field = FIELDS[type];
+  const { x: [x0, x1], y: [y0, y1] } = field.extent(params);
+  const h = Math.max(x1 - x0, y1 - y0) / 150;
+  const direction = (x, y, family) => {
+    const s = field.stress(x, y, params);
+    if (!s) return null;
+    const d = (s.sigmaX - s.sigmaY) / 2;
+    if (Math.hypot(d, s.tauXY) < 1e-9) return null;
+    const t = 0.5 * Math.atan2(s.tauXY, d) + family * Math.PI / 2;
+    return [Math.cos(t), Math.sin(t)];
+  };
+  const trace = (x, y, family, sense) => {
+    const pts = [];
+    let prev = null;
+    for (let k = 0; k < 600; k++) {
+      if (x < x0 || x > x1 || y < y0 || y > y1) break;
+      let d = direction(x, y, family);
+      if (!d) break;
+      if (prev ? d[0] * prev[0] + d[1] * prev[1] < 0 : sense < 0) d = [-d[0], -d[1]];
+      pts.push([x, y]);
+      prev = d;
+      x += d[0] * h;
+      y += d[1] * h;
+    }
+    return pts;
+  };
+  const lines = [];
+  for (let i = 0; i < seeds; i++) {
+    for (let j = 0; j < seeds; j++) {
+      const x = x0 + (i + 0.5) / seeds * (x1 - x0);
+      const y = y0 + (j + 0.5) / seeds * (y1 - y0);
+      for (const family of [0, 1]) {
+        const back = trace(x, y, family, -1).reverse();
+        const fwd = trace(x, y, family, 1);
+        const pts = [...back, ...fwd.slice(1)];
+        if (pts.length > 2) lines.push({ family, pts });
+      }
+    }
+  }
+  return lines;
+}
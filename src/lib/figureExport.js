@@ -0,0 +1,170 @@
+/* ─── Figure export ────────────────────────────────────────────────
+ * Turns a figure into a standalone SVG, a high-DPI PNG or a vector PDF and
+ * downloads it. A figure is { svg, width, height }: a live <svg> element
+ * (copied, never changed) or SVG markup, and its size in CSS pixels. A group
+ * marked data-view holds the on-screen zoom and pan; exports drop its
+ * transform and show the whole figure.
+ *
+ * Exported text is set in DejaVu Sans Mono, which ships with the app, so
+ * the files look the same on machines without the UI's fonts. The fonts are
+ * fetched the first time something is exported, and each file embeds only
+ * the glyphs its text uses.
+ */
+
+import regularUrl from '../assets/fonts/DejaVuSansMono.ttf?url';
+import boldUrl from '../assets/fonts/DejaVuSansMono-Bold.ttf?url';
+import { parseTtf, subsetTtf } from './ttf';
+import { svgToPdf } from './pdf';
+import { download } from './download';
+
+export const EXPORT_FORMATS = ['svg', 'png', 'pdf'];
+export const PNG_SCALE = 4;
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const FONT_FAMILY = 'DejaVu Sans Mono';
+// UI-only styling on a live figure that means nothing in a file
+const DROP_STYLES = ['cursor', 'transition', 'pointer-events', 'user-select'];
+
+let fontsPromise = null;
+
+/**
+ * The export fonts: { regular, bold }, each a parseTtf result with its
+ * PostScript name.
+ */
+export function loadExportFonts() {
+  fontsPromise ??= Promise.all(
+    [[regularUrl, 'DejaVuSansMono'], [boldUrl, 'DejaVuSansMono-Bold']].map(async ([url, name]) => {
+      const res = await fetch(url);
+      if (!res.ok) throw new Error(`Could not load the export font (${res.status})`);
+      const font = parseTtf(await res.arrayBuffer());
+      if (!font) throw new Error('The export font is not a TrueType font');
+      return { ...font, name };
+    }),
+  ).then(([regular, bold]) => ({ regular, bold }));
+  // let a failed download be retried
+  fontsPromise.catch(() => { fontsPromise = null; });
+  return fontsPromise;
+}
+
+/** Width of `text` in px as set in the export font. */
+export const measureWith = (fonts) => (text, size, bold = false) =>
+  (bold ? fonts.bold : fonts.regular).measure(text, size);
+
+function base64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+const isBold = (weight) => weight === 'bold' || weight === 'bolder' || parseInt(weight, 10) >= 600;
+
+/**
+ * A detached copy of the figure ready to save: sized, with the UI-only
+ * styling removed, text switched to the export font (embedded as @font-face
+ * data) and, unless transparent, a white background.
+ */
+export function standaloneSvg({ svg, width, height }, fonts, { transparent = false } = {}) {
+  const root = typeof svg === 'string'
+    ? new DOMParser().parseFromString(svg, 'image/svg+xml').documentElement
+    : svg.cloneNode(true);
+  const doc = root.ownerDocument;
+
+  root.setAttribute('width', width);
+  root.setAttribute('height', height);
+  if (!root.getAttribute('viewBox')) root.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  root.removeAttribute('class');
+  root.setAttribute('font-family', `'${FONT_FAMILY}', monospace`);
+
+  let bold = false;
+  let text = '';
+  for (const el of [root, ...root.querySelectorAll('*')]) {
+    el.removeAttribute('class');
+    if (el.hasAttribute('data-view')) {
+      el.removeAttribute('data-view');
+      el.removeAttribute('transform');
+    }
+    const style = el.getAttribute('style');
+    if (style) {
+      const kept = style.split(';')
+        .filter(rule => rule.trim() && !DROP_STYLES.includes(rule.split(':')[0].trim()))
+        .join(';');
+      if (kept) el.setAttribute('style', kept);
+      else el.removeAttribute('style');
+    }
+    if (el.hasAttribute('font-family')) el.setAttribute('font-family', `'${FONT_FAMILY}', monospace`);
+    if (el.localName === 'text') {
+      text += el.textContent;
+      if (isBold(el.getAttribute('font-weight'))) bold = true;
+    }
+  }
+
+  let defs = root.querySelector('defs');
+  if (!defs) {
+    defs = doc.createElementNS(SVG_NS, 'defs');
+    root.insertBefore(defs, root.firstChild);
+  }
+  const face = (font, weight) => {
+    const glyphs = new Set([...text].map(ch => font.glyphId(ch.codePointAt(0))));
+    return `@font-face { font-family: '${FONT_FAMILY}'; font-weight: ${weight};`
+      + ` src: url(data:font/ttf;base64,${base64(subsetTtf(font, glyphs))}) format('truetype'); }`;
+  };
+  const style = doc.createElementNS(SVG_NS, 'style');
+  style.textContent = face(fonts.regular, 'normal') + (bold ? '\n' + face(fonts.bold, 'bold') : '');
+  defs.insertBefore(style, defs.firstChild);
+
+  if (!transparent) {
+    const [x, y, w, h] = root.getAttribute('viewBox').split(/[\s,]+/);
+    const bg = doc.createElementNS(SVG_NS, 'rect');
+    Object.entries({ x, y, width: w, height: h, fill: 'white' }).forEach(([k, v]) => bg.setAttribute(k, v));
+    root.insertBefore(bg, defs.nextSibling);
+  }
+  return root;
+}
+
+const serialize = (root) => new XMLSerializer().serializeToString(root);
+
+function renderPng(root, width, height) {
+  const url = URL.createObjectURL(new Blob([serialize(root)], { type: 'image/svg+xml' }));
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * PNG_SCALE);
+      canvas.height = Math.round(height * PNG_SCALE);
+      canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The PNG could not be encoded'))), 'image/png');
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('The figure could not be rendered'));
+    };
+    img.src = url;
+  });
+}
+
+/**
+ * Export a figure and download it as `${name}.${format}`.
+ * getFigure   – (measure) → { svg, width, height }; measure(text, size, bold)
+ *               gives text widths in the export font, for figures that lay
+ *               out their own text
+ * format      – 'svg' | 'png' | 'pdf'
+ * transparent – leave the background transparent instead of white
+ * title       – PDF document title
+ */
+export async function exportFigure(getFigure, { format, name, transparent = false, title = null }) {
+  const fonts = await loadExportFonts();
+  const figure = getFigure(measureWith(fonts));
+  const root = standaloneSvg(figure, fonts, { transparent });
+  let blob;
+  if (format === 'svg') {
+    blob = new Blob(['<?xml version="1.0" encoding="UTF-8"?>\n' + serialize(root)], { type: 'image/svg+xml' });
+  } else if (format === 'png') {
+    blob = await renderPng(root, figure.width, figure.height);
+  } else {
+    blob = await svgToPdf(root, { width: figure.width, height: figure.height, fonts, title });
+  }
+  download(blob, `${name}.${format}`);
+}
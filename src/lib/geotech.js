@@ -0,0 +1,71 @@
+/* ─── Soil mechanics: effective stress and Mohr–Coulomb ─────────────
+ * States come in tension-positive like everywhere else; the results are
+ * compression-positive, as soil mechanics reports them.
+ *
+ * Terzaghi: σ′ = σ − u on every normal component (compression-positive),
+ * shear is carried by the skeleton alone. Failure in the plane of the
+ * element follows Mohr–Coulomb on the effective stresses:
+ *   τf = c + σ′n tan φ   ⇔   t = s′ sin φ + c cos φ  at failure
+ * with s′ = (σ′1 + σ′3)/2 and t = (σ′1 − σ′3)/2.
+ */
+
+import { DEG2RAD, RAD2DEG, principalStresses, principalAngles, normalizeAngle } from './stress';
+
+/** Effective state (tension-positive) for pore pressure u (compression-positive). */
+export function effectiveState(state, u) {
+  return {
+    ...state,
+    sigmaX: state.sigmaX + u,
+    sigmaY: state.sigmaY + u,
+    sigmaZ: (state.sigmaZ ?? 0) + u,
+  };
+}
+
+/**
+ * Mohr–Coulomb check of the in-plane effective state.
+ * Returns, compression-positive:
+ *   sigma1, sigma3   – major and minor principal effective stresses
+ *   s, t             – centre and radius of the effective circle
+ *   tFailure         – radius at which the circle would touch the envelope
+ *   distance         – tFailure − t, the shortest gap from circle to envelope
+ *                      (negative once the envelope is crossed)
+ *   mobilised        – φmob in degrees, the slope of the tangent drawn from the
+ *                      envelope apex (−c cot φ, 0); null beyond the apex or
+ *                      for φ = 0
+ *   tangent          – [σ′n, τ] of the circle point nearest the envelope
+ *   planeAngle       – 45° + φ/2, failure plane measured from the major
+ *                      principal plane
+ *   planes           – the two conjugate failure-plane traces, CCW degrees
+ *                      from x, or null for an isotropic state
+ */
+export function mohrCoulomb({ sigmaX, sigmaY, tauXY }, { c, phi }) {
+  const p = principalStresses(sigmaX, sigmaY, tauXY);
+  const sigma1 = -p.sigma2, sigma3 = -p.sigma1;
+  const s = (sigma1 + sigma3) / 2, t = (sigma1 - sigma3) / 2;
+  const sin = Math.sin(phi * DEG2RAD), cos = Math.cos(phi * DEG2RAD);
+  const tFailure = s * sin + c * cos;
+
+  // φ = 0 (undrained) puts the apex at −∞ and leaves nothing to mobilise
+  let mobilised = null;
+  if (sin > 1e-12) {
+    const apex = c * cos / sin;
+    if (s + apex > 1e-12 && t <= s + apex) mobilised = Math.asin(t / (s + apex)) * RAD2DEG;
+  }
+
+  // the failure plane makes 45° + φ/2 with the major principal plane, whose
+  // trace runs along the minor principal (least compressive) direction
+  const planeAngle = 45 + phi / 2;
+  const minor = principalAngles(sigmaX, sigmaY, tauXY);
+  const planes = minor
+    ? [normalizeAngle(minor[0] + planeAngle), normalizeAngle(minor[0] - planeAngle)]
+    : null;
+
+  return {
+    sigma1, sigma3, s, t, tFailure,
+    distance: tFailure - t,
+    mobilised,
+    tangent: [s - t * sin, t * cos],
+    planeAngle,
+    planes,
+  };
+}
@@ -0,0 +1,108 @@
+/* ─── Load histories ───────────────────────────────────────────────
+ * A history is a list of { t, sigmaX, sigmaY, tauXY } with t strictly
+ * increasing; stresses are in the selected unit. Between the given points
+ * the components vary linearly, so a non-proportional path (where the
+ * principal directions turn) is still traced faithfully by sampling it.
+ *
+ * Stress-path measures (plane stress, σz = 0):
+ *   σ1, σ2 – in-plane principal stresses
+ *   p      – mean stress (σx + σy) / 3
+ *   q      – von Mises equivalent stress
+ */
+
+import { principalStresses } from './stress';
+
+const COLUMNS = [
+  { key: 't',      names: ['t', 'time', 'step'] },
+  { key: 'sigmaX', names: ['sx', 'sxx', 'sigmax', 'σx'] },
+  { key: 'sigmaY', names: ['sy', 'syy', 'sigmay', 'σy'] },
+  { key: 'tauXY',  names: ['txy', 'sxy', 'tauxy', 'τxy'] },
+];
+
+// non-proportional example: axial and shear 90° out of phase, so the
+// principal axes turn through a full cycle
+export const DEFAULT_HISTORY = [0, 1, 2, 3, 4, 5, 6, 7, 8].map(t => ({
+  t,
+  sigmaX: Math.round(100 * Math.sin(t * Math.PI / 4)),
+  sigmaY: 0,
+  tauXY: Math.round(50 * Math.cos(t * Math.PI / 4)),
+}));
+
+/**
+ * Parse "t, σx, σy, τxy" rows (comma, semicolon, tab or space separated).
+ * A header line may name and reorder the columns; without one the order above
+ * is assumed. Returns { points, error }; error is a message when the table
+ * cannot be used.
+ */
+export function parseHistory(text) {
+  let order = COLUMNS.map((_, i) => i);
+  const points = [];
+  for (const line of text.split(/\r?\n/)) {
+    const cells = line.trim().split(/\s*[,;\t]\s*|\s+/).filter(Boolean);
+    if (!cells.length) continue;
+    const values = cells.map(Number);
+    if (values.some(v => !Number.isFinite(v))) {
+      const names = cells.map(c => c.toLowerCase().replace(/[^a-z0-9στ]/g, ''));
+      const found = COLUMNS.map(col => names.findIndex(n => col.names.includes(n)));
+      if (points.length || found.some(i => i < 0)) {
+        return { points: [], error: `Could not read the line "${line.trim()}".` };
+      }
+      order = found;
+      continue;
+    }
+    if (values.length < 4) return { points: [], error: `Expected 4 values in "${line.trim()}".` };
+    const point = {};
+    COLUMNS.forEach((col, i) => { point[col.key] = values[order[i]]; });
+    points.push(point);
+  }
+  if (points.length < 2) return { points: [], error: 'A history needs at least two rows.' };
+  if (points.some((p, i) => i > 0 && p.t <= points[i - 1].t)) {
+    return { points: [], error: 'Times must increase from row to row.' };
+  }
+  return { points, error: null };
+}
+
+/** History as editable text, one row per point. */
+export function formatHistory(points, digits = 3) {
+  const num = (v) => String(+v.toFixed(digits));
+  return ['t, σx, σy, τxy',
+    ...points.map(p => [p.t, p.sigmaX, p.sigmaY, p.tauXY].map(num).join(', '))].join('\n');
+}
+
+/** Rescale the stresses of a history by factor k (unit change). */
+export function scaleHistory(points, k) {
+  return points.map(p => ({ t: p.t, sigmaX: p.sigmaX * k, sigmaY: p.sigmaY * k, tauXY: p.tauXY * k }));
+}
+
+/** Linearly interpolated state { sigmaX, sigmaY, tauXY } at time t (clamped). */
+export function stateAt(points, t) {
+  const last = points.length - 1;
+  if (t <= points[0].t) return { ...points[0] };
+  if (t >= points[last].t) return { ...points[last] };
+  let i = 1;
+  while (points[i].t < t) i++;
+  const a = points[i - 1], b = points[i];
+  const f = (t - a.t) / (b.t - a.t);
+  return {
+    t,
+    sigmaX: a.sigmaX + f * (b.sigmaX - a.sigmaX),
+    sigmaY: a.sigmaY + f * (b.sigmaY - a.sigmaY),
+    tauXY:  a.tauXY + f * (b.tauXY - a.tauXY),
+  };
+}
+
+/** n + 1 evenly spaced states between t0 and t1. */
+export function sampleHistory(points, t0, t1, n = 120) {
+  return Array.from({ length: n + 1 }, (_, i) => stateAt(points, t0 + (t1 - t0) * i / n));
+}
+
+/** Stress-path measures { sigma1, sigma2, p, q } of a plane state. */
+export function pathMeasures({ sigmaX, sigmaY, tauXY }) {
+  const { sigma1, sigma2 } = principalStresses(sigmaX, sigmaY, tauXY);
+  return {
+    sigma1,
+    sigma2,
+    p: (sigmaX + sigmaY) / 3,
+    q: Math.sqrt(sigma1 * sigma1 - sigma1 * sigma2 + sigma2 * sigma2),
+  };
+}
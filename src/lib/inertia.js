@@ -0,0 +1,102 @@
+/* ─── Second moments of area of built-up sections ──────────────────
+ * A section is a list of rectangles and circles in the x–y plane, each placed
+ * by its own centroid (x, y); holes subtract. Dimensions in mm.
+ *
+ * About the section centroid (parallel-axis theorem):
+ *   Ix  = Σ (Ix,i + Ai (yi − ȳ)²)
+ *   Iy  = Σ (Iy,i + Ai (xi − x̄)²)
+ *   Ixy = Σ Ai (xi − x̄)(yi − ȳ)
+ *
+ * Ix, Iy and Ixy transform like σx, σy and −τxy, so the tensor views draw
+ * the section as { sigmaX: Ix, sigmaY: Iy, tauXY: −Ixy }.
+ */
+
+/** mm⁴ per cm⁴, the unit the tensor views show. */
+export const MM4_PER_CM4 = 1e4;
+
+export const SHAPE_TYPES = {
+  rect:   { label: 'Rect',   dims: ['b', 'h'] },
+  circle: { label: 'Circle', dims: ['d'] },
+};
+
+export const SECTION_PRESETS = {
+  angle: {
+    label: 'L 100×75×10',
+    shapes: [
+      { type: 'rect', x: 5,    y: 50, b: 10, h: 100 },
+      { type: 'rect', x: 42.5, y: 5,  b: 65, h: 10 },
+    ],
+  },
+  tee: {
+    label: 'T 120×120×12',
+    shapes: [
+      { type: 'rect', x: 0, y: 114, b: 120, h: 12 },
+      { type: 'rect', x: 0, y: 54,  b: 12,  h: 108 },
+    ],
+  },
+  zed: {
+    label: 'Z 100×60×8',
+    shapes: [
+      { type: 'rect', x: 0,   y: 50, b: 8,  h: 100 },
+      { type: 'rect', x: 30,  y: 96, b: 52, h: 8 },
+      { type: 'rect', x: -30, y: 4,  b: 52, h: 8 },
+    ],
+  },
+  box: {
+    label: 'Box 100×150×10',
+    shapes: [
+      { type: 'rect', x: 0, y: 0, b: 100, h: 150 },
+      { type: 'rect', x: 0, y: 0, b: 80,  h: 130, hole: true },
+    ],
+  },
+  tube: {
+    label: 'Tube Ø100×10',
+    shapes: [
+      { type: 'circle', x: 0, y: 0, d: 100 },
+      { type: 'circle', x: 0, y: 0, d: 80, hole: true },
+    ],
+  },
+};
+
+/** A shape's own area and centroidal moments. */
+function ownProperties(s) {
+  if (s.type === 'circle') {
+    const I = (Math.PI * s.d ** 4) / 64;
+    return { A: (Math.PI * s.d ** 2) / 4, Ix: I, Iy: I };
+  }
+  return { A: s.b * s.h, Ix: (s.b * s.h ** 3) / 12, Iy: (s.h * s.b ** 3) / 12 };
+}
+
+/**
+ * Area and centroidal second moments { A, xc, yc, Ix, Iy, Ixy } in mm, mm²
+ * and mm⁴, or null when the net area is not positive.
+ */
+export function sectionInertia(shapes) {
+  const parts = shapes.map(s => ({ ...s, k: s.hole ? -1 : 1, ...ownProperties(s) }));
+  const A = parts.reduce((sum, p) => sum + p.k * p.A, 0);
+  if (!(A > 1e-9)) return null;
+  const xc = parts.reduce((sum, p) => sum + p.k * p.A * p.x, 0) / A;
+  const yc = parts.reduce((sum, p) => sum + p.k * p.A * p.y, 0) / A;
+  let Ix = 0, Iy = 0, Ixy = 0;
+  for (const p of parts) {
+    const dx = p.x - xc, dy = p.y - yc;
+    Ix += p.k * (p.Ix + p.A * dy * dy);
+    Iy += p.k * (p.Iy + p.A * dx * dx);
+    Ixy += p.k * p.A * dx * dy;
+  }
+  return { A, xc, yc, Ix, Iy, Ixy };
+}
+
+/** Bounding box [xMin, yMin, xMax, yMax] of the shapes. */
+export function sectionBounds(shapes) {
+  const box = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const s of shapes) {
+    const hx = s.type === 'circle' ? s.d / 2 : s.b / 2;
+    const hy = s.type === 'circle' ? s.d / 2 : s.h / 2;
+    box[0] = Math.min(box[0], s.x - hx);
+    box[1] = Math.min(box[1], s.y - hy);
+    box[2] = Math.max(box[2], s.x + hx);
+    box[3] = Math.max(box[3], s.y + hy);
+  }
+  return box;
+}
@@ -0,0 +1,75 @@
+/* ─── 3D invariants and the hydrostatic / deviatoric split ─────────
+ * Works on a full state { sigmaX, sigmaY, sigmaZ, tauXY, tauYZ, tauZX };
+ * plane stress is simply sigmaZ = tauYZ = tauZX = 0. Tension-positive.
+ *
+ *   σ = p·I + s,   p = I1 / 3 (mean / hydrostatic stress)
+ *   J2 = ½ s:s,    J3 = det s
+ *   triaxiality η = p / σvm,  σvm = √(3 J2)
+ *   Lode angle θL from cos 3θL = ξ = (3√3 / 2) J3 / J2^{3/2}, 0° ≤ θL ≤ 60°
+ *   (θL = 0° for uniaxial tension, 60° for uniaxial compression)
+ */
+
+import { DEG2RAD, RAD2DEG } from './stress';
+
+const EPS = 1e-12;
+
+/** I1, I2, I3 of the stress tensor. */
+export function tensorInvariants({ sigmaX, sigmaY, sigmaZ = 0, tauXY, tauYZ = 0, tauZX = 0 }) {
+  return {
+    I1: sigmaX + sigmaY + sigmaZ,
+    I2: sigmaX * sigmaY + sigmaY * sigmaZ + sigmaZ * sigmaX
+      - tauXY * tauXY - tauYZ * tauYZ - tauZX * tauZX,
+    I3: sigmaX * sigmaY * sigmaZ + 2 * tauXY * tauYZ * tauZX
+      - sigmaX * tauYZ * tauYZ - sigmaY * tauZX * tauZX - sigmaZ * tauXY * tauXY,
+  };
+}
+
+/** Mean stress p and the deviatoric state s = σ − p·I (same shape as the input). */
+export function deviatoricSplit(state) {
+  const { sigmaX, sigmaY, sigmaZ = 0, tauXY, tauYZ = 0, tauZX = 0 } = state;
+  const mean = (sigmaX + sigmaY + sigmaZ) / 3;
+  return {
+    mean,
+    deviator: {
+      sigmaX: sigmaX - mean,
+      sigmaY: sigmaY - mean,
+      sigmaZ: sigmaZ - mean,
+      tauXY, tauYZ, tauZX,
+    },
+  };
+}
+
+/**
+ * Everything the invariants panel reports:
+ * { I1, I2, I3, J2, J3, mean, deviator, sigmaOct, tauOct, vonMises,
+ *   triaxiality, lodeAngle, lodeParameter, lodeCos }
+ * triaxiality and the Lode quantities are null for a purely hydrostatic state.
+ */
+export function analyzeInvariants(state) {
+  const { I1, I2, I3 } = tensorInvariants(state);
+  const { mean, deviator } = deviatoricSplit(state);
+  const J2 = I1 * I1 / 3 - I2;
+  const J3 = 2 * I1 ** 3 / 27 - I1 * I2 / 3 + I3;
+  const vonMises = Math.sqrt(3 * Math.max(J2, 0));
+
+  let lodeCos = null, lodeAngle = null, lodeParameter = null;
+  if (J2 > EPS * Math.max(1, mean * mean)) {
+    lodeCos = Math.min(Math.max(1.5 * Math.sqrt(3) * J3 / J2 ** 1.5, -1), 1);
+    lodeAngle = Math.acos(lodeCos) / 3 * RAD2DEG;
+    // Lode–Nadai μ = (2σ2 − σ1 − σ3)/(σ1 − σ3), from θL: −1 tension … +1 compression
+    lodeParameter = Math.sqrt(3) * Math.tan((lodeAngle - 30) * DEG2RAD);
+  }
+
+  return {
+    I1, I2, I3, J2, J3,
+    mean,
+    deviator,
+    sigmaOct: mean,
+    tauOct: Math.sqrt(2 * Math.max(J2, 0) / 3),
+    vonMises,
+    triaxiality: lodeCos === null ? null : mean / vonMises,
+    lodeAngle,
+    lodeParameter,
+    lodeCos,
+  };
+}
@@ -0,0 +1,29 @@
+/* ─── Named load cases ─────────────────────────────────────────────
+ * A load case is a stored stress state { id, name, color, visible, state }
+ * with state = { sigmaX, sigmaY, sigmaZ, tauXY, tauYZ, tauZX } in the
+ * selected stress unit. Cases are overlaid on the Mohr's circle and σ–θ
+ * graph and compared side by side.
+ */
+
+// distinct from the live diagram's blues, greens and oranges
+export const CASE_COLORS = ['#8e24aa', '#00838f', '#c0ca33', '#d81b60', '#5d4037', '#3949ab', '#f9a825', '#546e7a'];
+
+/** Append the state as a new case; an empty name becomes "Case n". */
+export function addLoadCase(cases, state, name) {
+  const id = cases.reduce((m, c) => Math.max(m, c.id), 0) + 1;
+  return [...cases, {
+    id,
+    name: name.trim() || `Case ${id}`,
+    color: CASE_COLORS[(id - 1) % CASE_COLORS.length],
+    visible: true,
+    state: { ...state },
+  }];
+}
+
+/** Rescale every stored state by factor k (unit change). */
+export function scaleLoadCases(cases, k) {
+  return cases.map(c => ({
+    ...c,
+    state: Object.fromEntries(Object.entries(c.state).map(([key, v]) => [key, v * k])),
+  }));
+}
@@ -0,0 +1,47 @@
+/* ─── Combined loading on a prismatic member ───────────────────────
+ * Member axis is x; the section lies in y–z (see ./sections). Internal
+ * forces act on the positive x-face:
+ *   N  – axial force (tension +)              kN
+ *   Vy, Vz – transverse shear forces          kN
+ *   T  – torque about x (right-hand rule)     kN·m
+ *   My, Mz – bending moments (right-hand)     kN·m
+ * so that σx = N/A + My·z/Iy − Mz·y/Iz at the point (y, z), in mm.
+ * Stresses come out in MPa (N/mm²).
+ */
+
+export const LOADS = [
+  { key: 'N',  label: 'Axial force',    unit: 'kN'   },
+  { key: 'Vy', label: 'Shear force y',  unit: 'kN'   },
+  { key: 'Vz', label: 'Shear force z',  unit: 'kN'   },
+  { key: 'T',  label: 'Torque',         unit: 'kN·m' },
+  { key: 'My', label: 'Moment about y', unit: 'kN·m' },
+  { key: 'Mz', label: 'Moment about z', unit: 'kN·m' },
+];
+
+const KN = 1e3;   // kN → N
+const KNM = 1e6;  // kN·m → N·mm
+
+/**
+ * Stress contributions of each load at point { y, z } of a section from
+ * sectionProperties(). Returns { rows: [{ key, sigmaX, tauXY, tauXZ }], total }
+ * in MPa; rows for zero loads are kept so the table layout stays fixed.
+ */
+export function combinedStress(section, loads, { y, z }) {
+  const { A, Iy, Iz } = section;
+  const sy = section.shearY(y), sz = section.shearZ(z);
+  const torsion = section.torsion(loads.T * KNM, y, z);
+  const rows = [
+    { key: 'N',  sigmaX: loads.N * KN / A,          tauXY: 0, tauXZ: 0 },
+    { key: 'My', sigmaX: loads.My * KNM * z / Iy,   tauXY: 0, tauXZ: 0 },
+    { key: 'Mz', sigmaX: -loads.Mz * KNM * y / Iz,  tauXY: 0, tauXZ: 0 },
+    { key: 'Vy', sigmaX: 0, tauXY: sy.t > 0 ? loads.Vy * KN * sy.Q / (Iz * sy.t) : 0, tauXZ: 0 },
+    { key: 'Vz', sigmaX: 0, tauXY: 0, tauXZ: sz.t > 0 ? loads.Vz * KN * sz.Q / (Iy * sz.t) : 0 },
+    { key: 'T',  sigmaX: 0, ...torsion },
+  ];
+  const total = rows.reduce((acc, r) => ({
+    sigmaX: acc.sigmaX + r.sigmaX,
+    tauXY:  acc.tauXY + r.tauXY,
+    tauXZ:  acc.tauXZ + r.tauXZ,
+  }), { sigmaX: 0, tauXY: 0, tauXZ: 0 });
+  return { rows, total };
+}
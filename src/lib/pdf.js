@@ -0,0 +1,632 @@
+/* ─── SVG → PDF ────────────────────────────────────────────────────
+ * Writes a one-page vector PDF from an SVG element tree, for figure export.
+ * It understands the SVG the app itself draws: g/line/rect/circle/ellipse/
+ * polyline/polygon/path/text with presentation attributes, transforms,
+ * opacity, clip paths and markers. Gradients are painted with their mean
+ * stop colour and filters (the glows) are left out.
+ *
+ * Text is set in the TrueType fonts, embedded as subsets of the glyphs used
+ * (Type0, Identity-H, with a ToUnicode map so it can be searched and
+ * copied). One CSS pixel is ¾ pt.
+ */
+
+import { subsetTtf } from './ttf';
+
+const PT_PER_PX = 0.75;
+
+const SKIP = new Set([
+  'defs', 'title', 'desc', 'metadata', 'style', 'script', 'clipPath', 'mask', 'marker',
+  'linearGradient', 'radialGradient', 'pattern', 'filter', 'symbol',
+]);
+
+// inherited presentation attributes and their initial values
+const INITIAL_STYLE = {
+  fill: '#000', 'fill-opacity': '1', 'fill-rule': 'nonzero',
+  stroke: 'none', 'stroke-opacity': '1', 'stroke-width': '1', 'stroke-dasharray': 'none',
+  'stroke-linejoin': 'miter', 'stroke-linecap': 'butt',
+  'font-size': '16', 'font-weight': 'normal', 'text-anchor': 'start', 'dominant-baseline': 'auto',
+  visibility: 'visible', 'clip-rule': 'nonzero',
+};
+
+const NAMED_COLORS = {
+  black: [0, 0, 0], white: [255, 255, 255], red: [255, 0, 0], green: [0, 128, 0],
+  blue: [0, 0, 255], gray: [128, 128, 128], grey: [128, 128, 128], orange: [255, 165, 0],
+  yellow: [255, 255, 0],
+};
+
+/* ─── helpers ───────────────────────────────────────────────────── */
+
+const num = (v) => {
+  const r = Math.round(v * 1000) / 1000;
+  return Object.is(r, -0) ? '0' : String(r);
+};
+
+const tagOf = (el) => el.localName ?? el.tagName;
+
+/** A presentation attribute, or the same property in the style attribute. */
+function attr(el, name) {
+  const value = el.getAttribute(name);
+  if (value !== null && value !== '') return value.trim();
+  const style = el.getAttribute('style');
+  if (!style) return null;
+  const m = new RegExp(`(?:^|;)\\s*${name}\\s*:\\s*([^;]+)`).exec(style);
+  return m ? m[1].trim() : null;
+}
+
+const numAttr = (el, name, fallback = 0) => {
+  const v = parseFloat(attr(el, name));
+  return Number.isFinite(v) ? v : fallback;
+};
+
+const refId = (value) => /^url\(\s*['"]?#([^'")]+)['"]?\s*\)$/.exec(value ?? '')?.[1] ?? null;
+
+/** CSS colour → { rgb: [0–1 ×3], a } or null for none. */
+function parseColor(value) {
+  if (!value || value === 'none') return null;
+  const v = value.trim().toLowerCase();
+  if (v === 'transparent') return { rgb: [0, 0, 0], a: 0 };
+  let m = /^#([0-9a-f]{3,8})$/.exec(v);
+  if (m) {
+    let h = m[1];
+    if (h.length <= 4) h = [...h].map(c => c + c).join('');
+    const bytes = [0, 2, 4, 6].map(i => parseInt(h.slice(i, i + 2) || 'ff', 16));
+    return { rgb: bytes.slice(0, 3).map(b => b / 255), a: bytes[3] / 255 };
+  }
+  m = /^rgba?\(([^)]*)\)$/.exec(v);
+  if (m) {
+    const parts = m[1].split(/[\s,/]+/).filter(Boolean).map(parseFloat);
+    if (parts.length < 3 || parts.some(p => !Number.isFinite(p))) return null;
+    return { rgb: parts.slice(0, 3).map(p => Math.min(Math.max(p / 255, 0), 1)), a: parts[3] ?? 1 };
+  }
+  if (NAMED_COLORS[v]) return { rgb: NAMED_COLORS[v].map(b => b / 255), a: 1 };
+  return null;
+}
+
+// [a, b, c, d, e, f] affine matrices; m1 · m2
+const multiply = ([a1, b1, c1, d1, e1, f1], [a2, b2, c2, d2, e2, f2]) => [
+  a1 * a2 + c1 * b2, b1 * a2 + d1 * b2,
+  a1 * c2 + c1 * d2, b1 * c2 + d1 * d2,
+  a1 * e2 + c1 * f2 + e1, b1 * e2 + d1 * f2 + f1,
+];
+
+function parseTransform(value) {
+  let m = [1, 0, 0, 1, 0, 0];
+  for (const [, name, args] of value.matchAll(/(\w+)\s*\(([^)]*)\)/g)) {
+    const p = args.split(/[\s,]+/).filter(Boolean).map(parseFloat);
+    let t = null;
+    if (name === 'matrix' && p.length === 6) t = p;
+    if (name === 'translate') t = [1, 0, 0, 1, p[0] ?? 0, p[1] ?? 0];
+    if (name === 'scale') t = [p[0] ?? 1, 0, 0, p[1] ?? p[0] ?? 1, 0, 0];
+    if (name === 'rotate') {
+      const a = ((p[0] ?? 0) * Math.PI) / 180;
+      const [x, y] = [p[1] ?? 0, p[2] ?? 0];
+      const cos = Math.cos(a), sin = Math.sin(a);
+      t = [cos, sin, -sin, cos, x - cos * x + sin * y, y - sin * x - cos * y];
+    }
+    if (name === 'skewX') t = [1, 0, Math.tan(((p[0] ?? 0) * Math.PI) / 180), 1, 0, 0];
+    if (name === 'skewY') t = [1, Math.tan(((p[0] ?? 0) * Math.PI) / 180), 0, 1, 0, 0];
+    if (t && t.every(Number.isFinite)) m = multiply(m, t);
+  }
+  return m;
+}
+
+const cm = (m) => `${m.map(num).join(' ')} cm`;
+
+/* ─── geometry ──────────────────────────────────────────────────── */
+
+/** SVG elliptical arc (endpoint form) → cubic Bézier segments [c1x, c1y, c2x, c2y, x, y]. */
+function arcToCurves(x1, y1, rx, ry, phiDeg, largeArc, sweep, x2, y2) {
+  if (rx === 0 || ry === 0) return [[x1, y1, x2, y2, x2, y2]];
+  const phi = (phiDeg * Math.PI) / 180;
+  const cos = Math.cos(phi), sin = Math.sin(phi);
+  const dx = (x1 - x2) / 2, dy = (y1 - y2) / 2;
+  const xp = cos * dx + sin * dy;
+  const yp = -sin * dx + cos * dy;
+  rx = Math.abs(rx); ry = Math.abs(ry);
+  const lambda = (xp * xp) / (rx * rx) + (yp * yp) / (ry * ry);
+  if (lambda > 1) { rx *= Math.sqrt(lambda); ry *= Math.sqrt(lambda); }
+  const num2 = rx * rx * ry * ry - rx * rx * yp * yp - ry * ry * xp * xp;
+  const den = rx * rx * yp * yp + ry * ry * xp * xp;
+  const k = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(num2 / den, 0));
+  const cxp = (k * rx * yp) / ry;
+  const cyp = (-k * ry * xp) / rx;
+  const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+  const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+  const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const t1 = angle(1, 0, (xp - cxp) / rx, (yp - cyp) / ry);
+  let dt = angle((xp - cxp) / rx, (yp - cyp) / ry, (-xp - cxp) / rx, (-yp - cyp) / ry);
+  if (!sweep && dt > 0) dt -= 2 * Math.PI;
+  if (sweep && dt < 0) dt += 2 * Math.PI;
+
+  const count = Math.max(Math.ceil(Math.abs(dt) / (Math.PI / 2) - 1e-9), 1);
+  const step = dt / count;
+  const alpha = (4 / 3) * Math.tan(step / 4);
+  const at = (t) => [
+    cx + rx * Math.cos(t) * cos - ry * Math.sin(t) * sin,
+    cy + rx * Math.cos(t) * sin + ry * Math.sin(t) * cos,
+  ];
+  const slope = (t) => [
+    -rx * Math.sin(t) * cos - ry * Math.cos(t) * sin,
+    -rx * Math.sin(t) * sin + ry * Math.cos(t) * cos,
+  ];
+  const curves = [];
+  for (let i = 0; i < count; i++) {
+    const a = t1 + i * step, b = a + step;
+    const [ax, ay] = at(a), [bx, by] = at(b);
+    const [adx, ady] = slope(a), [bdx, bdy] = slope(b);
+    curves.push([ax + alpha * adx, ay + alpha * ady, bx - alpha * bdx, by - alpha * bdy, bx, by]);
+  }
+  curves[curves.length - 1][4] = x2;
+  curves[curves.length - 1][5] = y2;
+  return curves;
+}
+
+/**
+ * SVG path data → PDF path operators, plus where the path starts and ends and
+ * its direction there (for markers): { ops, start: [x, y, angle], end }.
+ */
+function pathOps(d) {
+  const tokens = d.match(/[a-df-z]|[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) ?? [];
+  const ops = [];
+  let i = 0;
+  let cmd = null;
+  let x = 0, y = 0, sx = 0, sy = 0;
+  let lastCtrl = null; // [x, y, 'C' | 'Q'] for S/T reflection
+  let start = null, end = null;
+  const isCmd = (t) => /^[a-z]$/i.test(t);
+  const ARGS = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+  const next = () => parseFloat(tokens[i++]);
+  const direction = (fx, fy, tx, ty) => Math.atan2(ty - fy, tx - fx);
+
+  const moveTo = (nx, ny) => {
+    ops.push(`${num(nx)} ${num(ny)} m`);
+    x = sx = nx; y = sy = ny;
+  };
+  const segment = (fromX, fromY, angleFrom, angleTo, nx, ny) => {
+    if (!start) start = [fromX, fromY, angleFrom];
+    end = [nx, ny, angleTo];
+    x = nx; y = ny;
+  };
+  const lineTo = (nx, ny) => {
+    ops.push(`${num(nx)} ${num(ny)} l`);
+    const a = direction(x, y, nx, ny);
+    segment(x, y, a, a, nx, ny);
+  };
+  const curveTo = (c1x, c1y, c2x, c2y, nx, ny) => {
+    ops.push(`${[c1x, c1y, c2x, c2y, nx, ny].map(num).join(' ')} c`);
+    const a0 = c1x === x && c1y === y ? direction(x, y, c2x, c2y) : direction(x, y, c1x, c1y);
+    const a1 = c2x === nx && c2y === ny ? direction(c1x, c1y, nx, ny) : direction(c2x, c2y, nx, ny);
+    segment(x, y, a0, a1, nx, ny);
+  };
+
+  while (i < tokens.length) {
+    const fresh = isCmd(tokens[i]);
+    if (fresh) cmd = tokens[i++];
+    else if (cmd === null) break;
+    const upper = cmd.toUpperCase();
+    // stop at the first malformed command, like a browser would
+    const args = ARGS[upper];
+    if (args === undefined || (!fresh && args === 0)) break;
+    if (tokens.slice(i, i + args).filter(t => !isCmd(t)).length < args) break;
+    const rel = cmd === cmd.toLowerCase();
+    const ox = rel ? x : 0, oy = rel ? y : 0;
+    let ctrl = null;
+    switch (upper) {
+      case 'M':
+        moveTo(ox + next(), oy + next());
+        cmd = rel ? 'l' : 'L'; // further pairs are lines
+        break;
+      case 'L': lineTo(ox + next(), oy + next()); break;
+      case 'H': lineTo(ox + next(), y); break;
+      case 'V': lineTo(x, oy + next()); break;
+      case 'C': {
+        const c = [ox + next(), oy + next(), ox + next(), oy + next(), ox + next(), oy + next()];
+        curveTo(...c);
+        ctrl = [c[2], c[3], 'C'];
+        break;
+      }
+      case 'S': {
+        const [c1x, c1y] = lastCtrl?.[2] === 'C' ? [2 * x - lastCtrl[0], 2 * y - lastCtrl[1]] : [x, y];
+        const c = [ox + next(), oy + next(), ox + next(), oy + next()];
+        curveTo(c1x, c1y, ...c);
+        ctrl = [c[0], c[1], 'C'];
+        break;
+      }
+      case 'Q':
+      case 'T': {
+        const [qx, qy] = upper === 'Q'
+          ? [ox + next(), oy + next()]
+          : lastCtrl?.[2] === 'Q' ? [2 * x - lastCtrl[0], 2 * y - lastCtrl[1]] : [x, y];
+        const nx = ox + next(), ny = oy + next();
+        curveTo(x + (2 / 3) * (qx - x), y + (2 / 3) * (qy - y), nx + (2 / 3) * (qx - nx), ny + (2 / 3) * (qy - ny), nx, ny);
+        ctrl = [qx, qy, 'Q'];
+        break;
+      }
+      case 'A': {
+        const [rx, ry, rotation, large, sweep] = [next(), next(), next(), next(), next()];
+        const nx = ox + next(), ny = oy + next();
+        if (nx === x && ny === y) break;
+        arcToCurves(x, y, rx, ry, rotation, !!large, !!sweep, nx, ny).forEach(c => curveTo(...c));
+        break;
+      }
+      default: // Z
+        ops.push('h');
+        x = sx; y = sy;
+    }
+    lastCtrl = ctrl;
+  }
+  return { ops: ops.join('\n'), start, end };
+}
+
+/** The outline of a basic shape as SVG path data, or null. */
+function shapePath(el, tag) {
+  const v = (name) => numAttr(el, name);
+  switch (tag) {
+    case 'path': return attr(el, 'd');
+    case 'line': return `M${v('x1')} ${v('y1')} L${v('x2')} ${v('y2')}`;
+    case 'polyline':
+    case 'polygon': {
+      const p = (attr(el, 'points') ?? '').split(/[\s,]+/).filter(Boolean);
+      if (p.length < 4) return null;
+      return `M${p.slice(0, 2).join(' ')} L${p.slice(2).join(' ')}${tag === 'polygon' ? ' Z' : ''}`;
+    }
+    case 'rect': {
+      const [x, y, w, h] = [v('x'), v('y'), v('width'), v('height')];
+      if (w <= 0 || h <= 0) return null;
+      let rx = attr(el, 'rx') !== null ? v('rx') : null;
+      let ry = attr(el, 'ry') !== null ? v('ry') : null;
+      rx = Math.min(rx ?? ry ?? 0, w / 2);
+      ry = Math.min(ry ?? rx, h / 2);
+      if (rx <= 0 || ry <= 0) return `M${x} ${y} H${x + w} V${y + h} H${x} Z`;
+      return `M${x + rx} ${y} H${x + w - rx} A${rx} ${ry} 0 0 1 ${x + w} ${y + ry} V${y + h - ry}`
+        + ` A${rx} ${ry} 0 0 1 ${x + w - rx} ${y + h} H${x + rx} A${rx} ${ry} 0 0 1 ${x} ${y + h - ry}`
+        + ` V${y + ry} A${rx} ${ry} 0 0 1 ${x + rx} ${y} Z`;
+    }
+    case 'circle':
+    case 'ellipse': {
+      const [cx, cy] = [v('cx'), v('cy')];
+      const rx = tag === 'circle' ? v('r') : v('rx');
+      const ry = tag === 'circle' ? v('r') : v('ry');
+      if (rx <= 0 || ry <= 0) return null;
+      return `M${cx - rx} ${cy} A${rx} ${ry} 0 1 0 ${cx + rx} ${cy} A${rx} ${ry} 0 1 0 ${cx - rx} ${cy} Z`;
+    }
+    default: return null;
+  }
+}
+
+/* ─── PDF objects ───────────────────────────────────────────────── */
+
+async function deflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+const hex4 = (v) => v.toString(16).padStart(4, '0');
+
+/** A PDF text string: literal for ASCII, UTF-16BE otherwise. */
+function pdfString(s) {
+  if (/^[\x20-\x7e]*$/.test(s)) return `(${s.replace(/[\\()]/g, c => '\\' + c)})`;
+  let out = '<FEFF';
+  for (let i = 0; i < s.length; i++) out += hex4(s.charCodeAt(i));
+  return out + '>';
+}
+
+function toUnicodeCMap(chars) {
+  const entries = [...chars].map(([gid, ch]) => {
+    let utf16 = '';
+    for (let i = 0; i < ch.length; i++) utf16 += hex4(ch.charCodeAt(i));
+    return `<${hex4(gid)}> <${utf16}>`;
+  });
+  const blocks = [];
+  for (let i = 0; i < entries.length; i += 100) {
+    const chunk = entries.slice(i, i + 100);
+    blocks.push(`${chunk.length} beginbfchar\n${chunk.join('\n')}\nendbfchar`);
+  }
+  return [
+    '/CIDInit /ProcSet findresource begin', '12 dict begin', 'begincmap',
+    '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def',
+    '/CMapName /Adobe-Identity-UCS def', '/CMapType 2 def',
+    '1 begincodespacerange', '<0000> <FFFF>', 'endcodespacerange',
+    ...blocks,
+    'endcmap', 'CMapName currentdict /CMap defineresource pop', 'end', 'end',
+  ].join('\n');
+}
+
+/** Six capital letters naming a font subset, derived from its glyph ids. */
+function subsetTag(glyphIds) {
+  let hash = 0x811c9dc5; // FNV-1a
+  for (const gid of glyphIds) hash = Math.imul(hash ^ gid, 0x01000193) >>> 0;
+  let tag = '';
+  for (let i = 0; i < 6; i++, hash = Math.floor(hash / 26)) tag += String.fromCharCode(65 + (hash % 26));
+  return tag;
+}
+
+/* ─── main ──────────────────────────────────────────────────────── */
+
+/**
+ * Render an SVG element to a PDF Blob.
+ * svg        – the root <svg> element (a viewBox maps onto width × height)
+ * width      – page size in CSS pixels
+ * height
+ * fonts      – { regular, bold } from parseTtf, each with a PostScript `name`;
+ *              font-weight 600 and up uses bold
+ * title      – optional document title
+ */
+export async function svgToPdf(svg, { width, height, fonts, title = null }) {
+  const ids = new Map();
+  (function collect(el) {
+    const id = el.getAttribute('id');
+    if (id) ids.set(id, el);
+    for (const child of el.children) collect(child);
+  })(svg);
+
+  const content = [];
+  const states = new Map();       // "ca/CA" → /GSn
+  const used = { regular: new Map(), bold: new Map() }; // gid → character
+  const fontsUsed = new Set();
+
+  const gs = (fillA, strokeA) => {
+    const key = `${num(fillA)}/${num(strokeA)}`;
+    if (!states.has(key)) states.set(key, `GS${states.size}`);
+    return `/${states.get(key)} gs`;
+  };
+
+  // paint server → { rgb, a }; gradients collapse to their mean stop colour
+  const paintOf = (value, opacity) => {
+    const id = refId(value);
+    let color = null;
+    if (id) {
+      const stops = [...(ids.get(id)?.children ?? [])].filter(s => tagOf(s) === 'stop')
+        .map(s => {
+          const c = parseColor(attr(s, 'stop-color') ?? '#000');
+          return c && { rgb: c.rgb, a: c.a * numAttr(s, 'stop-opacity', 1) };
+        })
+        .filter(Boolean);
+      if (stops.length) {
+        color = {
+          rgb: [0, 1, 2].map(k => stops.reduce((sum, s) => sum + s.rgb[k], 0) / stops.length),
+          a: stops.reduce((sum, s) => sum + s.a, 0) / stops.length,
+        };
+      }
+    } else {
+      color = parseColor(value);
+    }
+    if (!color) return null;
+    const a = color.a * opacity;
+    return a > 0 ? { rgb: color.rgb, a } : null;
+  };
+
+  const clipTo = (id) => {
+    const clip = ids.get(id);
+    if (!clip) return;
+    const outer = refId(attr(clip, 'clip-path'));
+    if (outer && outer !== id) clipTo(outer);
+    const paths = [...clip.children]
+      .map(child => {
+        const d = shapePath(child, tagOf(child));
+        if (!d) return null;
+        const t = attr(child, 'transform');
+        return t ? null : pathOps(d).ops; // transformed clip children are not drawn by the app
+      })
+      .filter(Boolean);
+    if (paths.length) content.push(paths.join('\n'), attr(clip, 'clip-rule') === 'evenodd' ? 'W* n' : 'W n');
+  };
+
+  const drawMarker = (id, [x, y, angle], strokeWidth, alpha) => {
+    const marker = ids.get(id);
+    if (!marker) return;
+    const k = attr(marker, 'markerUnits') === 'userSpaceOnUse' ? 1 : strokeWidth;
+    const orient = attr(marker, 'orient') ?? '0';
+    const a = orient.startsWith('auto') ? angle : (parseFloat(orient) * Math.PI) / 180 || 0;
+    const m = [
+      [1, 0, 0, 1, x, y],
+      [Math.cos(a), Math.sin(a), -Math.sin(a), Math.cos(a), 0, 0],
+      [k, 0, 0, k, 0, 0],
+      [1, 0, 0, 1, -numAttr(marker, 'refX'), -numAttr(marker, 'refY')],
+    ].reduce(multiply);
+    content.push('q', cm(m));
+    for (const child of marker.children) draw(child, INITIAL_STYLE, alpha);
+    content.push('Q');
+  };
+
+  const drawShape = (el, tag, style, alpha) => {
+    const d = shapePath(el, tag);
+    if (!d) return;
+    const { ops, start, end } = pathOps(d);
+    if (!ops) return;
+    const fill = tag === 'line' ? null : paintOf(style.fill, +style['fill-opacity'] * alpha);
+    const stroke = paintOf(style.stroke, +style['stroke-opacity'] * alpha);
+    const strokeWidth = parseFloat(style['stroke-width']) || 0;
+
+    if (fill || (stroke && strokeWidth > 0)) {
+      const draws = stroke && strokeWidth > 0;
+      content.push('q');
+      if ((fill && fill.a < 1) || (draws && stroke.a < 1)) content.push(gs(fill?.a ?? 1, draws ? stroke.a : 1));
+      if (fill) content.push(`${fill.rgb.map(num).join(' ')} rg`);
+      if (draws) {
+        content.push(`${stroke.rgb.map(num).join(' ')} RG`, `${num(strokeWidth)} w`);
+        const dash = style['stroke-dasharray'];
+        if (dash && dash !== 'none') {
+          const parts = dash.split(/[\s,]+/).map(parseFloat).filter(v => Number.isFinite(v) && v >= 0);
+          if (parts.some(v => v > 0)) content.push(`[${parts.map(num).join(' ')}] 0 d`);
+        }
+        const join = { round: 1, bevel: 2 }[style['stroke-linejoin']];
+        if (join) content.push(`${join} j`);
+        const cap = { round: 1, square: 2 }[style['stroke-linecap']];
+        if (cap) content.push(`${cap} J`);
+      }
+      const even = style['fill-rule'] === 'evenodd' ? '*' : '';
+      content.push(ops, fill && draws ? `B${even}` : fill ? `f${even}` : 'S', 'Q');
+    }
+
+    if (stroke && strokeWidth > 0) {
+      const startId = refId(attr(el, 'marker-start'));
+      const endId = refId(attr(el, 'marker-end'));
+      if (startId && start) drawMarker(startId, start, strokeWidth, alpha);
+      if (endId && end) drawMarker(endId, end, strokeWidth, alpha);
+    }
+  };
+
+  const drawText = (el, style, alpha) => {
+    const text = el.textContent.replace(/\s+/g, ' ');
+    if (!text.trim()) return;
+    const fill = paintOf(style.fill, +style['fill-opacity'] * alpha);
+    if (!fill) return;
+    const weight = style['font-weight'];
+    const bold = !!fonts.bold && (weight === 'bold' || weight === 'bolder' || parseInt(weight, 10) >= 600);
+    const key = bold ? 'bold' : 'regular';
+    const font = fonts[key];
+    const glyphs = used[key];
+    fontsUsed.add(key);
+    const size = parseFloat(style['font-size']) || 16;
+    const em = size / font.unitsPerEm;
+
+    const gids = [];
+    let advance = 0;
+    for (const ch of text) {
+      const gid = font.glyphId(ch.codePointAt(0));
+      gids.push(gid);
+      if (gid && !glyphs.has(gid)) glyphs.set(gid, ch);
+      advance += font.advance(gid);
+    }
+    let x = numAttr(el, 'x');
+    let y = numAttr(el, 'y');
+    const anchor = style['text-anchor'];
+    if (anchor === 'middle') x -= (advance * em) / 2;
+    if (anchor === 'end') x -= advance * em;
+    const shift = {
+      central: (font.ascent + font.descent) / 2,
+      middle: font.xHeight / 2,
+      hanging: font.ascent * 0.8,
+      'text-before-edge': font.ascent,
+      'text-after-edge': font.descent,
+      ideographic: font.descent,
+    }[style['dominant-baseline']] ?? 0;
+    y += shift * em;
+
+    content.push('q');
+    if (fill.a < 1) content.push(gs(fill.a, 1));
+    content.push(
+      `${fill.rgb.map(num).join(' ')} rg`, 'BT',
+      `/${bold ? 'F2' : 'F1'} ${num(size)} Tf`,
+      // the page is flipped to SVG's y-down, so flip the glyphs back
+      `1 0 0 -1 ${num(x)} ${num(y)} Tm`,
+      `<${gids.map(hex4).join('')}> Tj`, 'ET', 'Q',
+    );
+  };
+
+  function draw(el, inherited, alpha) {
+    const tag = tagOf(el);
+    if (SKIP.has(tag) || attr(el, 'display') === 'none') return;
+    const style = { ...inherited };
+    for (const name of Object.keys(INITIAL_STYLE)) {
+      const v = attr(el, name);
+      if (v !== null && v !== 'inherit') style[name] = v;
+    }
+    const a = alpha * Math.min(Math.max(numAttr(el, 'opacity', 1), 0), 1);
+    if (a <= 0) return;
+    const transform = attr(el, 'transform');
+    const clip = refId(attr(el, 'clip-path'));
+    const wrap = transform || clip;
+    if (wrap) content.push('q');
+    if (transform) content.push(cm(parseTransform(transform)));
+    if (clip) clipTo(clip);
+
+    if (tag === 'g' || tag === 'svg' || tag === 'a') {
+      for (const child of el.children) draw(child, style, a);
+    } else if (style.visibility !== 'hidden') {
+      if (tag === 'text') drawText(el, style, a);
+      else drawShape(el, tag, style, a);
+    }
+    if (wrap) content.push('Q');
+  }
+
+  // page: y down in CSS pixels, like the SVG
+  content.push(cm([PT_PER_PX, 0, 0, -PT_PER_PX, 0, height * PT_PER_PX]));
+  const viewBox = (svg.getAttribute('viewBox') ?? '').split(/[\s,]+/).map(parseFloat);
+  if (viewBox.length === 4 && viewBox.every(Number.isFinite) && viewBox[2] > 0 && viewBox[3] > 0) {
+    const [vx, vy, vw, vh] = viewBox;
+    content.push(cm([width / vw, 0, 0, height / vh, (-vx * width) / vw, (-vy * height) / vh]));
+  }
+  for (const child of svg.children) draw(child, INITIAL_STYLE, 1);
+
+  /* ── write the file ── */
+  const encoder = new TextEncoder();
+  const objects = []; // per object: [string | Uint8Array]
+  const add = (...parts) => { objects.push(parts); return objects.length; };
+  const reserve = () => add('');
+  const set = (ref, ...parts) => { objects[ref - 1] = parts; };
+  const stream = async (dict, data, compress = true) => {
+    const raw = typeof data === 'string' ? encoder.encode(data) : data;
+    const body = compress ? await deflate(raw) : raw;
+    return add(`<< ${dict ? dict + ' ' : ''}${compress ? '/Filter /FlateDecode ' : ''}/Length ${body.length} >>\nstream\n`, body, '\nendstream');
+  };
+
+  const fontRefs = [];
+  for (const [key, res] of [['regular', 'F1'], ['bold', 'F2']]) {
+    const glyphs = used[key];
+    const font = fonts[key];
+    if (!fontsUsed.has(key)) continue;
+    const name = `${subsetTag(glyphs.keys())}+${font.name ?? `Font-${key}`}`;
+    const k = 1000 / font.unitsPerEm;
+    const subset = subsetTtf(font, glyphs.keys());
+    const file = await stream(`/Length1 ${subset.length}`, subset);
+    const descriptor = add(
+      `<< /Type /FontDescriptor /FontName /${name} /Flags 5`
+      + ` /FontBBox [${font.bbox.map(v => Math.round(v * k)).join(' ')}] /ItalicAngle 0`
+      + ` /Ascent ${Math.round(font.ascent * k)} /Descent ${Math.round(font.descent * k)}`
+      + ` /CapHeight ${Math.round(font.capHeight * k)} /StemV ${key === 'bold' ? 120 : 80}`
+      + ` /FontFile2 ${file} 0 R >>`,
+    );
+    const widths = [...glyphs.keys()].sort((p, q) => p - q)
+      .map(gid => `${gid} [${Math.round(font.advance(gid) * k)}]`).join(' ');
+    const cid = add(
+      `<< /Type /Font /Subtype /CIDFontType2 /BaseFont /${name}`
+      + ' /CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >>'
+      + ` /FontDescriptor ${descriptor} 0 R /DW ${Math.round(font.advance(0) * k)} /W [${widths}]`
+      + ' /CIDToGIDMap /Identity >>',
+    );
+    const unicode = await stream('', toUnicodeCMap(glyphs));
+    const type0 = add(
+      `<< /Type /Font /Subtype /Type0 /BaseFont /${name} /Encoding /Identity-H`
+      + ` /DescendantFonts [${cid} 0 R] /ToUnicode ${unicode} 0 R >>`,
+    );
+    fontRefs.push(`/${res} ${type0} 0 R`);
+  }
+
+  const gsEntries = [...states].map(([key, res]) => {
+    const [ca, CA] = key.split('/');
+    return `/${res} << /Type /ExtGState /ca ${ca} /CA ${CA} >>`;
+  });
+  const contents = await stream('', content.join('\n'));
+  const pages = reserve();
+  const page = add(
+    `<< /Type /Page /Parent ${pages} 0 R /MediaBox [0 0 ${num(width * PT_PER_PX)} ${num(height * PT_PER_PX)}]`
+    + ` /Resources << /Font << ${fontRefs.join(' ')} >> /ExtGState << ${gsEntries.join(' ')} >> >>`
+    + ` /Contents ${contents} 0 R >>`,
+  );
+  set(pages, `<< /Type /Pages /Kids [${page} 0 R] /Count 1 >>`);
+  const catalog = add(`<< /Type /Catalog /Pages ${pages} 0 R >>`);
+  const info = add(`<< ${title ? `/Title ${pdfString(title)} ` : ''}/Producer (Stress Transformation) >>`);
+
+  const chunks = [encoder.encode('%PDF-1.4\n'), new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a])];
+  let offset = chunks[0].length + chunks[1].length;
+  const offsets = [];
+  objects.forEach((parts, i) => {
+    offsets.push(offset);
+    for (const part of [`${i + 1} 0 obj\n`, ...parts, '\nendobj\n']) {
+      const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+      chunks.push(bytes);
+      offset += bytes.length;
+    }
+  });
+  const xref = [
+    'xref', `0 ${objects.length + 1}`, '0000000000 65535 f ',
+    ...offsets.map(o => `${String(o).padStart(10, '0')} 00000 n `),
+    'trailer', `<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>`,
+    'startxref', String(offset), '%%EOF',
+  ];
+  chunks.push(encoder.encode(xref.join('\n') + '\n'));
+  return new Blob(chunks, { type: 'application/pdf' });
+}
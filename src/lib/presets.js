@@ -0,0 +1,124 @@
+/* ─── User preset library ──────────────────────────────────────────
+ * A preset is { id, name, notes, tags, unit, params } where params holds the
+ * six sliders as { value, min, max, step } in the preset's own unit, so
+ * loading it restores the ranges too, converted into the unit in use.
+ *
+ * The library lives in localStorage and travels as a versioned JSON file:
+ *   { format: 'stress-transformation-presets', version: 1, exported, presets }
+ * Files from a newer version are refused rather than half-read.
+ */
+
+import { STRESS_UNITS } from './units';
+
+export const LIBRARY_FORMAT = 'stress-transformation-presets';
+export const LIBRARY_VERSION = 1;
+
+const STORAGE_KEY = 'stress-transformation:presets';
+const PARAM_KEYS = ['sigmaX', 'sigmaY', 'tauXY', 'sigmaZ', 'tauYZ', 'tauZX'];
+const OUT_OF_PLANE = ['sigmaZ', 'tauYZ', 'tauZX'];
+
+/** Tags typed as "a, b, c": trimmed, de-duplicated, empty ones dropped. */
+export function parseTags(text) {
+  return [...new Set(text.split(',').map(t => t.trim()).filter(Boolean))];
+}
+
+/** Append a preset with a fresh id; an empty name becomes "Preset n". */
+export function addPreset(presets, { name, notes = '', tags = [], unit, params }) {
+  const id = presets.reduce((m, p) => Math.max(m, p.id), 0) + 1;
+  return [...presets, {
+    id,
+    name: name.trim() || `Preset ${id}`,
+    notes: notes.trim(),
+    tags,
+    unit,
+    params: structuredClone(params),
+  }];
+}
+
+/** Move a preset one place up (dir = −1) or down (dir = +1). */
+export function movePreset(presets, id, dir) {
+  const i = presets.findIndex(p => p.id === id);
+  const j = i + dir;
+  if (i < 0 || j < 0 || j >= presets.length) return presets;
+  const next = [...presets];
+  [next[i], next[j]] = [next[j], next[i]];
+  return next;
+}
+
+// a preset as read from storage or a file, or null when it is unusable
+function sanitizePreset(raw) {
+  if (!raw || typeof raw !== 'object' || typeof raw.name !== 'string') return null;
+  if (!Object.hasOwn(STRESS_UNITS, raw.unit ?? '') || !raw.params) return null;
+  const params = {};
+  for (const key of PARAM_KEYS) {
+    // the out-of-plane sliders may be left out; they then borrow σx's range
+    const p = raw.params[key] ?? (OUT_OF_PLANE.includes(key) ? { ...params.sigmaX, value: 0 } : null);
+    if (!p) return null;
+    const { value, min, max, step } = p;
+    if (![value, min, max, step].every(Number.isFinite) || !(min < max) || !(step > 0)) return null;
+    params[key] = { value, min: Math.min(min, value), max: Math.max(max, value), step };
+  }
+  return {
+    name: raw.name,
+    notes: typeof raw.notes === 'string' ? raw.notes : '',
+    tags: Array.isArray(raw.tags) ? raw.tags.filter(t => typeof t === 'string') : [],
+    unit: raw.unit,
+    params,
+  };
+}
+
+/** Append presets read elsewhere, renumbering their ids after the existing ones. */
+export function mergePresets(presets, incoming) {
+  return incoming.reduce((list, p) => addPreset(list, p), presets);
+}
+
+/** The library as a JSON file. */
+export function exportLibrary(presets) {
+  return JSON.stringify({
+    format: LIBRARY_FORMAT,
+    version: LIBRARY_VERSION,
+    exported: new Date().toISOString(),
+    presets: presets.map(({ name, notes, tags, unit, params }) => ({ name, notes, tags, unit, params })),
+  }, null, 2);
+}
+
+/**
+ * Read a library file. Returns { presets, skipped, error }; presets carry no
+ * ids yet (see mergePresets), skipped counts entries that could not be used
+ * and error is a message when the file as a whole cannot be.
+ */
+export function parseLibrary(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { presets: [], skipped: 0, error: 'The file is not valid JSON.' };
+  }
+  if (!data || data.format !== LIBRARY_FORMAT || !Number.isInteger(data.version) || !Array.isArray(data.presets)) {
+    return { presets: [], skipped: 0, error: 'The file is not a preset library.' };
+  }
+  if (data.version > LIBRARY_VERSION) {
+    return { presets: [], skipped: 0, error: `The library is version ${data.version}; this app reads up to version ${LIBRARY_VERSION}.` };
+  }
+  const presets = data.presets.map(sanitizePreset).filter(Boolean);
+  return { presets, skipped: data.presets.length - presets.length, error: null };
+}
+
+/** The stored library, or an empty one when storage is missing or unreadable. */
+export function loadLibrary() {
+  try {
+    const { presets } = parseLibrary(window.localStorage.getItem(STORAGE_KEY) ?? '');
+    return mergePresets([], presets);
+  } catch {
+    return [];
+  }
+}
+
+/** Persist the library; storage that is full or disabled is ignored. */
+export function saveLibrary(presets) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, exportLibrary(presets));
+  } catch {
+    // private browsing or quota: the library lasts for this session only
+  }
+}
@@ -0,0 +1,43 @@
+/* ─── Display labels for the symmetric-tensor views ────────────────
+ * Mohr's circle, the σ–θ graph and the element diagram all draw the same
+ * 2×2 tensor algebra; this table tells them what to call the components.
+ * For strain the vertical Mohr axis is the tensor shear γ/2, not γ.
+ * For second moments of area it is −Ixy, which transforms like τxy; planar
+ * quantities have no out-of-plane component, so no 3D circles.
+ */
+
+export const QUANTITIES = {
+  stress: {
+    title:       'Stress',
+    normal:      'σ',
+    shearSym:    'τ',
+    shearSuffix: '',
+    unit:        'MPa',
+  },
+  strain: {
+    title:       'Strain',
+    normal:      'ε',
+    shearSym:    'γ',
+    shearSuffix: '/2',
+    unit:        'µε',
+  },
+  inertia: {
+    title:       'Inertia',
+    normal:      'I',
+    shearSym:    '−I',
+    shearSuffix: '',
+    unit:        'cm⁴',
+    planar:      true,
+  },
+};
+
+/** Plain-text shear symbol with a subscript, e.g. 'τxy' or 'γxy/2'. */
+export function shearText(q, sub = '') {
+  return `${q.shearSym}${sub}${q.shearSuffix}`;
+}
+
+/** Labels for a quantity, with the stress unit swapped for the selected one. */
+export function quantityLabels(quantity, stressUnit) {
+  const q = QUANTITIES[quantity];
+  return quantity === 'stress' && stressUnit ? { ...q, unit: stressUnit } : q;
+}
@@ -0,0 +1,43 @@
+/* ─── Strain-gauge rosette data reduction ──────────────────────────
+ * A gauge at angle φ (from the x-axis, CCW positive) reads
+ *   ε(φ) = εx cos²φ + εy sin²φ + γxy sinφ cosφ
+ * Three gauges at distinct angles give three equations in εx, εy, γxy.
+ */
+
+import { DEG2RAD } from './stress';
+
+export const ROSETTES = {
+  rectangular: { label: '0/45/90',  angles: [0, 45, 90] },
+  delta:       { label: '0/60/120', angles: [0, 60, 120] },
+  custom:      { label: 'Custom',   angles: null },
+};
+
+/** Row of the gauge equation for a gauge at phi degrees. */
+function gaugeRow(phi) {
+  const c = Math.cos(phi * DEG2RAD), s = Math.sin(phi * DEG2RAD);
+  return [c * c, s * s, s * c];
+}
+
+function det3(m) {
+  return m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1])
+       - m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0])
+       + m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+}
+
+/**
+ * Solve for { epsX, epsY, gammaXY } from three gauge angles (degrees) and
+ * readings. Returns null when the geometry is singular (e.g. two gauges 180°
+ * apart, which measure the same direction).
+ */
+export function solveRosette(angles, readings) {
+  const A = angles.map(gaugeRow);
+  const D = det3(A);
+  if (Math.abs(D) < 1e-9) return null;
+  // Cramer's rule
+  const col = (k) => A.map((row, i) => row.map((v, j) => (j === k ? readings[i] : v)));
+  return {
+    epsX:    det3(col(0)) / D,
+    epsY:    det3(col(1)) / D,
+    gammaXY: det3(col(2)) / D,
+  };
+}
@@ -0,0 +1,176 @@
+/* ─── Parametric scenario builders ─────────────────────────────────
+ * Each builder turns a few physical inputs into a stress state at one point.
+ * Field units: 'stress' means the selected stress unit; lengths are mm,
+ * forces kN, torques kN·m. Axes differ per scenario and are listed in `axes`.
+ *
+ *   cylinder – thin-walled, closed ends, optional extra axial load and torque
+ *   sphere   – thin-walled
+ *   lame     – thick-walled cylinder under inner/outer pressure (Lamé)
+ *   disk     – rotating disk of constant thickness (solid when a = 0)
+ */
+
+import { convertStress } from './units';
+
+const SURFACES = [
+  { value: 'outer', label: 'Outer wall' },
+  { value: 'inner', label: 'Inner wall' },
+];
+
+export const SCENARIOS = {
+  cylinder: {
+    label: 'Cylinder',
+    axes: 'x axial · y hoop · z radial',
+    fields: [
+      { key: 'p', label: 'Internal pressure', symbol: 'p', unit: 'stress' },
+      { key: 'r', label: 'Mean radius',       symbol: 'r', unit: 'mm', min: 1e-6 },
+      { key: 't', label: 'Wall thickness',    symbol: 't', unit: 'mm', min: 1e-6 },
+      { key: 'F', label: 'Axial load',        symbol: 'F', unit: 'kN' },
+      { key: 'T', label: 'Torque',            symbol: 'T', unit: 'kN·m' },
+    ],
+    choice: { key: 'surface', options: SURFACES },
+    formulas: [
+      'σx = pr/2t + F/2πrt',
+      'σy = pr/t',
+      'τxy = T/2πr²t',
+      'σz = −p (inner) or 0 (outer)',
+    ],
+  },
+  sphere: {
+    label: 'Sphere',
+    axes: 'x, y tangential · z radial',
+    fields: [
+      { key: 'p', label: 'Internal pressure', symbol: 'p', unit: 'stress' },
+      { key: 'r', label: 'Mean radius',       symbol: 'r', unit: 'mm', min: 1e-6 },
+      { key: 't', label: 'Wall thickness',    symbol: 't', unit: 'mm', min: 1e-6 },
+    ],
+    choice: { key: 'surface', options: SURFACES },
+    formulas: [
+      'σx = σy = pr/2t',
+      'τxy = 0',
+      'σz = −p (inner) or 0 (outer)',
+    ],
+  },
+  lame: {
+    label: 'Lamé',
+    axes: 'x radial · y hoop · z axial',
+    fields: [
+      { key: 'pi', label: 'Inner pressure', symbol: 'pᵢ', unit: 'stress' },
+      { key: 'po', label: 'Outer pressure', symbol: 'pₒ', unit: 'stress' },
+      { key: 'a',  label: 'Inner radius',   symbol: 'a',  unit: 'mm', min: 1e-6 },
+      { key: 'b',  label: 'Outer radius',   symbol: 'b',  unit: 'mm', min: 1e-6 },
+      { key: 'r',  label: 'Radius',         symbol: 'r',  unit: 'mm', min: 1e-6 },
+    ],
+    choice: {
+      key: 'ends',
+      options: [
+        { value: 'closed', label: 'Closed ends' },
+        { value: 'open',   label: 'Open ends' },
+      ],
+    },
+    formulas: [
+      'A = (pᵢa² − pₒb²)/(b² − a²)',
+      'B = (pᵢ − pₒ)a²b²/(b² − a²)',
+      'σx = σr = A − B/r²',
+      'σy = σθ = A + B/r²',
+      'σz = A (closed) or 0 (open)',
+    ],
+  },
+  disk: {
+    label: 'Disk',
+    axes: 'x radial · y hoop · z axial',
+    fields: [
+      { key: 'rho', label: 'Density',      symbol: 'ρ', unit: 'kg/m³', min: 1e-6 },
+      { key: 'n',   label: 'Speed',        symbol: 'n', unit: 'rpm' },
+      { key: 'a',   label: 'Inner radius', symbol: 'a', unit: 'mm', min: 0 },
+      { key: 'b',   label: 'Outer radius', symbol: 'b', unit: 'mm', min: 1e-6 },
+      { key: 'r',   label: 'Radius',       symbol: 'r', unit: 'mm', min: 0 },
+    ],
+    formulas: [
+      'k = (3 + ν)ρω²/8',
+      'σx = σr = k(a² + b² − a²b²/r² − r²)',
+      'σy = σθ = k(a² + b² + a²b²/r² − (1 + 3ν)r²/(3 + ν))',
+      'ν from the Hooke\'s-law material; a = 0 is a solid disk',
+    ],
+  },
+};
+
+export const DEFAULT_SCENARIO_INPUTS = {
+  cylinder: { p: 2, r: 500, t: 10, F: 0, T: 100, surface: 'outer' },
+  sphere:   { p: 2, r: 500, t: 10, surface: 'outer' },
+  lame:     { pi: 100, po: 0, a: 50, b: 100, r: 50, ends: 'closed' },
+  disk:     { rho: 7850, n: 10000, a: 25, b: 150, r: 25 },
+};
+
+/**
+ * Radial and hoop stress { sigmaR, sigmaTheta, A } at radius r of a thick
+ * cylinder a ≤ r ≤ b under inner pressure pi and outer pressure po.
+ * A is the closed-end axial stress.
+ */
+export function lameStresses(pi, po, a, b, r) {
+  const A = (pi * a * a - po * b * b) / (b * b - a * a);
+  const B = (pi - po) * a * a * b * b / (b * b - a * a);
+  return { sigmaR: A - B / (r * r), sigmaTheta: A + B / (r * r), A };
+}
+
+/** Rescale the stress-valued inputs of every scenario by factor k (unit change). */
+export function scaleScenarioInputs(inputs, k) {
+  const out = {};
+  for (const [type, values] of Object.entries(inputs)) {
+    out[type] = { ...values };
+    for (const f of SCENARIOS[type].fields) {
+      if (f.unit === 'stress') out[type][f.key] *= k;
+    }
+  }
+  return out;
+}
+
+/**
+ * Stress state { sigmaX, sigmaY, tauXY, sigmaZ } in `unit` for a scenario,
+ * or null when the geometry is invalid (e.g. the radius lies outside the wall).
+ * nu is Poisson's ratio, needed by the rotating disk.
+ */
+export function scenarioStress(type, v, { unit, nu }) {
+  const mpa = (x) => convertStress(x, 'MPa', unit);
+  const radial = (p) => (v.surface === 'inner' ? -p : 0);
+
+  if (type === 'cylinder') {
+    if (!(v.r > 0 && v.t > 0)) return null;
+    return {
+      sigmaX: v.p * v.r / (2 * v.t) + mpa(v.F * 1e3 / (2 * Math.PI * v.r * v.t)),
+      sigmaY: v.p * v.r / v.t,
+      tauXY:  mpa(v.T * 1e6 / (2 * Math.PI * v.r * v.r * v.t)),
+      sigmaZ: radial(v.p),
+    };
+  }
+  if (type === 'sphere') {
+    if (!(v.r > 0 && v.t > 0)) return null;
+    const s = v.p * v.r / (2 * v.t);
+    return { sigmaX: s, sigmaY: s, tauXY: 0, sigmaZ: radial(v.p) };
+  }
+  if (type === 'lame') {
+    const { a, b, r } = v;
+    if (!(a > 0 && b > a && r >= a && r <= b)) return null;
+    const { sigmaR, sigmaTheta, A } = lameStresses(v.pi, v.po, a, b, r);
+    return {
+      sigmaX: sigmaR,
+      sigmaY: sigmaTheta,
+      tauXY: 0,
+      sigmaZ: v.ends === 'closed' ? A : 0,
+    };
+  }
+  if (type === 'disk') {
+    const { a, b, r } = v;
+    if (!(a >= 0 && b > a && r >= a && r <= b) || (a > 0 && r === 0)) return null;
+    const omega = v.n * 2 * Math.PI / 60;
+    const k = (3 + nu) * v.rho * omega * omega / 8 * 1e-6; // Pa with radii in mm
+    const hole = a > 0 ? a * a * b * b / (r * r) : 0;
+    const toUnit = (pa) => convertStress(pa, 'Pa', unit);
+    return {
+      sigmaX: toUnit(k * (a * a + b * b - hole - r * r)),
+      sigmaY: toUnit(k * (a * a + b * b + hole - (1 + 3 * nu) / (3 + nu) * r * r)),
+      tauXY: 0,
+      sigmaZ: 0,
+    };
+  }
+  return null;
+}
@@ -0,0 +1,145 @@
+/* ─── Cross-section properties ─────────────────────────────────────
+ * Sections sit in the y–z plane with the centroid at the origin: y is the
+ * depth direction (up), z the width direction. Dimensions in mm, so areas
+ * come out in mm², second moments in mm⁴.
+ *
+ * Shear flow uses τ = V·Q / (I·t). Torsion is exact for circles and tubes
+ * (τ = T·r / J). Rectangles use Roark's thick-strip approximation and
+ * I-sections the thin-walled open-section result τ = T·t / J. In both, the
+ * stress varies linearly across the wall thickness.
+ */
+
+export const SECTIONS = {
+  circle: {
+    label: 'Circle',
+    dims: [{ key: 'd', label: 'Diameter', symbol: 'd' }],
+  },
+  tube: {
+    label: 'Tube',
+    dims: [
+      { key: 'd',  label: 'Outer diameter', symbol: 'd' },
+      { key: 'di', label: 'Inner diameter', symbol: 'dᵢ' },
+    ],
+  },
+  rectangle: {
+    label: 'Rect',
+    dims: [
+      { key: 'b', label: 'Width (z)', symbol: 'b' },
+      { key: 'h', label: 'Depth (y)', symbol: 'h' },
+    ],
+  },
+  iSection: {
+    label: 'I-beam',
+    dims: [
+      { key: 'h',  label: 'Depth',            symbol: 'h' },
+      { key: 'bf', label: 'Flange width',     symbol: 'b_f' },
+      { key: 'tf', label: 'Flange thickness', symbol: 't_f' },
+      { key: 'tw', label: 'Web thickness',    symbol: 't_w' },
+    ],
+  },
+};
+
+export const DEFAULT_DIMS = {
+  circle:    { d: 50 },
+  tube:      { d: 60, di: 50 },
+  rectangle: { b: 40, h: 80 },
+  iSection:  { h: 200, bf: 100, tf: 10, tw: 6 },
+};
+
+const chord = (r, y) => (Math.abs(y) < r ? Math.sqrt(r * r - y * y) : 0);
+
+/** Circle of radius r: first moment above y and width at y. */
+function circleShear(r, y) {
+  const c = chord(r, y);
+  return { Q: (2 / 3) * c ** 3, t: 2 * c };
+}
+
+function circular(ro, ri) {
+  const J = (Math.PI / 2) * (ro ** 4 - ri ** 4);
+  const shear = (u) => {
+    const o = circleShear(ro, u), i = circleShear(ri, u);
+    return { Q: o.Q - i.Q, t: o.t - i.t };
+  };
+  return {
+    A: Math.PI * (ro * ro - ri * ri),
+    Iy: J / 2,
+    Iz: J / 2,
+    J,
+    contains: (y, z) => {
+      const r = Math.hypot(y, z);
+      return r <= ro + 1e-9 && r >= ri - 1e-9;
+    },
+    shearY: shear,
+    shearZ: shear,
+    // tangential flow (−z, y)·T/J
+    torsion: (T, y, z) => ({ tauXY: -T * z / J, tauXZ: T * y / J }),
+  };
+}
+
+function rectangle(b, h) {
+  const a = Math.max(b, h), t = Math.min(b, h);
+  const J = a * t ** 3 * (1 / 3 - 0.21 * (t / a) * (1 - t ** 4 / (12 * a ** 4)));
+  const tauMax = (T) => T * (3 * a + 1.8 * t) / (a * a * t * t);
+  return {
+    A: b * h,
+    Iy: h * b ** 3 / 12,
+    Iz: b * h ** 3 / 12,
+    J,
+    contains: (y, z) => Math.abs(y) <= h / 2 + 1e-9 && Math.abs(z) <= b / 2 + 1e-9,
+    shearY: (y) => ({ Q: (b / 2) * Math.max(h * h / 4 - y * y, 0), t: b }),
+    shearZ: (z) => ({ Q: (h / 2) * Math.max(b * b / 4 - z * z, 0), t: h }),
+    // flow runs along the long sides, growing linearly from the mid-plane
+    torsion: (T, y, z) => (h >= b
+      ? { tauXY: -tauMax(T) * (2 * z / t), tauXZ: 0 }
+      : { tauXY: 0, tauXZ: tauMax(T) * (2 * y / t) }),
+  };
+}
+
+function iSection(h, bf, tf, tw) {
+  const hw = h - 2 * tf;
+  const Iz = (bf * h ** 3 - (bf - tw) * hw ** 3) / 12;
+  const Iy = (2 * tf * bf ** 3 + hw * tw ** 3) / 12;
+  const J = (2 * bf * tf ** 3 + hw * tw ** 3) / 3;
+  const inFlange = (y) => Math.abs(y) >= hw / 2;
+  return {
+    A: 2 * bf * tf + hw * tw,
+    Iy,
+    Iz,
+    J,
+    contains: (y, z) => Math.abs(y) <= h / 2 + 1e-9
+      && Math.abs(z) <= (inFlange(y) ? bf : tw) / 2 + 1e-9,
+    shearY: (y) => {
+      const u = Math.min(Math.abs(y), h / 2);
+      if (inFlange(u)) return { Q: (bf / 2) * (h * h / 4 - u * u), t: bf };
+      return { Q: bf * tf * (h - tf) / 2 + (tw / 2) * (hw * hw / 4 - u * u), t: tw };
+    },
+    shearZ: (z) => {
+      const u = Math.min(Math.abs(z), bf / 2);
+      const flanges = tf * (bf * bf / 4 - u * u);
+      const web = u < tw / 2 ? (hw / 2) * (tw * tw / 4 - u * u) : 0;
+      return { Q: flanges + web, t: 2 * tf + (u < tw / 2 ? hw : 0) };
+    },
+    torsion: (T, y, z) => {
+      if (inFlange(y)) {
+        const mid = Math.sign(y) * (h - tf) / 2;
+        return { tauXY: 0, tauXZ: 2 * T * (y - mid) / J };
+      }
+      return { tauXY: -2 * T * z / J, tauXZ: 0 };
+    },
+  };
+}
+
+/**
+ * Properties of a section { A, Iy, Iz, J, contains, shearY, shearZ, torsion },
+ * or null when the dimensions are not a valid shape.
+ */
+export function sectionProperties(type, dims) {
+  const positive = Object.values(dims).every(v => v > 0);
+  if (type === 'circle' && dims.d > 0) return circular(dims.d / 2, 0);
+  if (type === 'tube' && positive && dims.di < dims.d) return circular(dims.d / 2, dims.di / 2);
+  if (type === 'rectangle' && positive) return rectangle(dims.b, dims.h);
+  if (type === 'iSection' && positive && 2 * dims.tf < dims.h && dims.tw < dims.bf) {
+    return iSection(dims.h, dims.bf, dims.tf, dims.tw);
+  }
+  return null;
+}
@@ -0,0 +1,166 @@
+/* ─── Stress transformation engine ─────────────────────────────────
+ * Pure functions for the plane-stress state (σx, σy, τxy).
+ *
+ * Angle convention (used everywhere in the app):
+ *   – θ is measured from the x-axis to the x′-axis, counter-clockwise positive, in degrees.
+ *   – θp1 is the angle to the σ1 direction, θp2 the angle to σ2.
+ *   – θs1 is the plane carrying +τmax, θs2 the plane carrying −τmax.
+ *   – every returned angle is normalised into (−90°, 90°].
+ */
+
+export const DEG2RAD = Math.PI / 180;
+export const RAD2DEG = 180 / Math.PI;
+
+const EPS = 1e-9;
+
+/** Wrap an angle in degrees into (−90°, 90°]. */
+export function normalizeAngle(deg) {
+  const a = ((deg % 180) + 180) % 180; // [0, 180)
+  return a > 90 ? a - 180 : a;
+}
+
+/**
+ * Stresses on the x′ and y′ faces of an element rotated by theta (degrees).
+ * Returns { sigmaX, sigmaY, tauXY } in the rotated frame.
+ */
+export function transformStress(sigmaX, sigmaY, tauXY, theta) {
+  const avg = (sigmaX + sigmaY) / 2;
+  const diff = (sigmaX - sigmaY) / 2;
+  const c = Math.cos(2 * theta * DEG2RAD);
+  const s = Math.sin(2 * theta * DEG2RAD);
+  return {
+    sigmaX: avg + diff * c + tauXY * s,
+    sigmaY: avg - diff * c - tauXY * s,
+    tauXY:  -diff * s + tauXY * c,
+  };
+}
+
+/** Mohr's circle radius, i.e. the maximum in-plane shear stress. */
+export function maxInPlaneShear(sigmaX, sigmaY, tauXY) {
+  return Math.hypot((sigmaX - sigmaY) / 2, tauXY);
+}
+
+/** In-plane principal stresses, σ1 ≥ σ2. */
+export function principalStresses(sigmaX, sigmaY, tauXY) {
+  const avg = (sigmaX + sigmaY) / 2;
+  const R = maxInPlaneShear(sigmaX, sigmaY, tauXY);
+  return { sigma1: avg + R, sigma2: avg - R };
+}
+
+/**
+ * Principal directions [θp1, θp2] in degrees, or null for an isotropic
+ * state where every direction is principal.
+ */
+export function principalAngles(sigmaX, sigmaY, tauXY) {
+  const diff = sigmaX - sigmaY;
+  if (Math.abs(diff) < EPS && Math.abs(tauXY) < EPS) return null;
+  const thetaP1 = normalizeAngle(0.5 * Math.atan2(2 * tauXY, diff) * RAD2DEG);
+  return [thetaP1, normalizeAngle(thetaP1 + 90)];
+}
+
+/**
+ * Maximum-shear directions [θs1, θs2] in degrees (planes of +τmax and −τmax),
+ * or null for an isotropic state.
+ */
+export function maxShearAngles(sigmaX, sigmaY, tauXY) {
+  const p = principalAngles(sigmaX, sigmaY, tauXY);
+  if (!p) return null;
+  return [normalizeAngle(p[0] - 45), normalizeAngle(p[0] + 45)];
+}
+
+/** In-plane invariants of the 2×2 stress tensor. */
+export function stressInvariants(sigmaX, sigmaY, tauXY) {
+  return {
+    I1: sigmaX + sigmaY,
+    I2: sigmaX * sigmaY - tauXY * tauXY,
+  };
+}
+
+/** Everything the views need about a plane-stress state in one object. */
+export function analyzeStress(sigmaX, sigmaY, tauXY) {
+  const avg = (sigmaX + sigmaY) / 2;
+  const diff = (sigmaX - sigmaY) / 2;
+  const R = maxInPlaneShear(sigmaX, sigmaY, tauXY);
+  return {
+    avg,
+    diff,
+    R,
+    ...principalStresses(sigmaX, sigmaY, tauXY),
+    principalAngles: principalAngles(sigmaX, sigmaY, tauXY),
+    shearAngles: maxShearAngles(sigmaX, sigmaY, tauXY),
+    ...stressInvariants(sigmaX, sigmaY, tauXY),
+  };
+}
+
+/* ─── 3D stress state ──────────────────────────────────────────────
+ * A full state is { sigmaX, sigmaY, sigmaZ, tauXY, tauYZ, tauZX }.
+ * Plane stress is the special case sigmaZ = tauYZ = tauZX = 0.
+ */
+
+/** Symmetric 3×3 tensor as nested rows. */
+export function stressTensor({ sigmaX, sigmaY, sigmaZ = 0, tauXY, tauYZ = 0, tauZX = 0 }) {
+  return [
+    [sigmaX, tauXY, tauZX],
+    [tauXY, sigmaY, tauYZ],
+    [tauZX, tauYZ, sigmaZ],
+  ];
+}
+
+/**
+ * Eigen-decomposition of a symmetric 3×3 matrix by cyclic Jacobi rotations.
+ * Returns { values, vectors } with vectors[i] the unit eigenvector of values[i].
+ */
+export function eigenSymmetric3(m) {
+  const a = m.map(row => [...row]);
+  const v = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+  for (let sweep = 0; sweep < 50; sweep++) {
+    const off = Math.abs(a[0][1]) + Math.abs(a[0][2]) + Math.abs(a[1][2]);
+    if (off < EPS) break;
+    for (const [p, q] of [[0, 1], [0, 2], [1, 2]]) {
+      if (Math.abs(a[p][q]) < 1e-15) continue;
+      const phi = 0.5 * Math.atan2(2 * a[p][q], a[q][q] - a[p][p]);
+      const c = Math.cos(phi), s = Math.sin(phi);
+      for (let k = 0; k < 3; k++) {
+        const akp = a[k][p], akq = a[k][q];
+        a[k][p] = c * akp - s * akq;
+        a[k][q] = s * akp + c * akq;
+      }
+      for (let k = 0; k < 3; k++) {
+        const apk = a[p][k], aqk = a[q][k];
+        a[p][k] = c * apk - s * aqk;
+        a[q][k] = s * apk + c * aqk;
+      }
+      for (let k = 0; k < 3; k++) {
+        const vkp = v[k][p], vkq = v[k][q];
+        v[k][p] = c * vkp - s * vkq;
+        v[k][q] = s * vkp + c * vkq;
+      }
+    }
+  }
+  return {
+    values: [a[0][0], a[1][1], a[2][2]],
+    vectors: [0, 1, 2].map(i => [v[0][i], v[1][i], v[2][i]]),
+  };
+}
+
+/**
+ * Principal stresses σ1 ≥ σ2 ≥ σ3 of a full 3D state with their direction
+ * cosines [l, m, n], plus the absolute maximum shear (σ1 − σ3)/2.
+ */
+export function principalStresses3D(state) {
+  const { values, vectors } = eigenSymmetric3(stressTensor(state));
+  const order = [0, 1, 2].sort((i, j) => values[j] - values[i]);
+  const [sigma1, sigma2, sigma3] = order.map(i => values[i]);
+  return {
+    sigma1,
+    sigma2,
+    sigma3,
+    // eigenvectors are sign-free; report them with a positive leading component
+    directions: order.map(i => {
+      const d = vectors[i];
+      const lead = d.find(c => Math.abs(c) > EPS) || 1;
+      return lead < 0 ? d.map(c => -c) : d;
+    }),
+    tauAbsMax: (sigma1 - sigma3) / 2,
+  };
+}
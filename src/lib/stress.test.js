@@ -0,0 +1,234 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeAngle,
+  transformStress,
+  maxInPlaneShear,
+  principalStresses,
+  principalAngles,
+  maxShearAngles,
+  analyzeStress,
+  stressTensor,
+  eigenSymmetric3,
+  principalStresses3D,
+} from './stress';
+
+// product of a 3×3 matrix with a vector
+const apply = (m, v) => m.map(row => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+
+describe('normalizeAngle', () => {
+  it('wraps into (−90°, 90°]', () => {
+    expect(normalizeAngle(0)).toBe(0);
+    expect(normalizeAngle(90)).toBe(90);
+    expect(normalizeAngle(-90)).toBe(90);
+    expect(normalizeAngle(135)).toBe(-45);
+    expect(normalizeAngle(-135)).toBe(45);
+    expect(normalizeAngle(270)).toBe(90);
+    expect(normalizeAngle(-370)).toBeCloseTo(-10);
+  });
+});
+
+describe('transformStress', () => {
+  it('returns the state unchanged at θ = 0 and swaps the faces at 90°', () => {
+    const t0 = transformStress(80, -40, 30, 0);
+    expect(t0.sigmaX).toBeCloseTo(80);
+    expect(t0.sigmaY).toBeCloseTo(-40);
+    expect(t0.tauXY).toBeCloseTo(30);
+
+    const t90 = transformStress(80, -40, 30, 90);
+    expect(t90.sigmaX).toBeCloseTo(-40);
+    expect(t90.sigmaY).toBeCloseTo(80);
+    expect(t90.tauXY).toBeCloseTo(-30);
+  });
+
+  it('matches the textbook case σx = 80, σy = −40, τxy = 30 at θ = 30°', () => {
+    // σx′ = 20 + 60·cos 60° + 30·sin 60°, τx′y′ = −60·sin 60° + 30·cos 60°
+    const t = transformStress(80, -40, 30, 30);
+    expect(t.sigmaX).toBeCloseTo(20 + 30 + 15 * Math.sqrt(3));
+    expect(t.sigmaY).toBeCloseTo(20 - 30 - 15 * Math.sqrt(3));
+    expect(t.tauXY).toBeCloseTo(-30 * Math.sqrt(3) + 15);
+  });
+
+  it('turns pure shear into ±τ principal stresses at 45°', () => {
+    const t = transformStress(0, 0, 50, 45);
+    expect(t.sigmaX).toBeCloseTo(50);
+    expect(t.sigmaY).toBeCloseTo(-50);
+    expect(t.tauXY).toBeCloseTo(0);
+  });
+
+  it('keeps σx′ + σy′ invariant at every angle', () => {
+    for (let theta = -90; theta <= 90; theta += 15) {
+      const t = transformStress(120, 35, -60, theta);
+      expect(t.sigmaX + t.sigmaY).toBeCloseTo(155);
+    }
+  });
+});
+
+describe('principalStresses', () => {
+  it('finds σ1 ≥ σ2 from the centre and radius of the circle', () => {
+    const { sigma1, sigma2 } = principalStresses(80, -40, 30);
+    const R = Math.hypot(60, 30);
+    expect(maxInPlaneShear(80, -40, 30)).toBeCloseTo(R);
+    expect(sigma1).toBeCloseTo(20 + R);
+    expect(sigma2).toBeCloseTo(20 - R);
+  });
+
+  it('agrees with the transformed normal stresses at θp1 and θp2', () => {
+    const [p1, p2] = principalAngles(80, -40, 30);
+    const { sigma1, sigma2 } = principalStresses(80, -40, 30);
+    expect(transformStress(80, -40, 30, p1).sigmaX).toBeCloseTo(sigma1);
+    expect(transformStress(80, -40, 30, p2).sigmaX).toBeCloseTo(sigma2);
+    expect(transformStress(80, -40, 30, p1).tauXY).toBeCloseTo(0);
+  });
+
+  it('returns the uniaxial stress and zero for a uniaxial state', () => {
+    expect(principalStresses(100, 0, 0)).toEqual({ sigma1: 100, sigma2: 0 });
+    expect(principalStresses(0, -100, 0)).toEqual({ sigma1: 0, sigma2: -100 });
+  });
+});
+
+describe('principalAngles', () => {
+  it('keeps every angle in (−90°, 90°] and the pair 90° apart', () => {
+    const states = [[80, -40, 30], [-40, 80, 30], [10, 10, -25], [-50, 20, -70], [0, 100, 0], [100, 0, 0]];
+    for (const [sx, sy, txy] of states) {
+      const angles = principalAngles(sx, sy, txy);
+      for (const a of angles) {
+        expect(a).toBeGreaterThan(-90);
+        expect(a).toBeLessThanOrEqual(90);
+      }
+      expect(normalizeAngle(angles[1] - angles[0])).toBeCloseTo(90);
+    }
+  });
+
+  it('reports 90° rather than −90° for σ1 along y', () => {
+    expect(principalAngles(0, 100, 0)).toEqual([90, 0]);
+  });
+
+  it('points θp1 at σ1 for pure shear', () => {
+    expect(principalAngles(0, 0, 50)[0]).toBeCloseTo(45);
+    expect(principalAngles(0, 0, -50)[0]).toBeCloseTo(-45);
+  });
+
+  it('returns null for an isotropic state with no unique direction', () => {
+    expect(principalAngles(60, 60, 0)).toBeNull();
+    expect(principalAngles(0, 0, 0)).toBeNull();
+    expect(principalAngles(-25, -25 + 1e-12, 1e-12)).toBeNull();
+    expect(maxShearAngles(60, 60, 0)).toBeNull();
+
+    const a = analyzeStress(60, 60, 0);
+    expect(a.principalAngles).toBeNull();
+    expect(a.shearAngles).toBeNull();
+    expect(a.R).toBe(0);
+    expect(a.sigma1).toBe(60);
+    expect(a.sigma2).toBe(60);
+  });
+});
+
+describe('maxShearAngles', () => {
+  it('lies 45° either side of θp1, normalised into (−90°, 90°]', () => {
+    const states = [[80, -40, 30], [0, 100, 0], [100, 0, 0], [-50, 20, -70]];
+    for (const [sx, sy, txy] of states) {
+      const [p1] = principalAngles(sx, sy, txy);
+      const [s1, s2] = maxShearAngles(sx, sy, txy);
+      expect(s1).toBeCloseTo(normalizeAngle(p1 - 45));
+      expect(s2).toBeCloseTo(normalizeAngle(p1 + 45));
+      for (const s of [s1, s2]) {
+        expect(s).toBeGreaterThan(-90);
+        expect(s).toBeLessThanOrEqual(90);
+      }
+    }
+  });
+
+  it('puts +τmax on θs1 and −τmax on θs2', () => {
+    const R = maxInPlaneShear(80, -40, 30);
+    const [s1, s2] = maxShearAngles(80, -40, 30);
+    expect(transformStress(80, -40, 30, s1).tauXY).toBeCloseTo(R);
+    expect(transformStress(80, -40, 30, s2).tauXY).toBeCloseTo(-R);
+  });
+
+  it('wraps θs2 = 135° round to −45° for uniaxial tension along x', () => {
+    expect(maxShearAngles(100, 0, 0)).toEqual([-45, 45]);
+    expect(maxShearAngles(0, 100, 0)).toEqual([45, -45]);
+  });
+});
+
+describe('eigenSymmetric3', () => {
+  it('returns the diagonal of a diagonal matrix', () => {
+    const { values } = eigenSymmetric3([[3, 0, 0], [0, -1, 0], [0, 0, 7]]);
+    expect(values).toEqual([3, -1, 7]);
+  });
+
+  it('decomposes a known matrix with eigenvalues 1, 2 and 4', () => {
+    // [[2,1,1],[1,2,1],[1,1,2]] has eigenvalues 4 (along [1,1,1]) and 1 (twice)
+    const m = [[2, 1, 1], [1, 2, 1], [1, 1, 2]];
+    const { values, vectors } = eigenSymmetric3(m);
+    expect([...values].sort((a, b) => a - b).map(v => +v.toFixed(9))).toEqual([1, 1, 4]);
+    values.forEach((value, i) => {
+      expect(Math.hypot(...vectors[i])).toBeCloseTo(1);
+      apply(m, vectors[i]).forEach((c, k) => expect(c).toBeCloseTo(value * vectors[i][k]));
+    });
+  });
+
+  it('returns mutually orthogonal eigenvectors of a full tensor', () => {
+    const m = stressTensor({ sigmaX: 50, sigmaY: -20, sigmaZ: 30, tauXY: 40, tauYZ: -10, tauZX: 25 });
+    const { values, vectors } = eigenSymmetric3(m);
+    expect(values.reduce((s, v) => s + v, 0)).toBeCloseTo(60);
+    for (let i = 0; i < 3; i++) {
+      apply(m, vectors[i]).forEach((c, k) => expect(c).toBeCloseTo(values[i] * vectors[i][k]));
+      for (let j = i + 1; j < 3; j++) {
+        const dot = vectors[i].reduce((s, c, k) => s + c * vectors[j][k], 0);
+        expect(dot).toBeCloseTo(0);
+      }
+    }
+  });
+});
+
+describe('principalStresses3D', () => {
+  it('matches the in-plane result for plane stress, with σz = 0 sorted in', () => {
+    const p = principalStresses3D({ sigmaX: 80, sigmaY: -40, tauXY: 30 });
+    const { sigma1, sigma2 } = principalStresses(80, -40, 30);
+    expect(p.sigma1).toBeCloseTo(sigma1);
+    expect(p.sigma2).toBeCloseTo(0);
+    expect(p.sigma3).toBeCloseTo(sigma2);
+    expect(p.tauAbsMax).toBeCloseTo((sigma1 - sigma2) / 2);
+  });
+
+  it('uses σ3 = 0 for the absolute maximum shear when both in-plane principals are tensile', () => {
+    const p = principalStresses3D({ sigmaX: 100, sigmaY: 40, tauXY: 0 });
+    expect([p.sigma1, p.sigma2, p.sigma3]).toEqual([100, 40, 0]);
+    expect(p.tauAbsMax).toBe(50);
+  });
+
+  it('solves the textbook tensor σ = [[10,20,0],[20,10,0],[0,0,30]]', () => {
+    // in-plane block gives 30 and −10; σz = 30 is already principal
+    const p = principalStresses3D({ sigmaX: 10, sigmaY: 10, sigmaZ: 30, tauXY: 20 });
+    expect(p.sigma1).toBeCloseTo(30);
+    expect(p.sigma2).toBeCloseTo(30);
+    expect(p.sigma3).toBeCloseTo(-10);
+    expect(p.tauAbsMax).toBeCloseTo(20);
+    const [l, m, n] = p.directions[2];
+    expect(l).toBeCloseTo(Math.SQRT1_2);
+    expect(m).toBeCloseTo(-Math.SQRT1_2);
+    expect(n).toBeCloseTo(0);
+  });
+
+  it('solves a general tensor: σ1 + σ2 + σ3 equals the trace and directions are unit vectors', () => {
+    const state = { sigmaX: 60, sigmaY: 0, sigmaZ: -30, tauXY: 20, tauYZ: 15, tauZX: -10 };
+    const p = principalStresses3D(state);
+    expect(p.sigma1).toBeGreaterThanOrEqual(p.sigma2);
+    expect(p.sigma2).toBeGreaterThanOrEqual(p.sigma3);
+    expect(p.sigma1 + p.sigma2 + p.sigma3).toBeCloseTo(30);
+    const m = stressTensor(state);
+    [p.sigma1, p.sigma2, p.sigma3].forEach((value, i) => {
+      const d = p.directions[i];
+      expect(Math.hypot(...d)).toBeCloseTo(1);
+      expect(d.find(c => Math.abs(c) > 1e-9)).toBeGreaterThan(0);
+      apply(m, d).forEach((c, k) => expect(c).toBeCloseTo(value * d[k]));
+    });
+  });
+
+  it('returns equal principals and zero shear for a hydrostatic state', () => {
+    const p = principalStresses3D({ sigmaX: -50, sigmaY: -50, sigmaZ: -50, tauXY: 0 });
+    expect([p.sigma1, p.sigma2, p.sigma3]).toEqual([-50, -50, -50]);
+    expect(p.tauAbsMax).toBe(0);
+  });
+});
@@ -0,0 +1,173 @@
+/* ─── Canvas → SVG recorder ────────────────────────────────────────
+ * A stand-in for CanvasRenderingContext2D that records what is drawn as SVG
+ * markup, so a canvas drawing routine can also produce a vector figure.
+ * It covers the part of the API the element view uses: save/restore,
+ * transforms, paths built from lines and rectangles, fill, stroke, clip,
+ * dashes, global alpha and fillText/measureText.
+ *
+ * Paths are recorded in device space (the transform applied point by
+ * point); line widths and dashes are scaled by the transform's mean scale
+ * factor, which is exact for the rotations and uniform scales used here.
+ */
+
+const n = (v) => String(+v.toFixed(2));
+
+const escapeXml = (s) => s.replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+
+// [a, b, c, d, e, f] as in setTransform; m1 · m2
+const multiply = ([a1, b1, c1, d1, e1, f1], [a2, b2, c2, d2, e2, f2]) => [
+  a1 * a2 + c1 * b2, b1 * a2 + d1 * b2,
+  a1 * c2 + c1 * d2, b1 * c2 + d1 * d2,
+  a1 * e2 + c1 * f2 + e1, b1 * e2 + d1 * f2 + f1,
+];
+
+const TEXT_ANCHOR = { left: 'start', start: 'start', center: 'middle', right: 'end', end: 'end' };
+const BASELINE = {
+  alphabetic: null, middle: 'central', top: 'text-before-edge',
+  hanging: 'hanging', bottom: 'text-after-edge', ideographic: 'ideographic',
+};
+
+/** "bold 13px 'JetBrains Mono', monospace" → { weight, size, family } */
+function parseFont(font) {
+  const m = /^\s*(?:(normal|bold|[1-9]00)\s+)?(\d+(?:\.\d+)?)px\s+(.+)$/.exec(font);
+  if (!m) return { weight: 'normal', size: 10, family: 'sans-serif' };
+  return { weight: m[1] ?? 'normal', size: +m[2], family: m[3] };
+}
+
+/**
+ * Create a recording context for a width × height canvas.
+ * measure – optional (text, size, bold) → width in px, used by measureText;
+ *           defaults to a monospace estimate of 0.6 em per character
+ * The returned object has the canvas API plus markup() → the SVG document.
+ */
+export function createSvgContext(width, height, measure = null) {
+  const body = [];
+  const defs = [];
+  let clipCount = 0;
+  let path = [];
+  let state = {
+    matrix: [1, 0, 0, 1, 0, 0],
+    strokeStyle: '#000', fillStyle: '#000', lineWidth: 1, lineDash: [],
+    globalAlpha: 1, font: '10px sans-serif', textAlign: 'start', textBaseline: 'alphabetic',
+    clip: null,
+  };
+  const stack = [];
+
+  const point = (x, y) => {
+    const [a, b, c, d, e, f] = state.matrix;
+    return [a * x + c * y + e, b * x + d * y + f];
+  };
+  const scale = () => {
+    const [a, b, c, d] = state.matrix;
+    return Math.sqrt(Math.abs(a * d - b * c));
+  };
+  const transform = (m) => { state.matrix = multiply(state.matrix, m); };
+
+  const shared = () => {
+    const attrs = [];
+    if (state.globalAlpha < 1) attrs.push(`opacity="${n(state.globalAlpha)}"`);
+    if (state.clip) attrs.push(`clip-path="url(#${state.clip})"`);
+    return attrs;
+  };
+  const emit = (paint) => {
+    if (!path.length) return;
+    body.push(`<path d="${path.join('')}" ${[...paint, ...shared()].join(' ')}/>`);
+  };
+
+  const ctx = {
+    canvas: { width, height },
+
+    get strokeStyle() { return state.strokeStyle; },
+    set strokeStyle(v) { state.strokeStyle = v; },
+    get fillStyle() { return state.fillStyle; },
+    set fillStyle(v) { state.fillStyle = v; },
+    get lineWidth() { return state.lineWidth; },
+    set lineWidth(v) { state.lineWidth = v; },
+    get globalAlpha() { return state.globalAlpha; },
+    set globalAlpha(v) { state.globalAlpha = v; },
+    get font() { return state.font; },
+    set font(v) { state.font = v; },
+    get textAlign() { return state.textAlign; },
+    set textAlign(v) { state.textAlign = v; },
+    get textBaseline() { return state.textBaseline; },
+    set textBaseline(v) { state.textBaseline = v; },
+
+    save() { stack.push({ ...state, lineDash: [...state.lineDash] }); },
+    restore() { if (stack.length) state = stack.pop(); },
+
+    setTransform(a, b, c, d, e, f) { state.matrix = [a, b, c, d, e, f]; },
+    resetTransform() { state.matrix = [1, 0, 0, 1, 0, 0]; },
+    transform(a, b, c, d, e, f) { transform([a, b, c, d, e, f]); },
+    translate(x, y) { transform([1, 0, 0, 1, x, y]); },
+    scale(x, y) { transform([x, 0, 0, y, 0, 0]); },
+    rotate(a) {
+      const cos = Math.cos(a), sin = Math.sin(a);
+      transform([cos, sin, -sin, cos, 0, 0]);
+    },
+
+    setLineDash(dash) { state.lineDash = [...dash]; },
+    getLineDash() { return [...state.lineDash]; },
+
+    beginPath() { path = []; },
+    moveTo(x, y) { const [px, py] = point(x, y); path.push(`M${n(px)} ${n(py)}`); },
+    lineTo(x, y) { const [px, py] = point(x, y); path.push(`L${n(px)} ${n(py)}`); },
+    closePath() { path.push('Z'); },
+    rect(x, y, w, h) {
+      ctx.moveTo(x, y);
+      ctx.lineTo(x + w, y);
+      ctx.lineTo(x + w, y + h);
+      ctx.lineTo(x, y + h);
+      ctx.closePath();
+    },
+
+    fill() { emit([`fill="${state.fillStyle}"`, 'stroke="none"']); },
+    stroke() {
+      const k = scale();
+      const paint = ['fill="none"', `stroke="${state.strokeStyle}"`, `stroke-width="${n(state.lineWidth * k)}"`];
+      if (state.lineDash.length) paint.push(`stroke-dasharray="${state.lineDash.map(v => n(v * k)).join(',')}"`);
+      emit(paint);
+    },
+    clip() {
+      const id = `clip${++clipCount}`;
+      // a clip inside a clip intersects with it
+      const outer = state.clip ? ` clip-path="url(#${state.clip})"` : '';
+      defs.push(`<clipPath id="${id}"${outer}><path d="${path.join('')}"/></clipPath>`);
+      state.clip = id;
+    },
+    clearRect() {},
+    fillRect(x, y, w, h) { ctx.beginPath(); ctx.rect(x, y, w, h); ctx.fill(); },
+    strokeRect(x, y, w, h) { ctx.beginPath(); ctx.rect(x, y, w, h); ctx.stroke(); },
+
+    measureText(text) {
+      const { weight, size } = parseFont(state.font);
+      const bold = weight === 'bold' || +weight >= 600;
+      return { width: measure ? measure(text, size, bold) : text.length * size * 0.6 };
+    },
+    fillText(text, x, y) {
+      const { weight, size, family } = parseFont(state.font);
+      const [a, b, c, d, e, f] = state.matrix;
+      const attrs = [
+        `font-family="${escapeXml(family)}"`, `font-size="${n(size)}"`, `fill="${state.fillStyle}"`,
+      ];
+      if (weight !== 'normal') attrs.push(`font-weight="${weight}"`);
+      const anchor = TEXT_ANCHOR[state.textAlign] ?? 'start';
+      if (anchor !== 'start') attrs.push(`text-anchor="${anchor}"`);
+      const baseline = BASELINE[state.textBaseline];
+      if (baseline) attrs.push(`dominant-baseline="${baseline}"`);
+      // keep text upright in its own frame so it stays selectable text
+      const place = a === 1 && b === 0 && c === 0 && d === 1
+        ? `x="${n(x + e)}" y="${n(y + f)}"`
+        : `x="${n(x)}" y="${n(y)}" transform="matrix(${[a, b, c, d, e, f].map(v => +v.toFixed(5)).join(' ')})"`;
+      body.push(`<text ${place} ${[...attrs, ...shared()].join(' ')}>${escapeXml(text)}</text>`);
+    },
+
+    /** The recorded drawing as a standalone SVG document. */
+    markup() {
+      return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+        + (defs.length ? `<defs>${defs.join('')}</defs>` : '')
+        + body.join('')
+        + '</svg>';
+    },
+  };
+  return ctx;
+}
@@ -0,0 +1,240 @@
+/* ─── TrueType metrics ─────────────────────────────────────────────
+ * Just enough of a TrueType file to lay out and embed text in exported
+ * figures: units per em, vertical metrics, the bounding box, horizontal
+ * advances and the Unicode → glyph map (cmap format 4, so the BMP only),
+ * plus a subsetter so a file carries only the glyphs it sets.
+ */
+
+// table directory: [{ tag, offset, length }]
+function tableRecords(view) {
+  const count = view.getUint16(4);
+  const records = [];
+  for (let i = 0; i < count; i++) {
+    const at = 12 + i * 16;
+    const tag = String.fromCharCode(
+      view.getUint8(at), view.getUint8(at + 1), view.getUint8(at + 2), view.getUint8(at + 3),
+    );
+    records.push({ tag, offset: view.getUint32(at + 8), length: view.getUint32(at + 12) });
+  }
+  return records;
+}
+
+function tables(view) {
+  return Object.fromEntries(tableRecords(view).map(r => [r.tag, r.offset]));
+}
+
+/** Format 4 subtable of the Windows Unicode (3,1) or Unicode (0,x) cmap. */
+function unicodeMap(view, cmap) {
+  const count = view.getUint16(cmap + 2);
+  let sub = null;
+  for (let i = 0; i < count; i++) {
+    const at = cmap + 4 + i * 8;
+    const platform = view.getUint16(at);
+    const encoding = view.getUint16(at + 2);
+    const offset = cmap + view.getUint32(at + 4);
+    if (view.getUint16(offset) !== 4) continue;
+    if (platform === 3 && encoding === 1) { sub = offset; break; }
+    if (platform === 0 && sub === null) sub = offset;
+  }
+  if (sub === null) return () => 0;
+
+  const segments = view.getUint16(sub + 6) / 2;
+  const ends = sub + 14;
+  const starts = ends + segments * 2 + 2;
+  const deltas = starts + segments * 2;
+  const ranges = deltas + segments * 2;
+  const cache = new Map();
+
+  return (code) => {
+    if (code > 0xffff) return 0;
+    if (cache.has(code)) return cache.get(code);
+    let gid = 0;
+    for (let i = 0; i < segments; i++) {
+      if (view.getUint16(ends + i * 2) < code) continue;
+      const start = view.getUint16(starts + i * 2);
+      if (start > code) break;
+      const delta = view.getInt16(deltas + i * 2);
+      const range = view.getUint16(ranges + i * 2);
+      if (range === 0) {
+        gid = (code + delta) & 0xffff;
+      } else {
+        const at = ranges + i * 2 + range + (code - start) * 2;
+        const raw = view.getUint16(at);
+        gid = raw === 0 ? 0 : (raw + delta) & 0xffff;
+      }
+      break;
+    }
+    cache.set(code, gid);
+    return gid;
+  };
+}
+
+/**
+ * Read a TrueType font from an ArrayBuffer. Returns null when the buffer is
+ * not a TrueType font with the tables needed.
+ *
+ * The result's lengths are in font units (unitsPerEm to the em):
+ * { bytes, unitsPerEm, ascent, descent, capHeight, xHeight, bbox,
+ *   glyphId(codePoint), advance(glyphId), measure(text, size) → px }
+ */
+export function parseTtf(buffer) {
+  const view = new DataView(buffer);
+  if (view.byteLength < 12 || ![0x00010000, 0x74727565].includes(view.getUint32(0))) return null;
+  const t = tables(view);
+  if (['head', 'hhea', 'hmtx', 'cmap'].some(tag => t[tag] === undefined)) return null;
+
+  const unitsPerEm = view.getUint16(t.head + 18);
+  const bbox = [0, 2, 4, 6].map(i => view.getInt16(t.head + 36 + i));
+  const ascent = view.getInt16(t.hhea + 4);
+  const descent = view.getInt16(t.hhea + 6);
+  const metrics = view.getUint16(t.hhea + 34);
+  const os2 = t['OS/2'];
+  const os2Version = os2 === undefined ? -1 : view.getUint16(os2);
+  const capHeight = os2Version >= 2 ? view.getInt16(os2 + 88) : Math.round(ascent * 0.7);
+  const xHeight = os2Version >= 2 ? view.getInt16(os2 + 86) : Math.round(ascent * 0.5);
+
+  const glyphId = unicodeMap(view, t.cmap);
+  // glyphs past the last long metric repeat its advance
+  const advance = (gid) => view.getUint16(t.hmtx + Math.min(gid, metrics - 1) * 4);
+  const measure = (text, size) => {
+    let units = 0;
+    for (const ch of text) units += advance(glyphId(ch.codePointAt(0)));
+    return (units * size) / unitsPerEm;
+  };
+
+  return {
+    bytes: new Uint8Array(buffer),
+    unitsPerEm, ascent, descent, capHeight, xHeight, bbox,
+    glyphId, advance, measure,
+  };
+}
+
+/* ─── Subsetting ─────────────────────────────────────────────────── */
+
+// tables a subset keeps: the outlines, their metrics and hinting, and the
+// naming and mapping tables browsers insist on; layout tables are dropped
+const SUBSET_TABLES = [
+  'OS/2', 'cmap', 'cvt ', 'fpgm', 'gasp', 'glyf', 'head', 'hhea', 'hmtx', 'loca', 'maxp', 'name', 'post', 'prep',
+];
+
+// composite glyph flags
+const ARG_1_AND_2_ARE_WORDS = 0x0001;
+const WE_HAVE_A_SCALE = 0x0008;
+const MORE_COMPONENTS = 0x0020;
+const WE_HAVE_AN_X_AND_Y_SCALE = 0x0040;
+const WE_HAVE_A_TWO_BY_TWO = 0x0080;
+
+function checksum(bytes) {
+  const padded = new Uint8Array((bytes.length + 3) & ~3);
+  padded.set(bytes);
+  const view = new DataView(padded.buffer);
+  let sum = 0;
+  for (let i = 0; i < padded.length; i += 4) sum = (sum + view.getUint32(i)) >>> 0;
+  return sum;
+}
+
+/**
+ * A copy of the font holding only the outlines of the given glyphs (plus
+ * .notdef and the parts of composite glyphs). Glyph ids are unchanged, so
+ * the cmap and any text already set by id stay valid; dropped glyphs are
+ * left empty. Returns the font's own bytes when it has no glyf outlines.
+ */
+export function subsetTtf(font, glyphIds) {
+  const { bytes } = font;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const records = tableRecords(view);
+  const t = Object.fromEntries(records.map(r => [r.tag, r]));
+  if (!t.glyf || !t.loca || !t.head || !t.maxp) return bytes;
+
+  const numGlyphs = view.getUint16(t.maxp.offset + 4);
+  const longLoca = view.getInt16(t.head.offset + 50) === 1;
+  const glyphStart = (gid) => t.glyf.offset
+    + (longLoca ? view.getUint32(t.loca.offset + gid * 4) : view.getUint16(t.loca.offset + gid * 2) * 2);
+  const glyphRange = (gid) => [glyphStart(gid), glyphStart(gid + 1)];
+
+  // the requested glyphs and, recursively, the components they are built from
+  const keep = new Set([0]);
+  const pending = [...glyphIds].filter(gid => gid > 0 && gid < numGlyphs);
+  while (pending.length) {
+    const gid = pending.pop();
+    if (keep.has(gid)) continue;
+    keep.add(gid);
+    const [start, end] = glyphRange(gid);
+    if (end - start < 10 || view.getInt16(start) >= 0) continue;
+    let at = start + 10;
+    let flags;
+    do {
+      flags = view.getUint16(at);
+      const component = view.getUint16(at + 2);
+      if (component < numGlyphs && !keep.has(component)) pending.push(component);
+      at += 4 + (flags & ARG_1_AND_2_ARE_WORDS ? 4 : 2);
+      if (flags & WE_HAVE_A_SCALE) at += 2;
+      else if (flags & WE_HAVE_AN_X_AND_Y_SCALE) at += 4;
+      else if (flags & WE_HAVE_A_TWO_BY_TWO) at += 8;
+    } while (flags & MORE_COMPONENTS && at < end);
+  }
+
+  // new glyf, each kept glyph padded to 4 bytes, and a loca to match (short
+  // offsets, in words, whenever the subset is small enough)
+  const offsets = new Uint32Array(numGlyphs + 1);
+  let size = 0;
+  for (let gid = 0; gid < numGlyphs; gid++) {
+    offsets[gid] = size;
+    if (keep.has(gid)) {
+      const [start, end] = glyphRange(gid);
+      size += (end - start + 3) & ~3;
+    }
+  }
+  offsets[numGlyphs] = size;
+  const glyf = new Uint8Array(size);
+  for (const gid of keep) {
+    const [start, end] = glyphRange(gid);
+    glyf.set(bytes.subarray(start, end), offsets[gid]);
+  }
+  const shortLoca = size < 0x20000;
+  const loca = new Uint8Array((numGlyphs + 1) * (shortLoca ? 2 : 4));
+  const locaView = new DataView(loca.buffer);
+  offsets.forEach((offset, i) => (shortLoca
+    ? locaView.setUint16(i * 2, offset / 2)
+    : locaView.setUint32(i * 4, offset)));
+
+  const head = bytes.slice(t.head.offset, t.head.offset + t.head.length);
+  const headView = new DataView(head.buffer);
+  headView.setUint32(8, 0); // checkSumAdjustment, set once the file is laid out
+  headView.setInt16(50, shortLoca ? 0 : 1);
+  // post format 3: the same metrics without the glyph names
+  const post = t.post && bytes.slice(t.post.offset, t.post.offset + Math.min(t.post.length, 32));
+  if (post) new DataView(post.buffer).setUint32(0, 0x00030000);
+
+  const data = { glyf, loca, head, post };
+  const kept = records
+    .filter(r => SUBSET_TABLES.includes(r.tag))
+    .map(r => ({ tag: r.tag, data: data[r.tag] ?? bytes.subarray(r.offset, r.offset + r.length) }))
+    .sort((a, b) => (a.tag < b.tag ? -1 : 1));
+
+  const count = kept.length;
+  const pow = 2 ** Math.floor(Math.log2(count));
+  const headerSize = 12 + count * 16;
+  const total = kept.reduce((sum, table) => sum + ((table.data.length + 3) & ~3), headerSize);
+  const out = new Uint8Array(total);
+  const outView = new DataView(out.buffer);
+  outView.setUint32(0, 0x00010000);
+  outView.setUint16(4, count);
+  outView.setUint16(6, pow * 16);
+  outView.setUint16(8, Math.log2(pow));
+  outView.setUint16(10, count * 16 - pow * 16);
+  let offset = headerSize;
+  let headOffset = 0;
+  kept.forEach((table, i) => {
+    const at = 12 + i * 16;
+    for (let k = 0; k < 4; k++) outView.setUint8(at + k, table.tag.charCodeAt(k));
+    outView.setUint32(at + 4, checksum(table.data));
+    outView.setUint32(at + 8, offset);
+    outView.setUint32(at + 12, table.data.length);
+    out.set(table.data, offset);
+    if (table.tag === 'head') headOffset = offset;
+    offset += (table.data.length + 3) & ~3;
+  });
+  outView.setUint32(headOffset + 8, (0xb1b0afba - checksum(out)) >>> 0);
+  return out;
+}
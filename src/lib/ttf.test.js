@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { parseTtf, subsetTtf } from './ttf';
+
+const file = readFileSync(new URL('../assets/fonts/DejaVuSansMono.ttf', import.meta.url));
+const font = parseTtf(file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength));
+const gids = (text) => new Set([...text].map(ch => font.glyphId(ch.codePointAt(0))));
+
+describe('parseTtf', () => {
+  it('reads the metrics and the character map', () => {
+    expect(font.unitsPerEm).toBe(2048);
+    expect(font.glyphId('A'.codePointAt(0))).toBeGreaterThan(0);
+    expect(font.glyphId(0xe000)).toBe(0);
+    expect(font.measure('σ₁ = 10', 10)).toBeCloseTo(7 * 1233 * 10 / 2048);
+  });
+
+  it('rejects anything that is not a TrueType font', () => {
+    expect(parseTtf(new ArrayBuffer(8))).toBeNull();
+    expect(parseTtf(new TextEncoder().encode('<svg></svg> not a font').buffer)).toBeNull();
+  });
+});
+
+describe('subsetTtf', () => {
+  const subset = subsetTtf(font, gids('σ₁ = 12.5 MPa Å'));
+  const parsed = parseTtf(subset.buffer);
+
+  it('is a fraction of the full font', () => {
+    expect(subset.length).toBeLessThan(file.length / 5);
+  });
+
+  it('keeps glyph ids, advances and the character map', () => {
+    for (const ch of 'σ₁=MPaÅxyz') {
+      const code = ch.codePointAt(0);
+      expect(parsed.glyphId(code)).toBe(font.glyphId(code));
+      expect(parsed.advance(parsed.glyphId(code))).toBe(font.advance(font.glyphId(code)));
+    }
+  });
+
+  it('writes a valid checksum adjustment', () => {
+    const view = new DataView(subset.buffer);
+    let sum = 0;
+    for (let i = 0; i < subset.length; i += 4) sum = (sum + view.getUint32(i)) >>> 0;
+    expect(sum).toBe(0xb1b0afba);
+  });
+
+  it('keeps the outlines asked for and empties the rest', () => {
+    const outline = (bytes, gid) => {
+      const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+      const dir = {};
+      for (let i = 0; i < view.getUint16(4); i++) {
+        const tag = String.fromCharCode(...bytes.subarray(12 + i * 16, 16 + i * 16));
+        dir[tag] = view.getUint32(12 + i * 16 + 8);
+      }
+      const long = view.getInt16(dir.head + 50) === 1;
+      const at = (g) => (long ? view.getUint32(dir.loca + g * 4) : view.getUint16(dir.loca + g * 2) * 2);
+      return bytes.subarray(dir.glyf + at(gid), dir.glyf + at(gid + 1));
+    };
+    const sigma = font.glyphId('σ'.codePointAt(0));
+    const zhe = font.glyphId('Ж'.codePointAt(0));
+    expect([...outline(subset, sigma)]).toEqual([...outline(font.bytes, sigma)]);
+    expect(outline(font.bytes, zhe).length).toBeGreaterThan(0);
+    expect(outline(subset, zhe).length).toBe(0);
+  });
+});
@@ -0,0 +1,58 @@
+/* ─── Undo / redo ──────────────────────────────────────────────────
+ * A snapshot is { params, strainParams, theta, thetaMin, thetaMax, vis }: the
+ * stress and strain sliders with their ranges, θ and the graph's θ range, and
+ * the Mohr's-circle toggles.
+ *
+ * The history is { past, label, at, future }. past and future hold
+ * { label, snapshot } entries, where label names the change that produced
+ * that snapshot; label and at describe the change that produced the present
+ * state. Changes with the same label less than MERGE_MS apart (a slider
+ * drag, a playback) count as one step.
+ */
+
+import { scaleParams } from './workspace';
+
+export const MERGE_MS = 600;
+export const MAX_STEPS = 100;
+
+export const EMPTY_UNDO = { past: [], label: 'Start', at: 0, future: [] };
+
+/** Note that the present state `before` is about to change by `label`. */
+export function recordStep(undo, before, label, now) {
+  if (label === undo.label && now - undo.at < MERGE_MS) return { ...undo, at: now };
+  return {
+    past: [...undo.past, { label: undo.label, snapshot: before }].slice(-MAX_STEPS),
+    label,
+    at: now,
+    future: [],
+  };
+}
+
+/**
+ * Move to step `index` of the timeline [...past, present, ...future]; returns
+ * { undo, snapshot } with the snapshot to restore, or null when there is
+ * nothing to move to.
+ */
+export function jumpTo(undo, present, index) {
+  const timeline = [...undo.past, { label: undo.label, snapshot: present }, ...undo.future];
+  const here = undo.past.length;
+  if (index === here || index < 0 || index >= timeline.length) return null;
+  return {
+    undo: {
+      past: timeline.slice(0, index),
+      label: timeline[index].label,
+      at: 0, // the next change starts a step of its own
+      future: timeline.slice(index + 1),
+    },
+    snapshot: timeline[index].snapshot,
+  };
+}
+
+export const undoStep = (undo, present) => jumpTo(undo, present, undo.past.length - 1);
+export const redoStep = (undo, present) => jumpTo(undo, present, undo.past.length + 1);
+
+/** Rescale the stored stress sliders by factor k (unit change). */
+export function scaleUndo(undo, k) {
+  const scale = (e) => ({ ...e, snapshot: { ...e.snapshot, params: scaleParams(e.snapshot.params, k) } });
+  return { ...undo, past: undo.past.map(scale), future: undo.future.map(scale) };
+}
@@ -0,0 +1,24 @@
+/* ─── Stress unit systems ──────────────────────────────────────────
+ * State is held in the unit the user picked; switching units rescales the
+ * stored numbers once (see convertStress) rather than converting on every
+ * render. `digits` is the display precision that reads naturally in each.
+ */
+
+export const STRESS_UNITS = {
+  Pa:  { label: 'Pa',  perMPa: 1e6,          digits: 0 },
+  kPa: { label: 'kPa', perMPa: 1e3,          digits: 1 },
+  MPa: { label: 'MPa', perMPa: 1,            digits: 2 },
+  GPa: { label: 'GPa', perMPa: 1e-3,         digits: 5 },
+  psi: { label: 'psi', perMPa: 145.0377377,  digits: 0 },
+  ksi: { label: 'ksi', perMPa: 0.1450377377, digits: 3 },
+};
+
+/** Convert a stress value between two keys of STRESS_UNITS. */
+export function convertStress(value, from, to) {
+  return value * STRESS_UNITS[to].perMPa / STRESS_UNITS[from].perMPa;
+}
+
+/** Round to three significant figures, so converted slider bounds stay readable. */
+export function roundSignificant(value) {
+  return value === 0 ? 0 : +value.toPrecision(3);
+}
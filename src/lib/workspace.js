@@ -0,0 +1,151 @@
+/* ─── Workspace state in the URL ───────────────────────────────────
+ * The stress state (slider values and ranges), θ and its graph range, the
+ * open tab, the unit and the Mohr's-circle zoom, pan and toggles are written
+ * to the query string so that a link reproduces the view:
+ *
+ *   ?u=ksi&sx=12&sy=-5,-30,30,0.5&th=30&tr=-90,90&tab=stress
+ *    &z=2.4&pan=-40,12&hide=grid,axisTicks&show=pole
+ *
+ * Only what differs from the defaults is written. A slider is `value` or,
+ * with a custom range, `value,min,max,step`. Anything missing or malformed
+ * falls back to its default, so old or hand-edited links still open.
+ */
+
+import { STRESS_UNITS, convertStress, roundSignificant } from './units';
+
+/** Zoom, pan and visibility toggles of the Mohr's-circle view. */
+export const DEFAULT_MOHR_DISPLAY = {
+  zoom: 1.6,
+  pan: { x: 0, y: 0 },
+  vis: {
+    grid:        true,
+    principal:   true,   // P1, P2 points, radius lines, 2θp arc
+    shear:       true,   // τmax / τmin points
+    sigmaAvg:    true,   // σavg dashed line + arrow
+    rotation:    true,   // rotating point, conjugate, 2θ arc, diameter line, projections, R label
+    axisTicks:   true,   // numeric tick labels
+    circles3D:   true,   // σ1–σ2–σ3 circles + admissible region
+    pole:        false,  // pole (origin of planes) + plane lines
+    cases:       true,   // overlaid load-case circles
+    trail:       true,   // load-history trail
+    geotech:     true,   // effective-stress circle + Mohr–Coulomb envelope
+  },
+};
+
+export const ZOOM_LIMITS = [0.4, 8];
+
+const TABS = ['stress', 'mohr', 'envelope', 'fatigue', 'field'];
+
+// slider key → query key
+const PARAM_KEYS = {
+  sigmaX: 'sx', sigmaY: 'sy', tauXY: 'txy', sigmaZ: 'sz', tauYZ: 'tyz', tauZX: 'tzx',
+};
+
+/**
+ * Rescale slider states by factor k (unit change): values exactly, ranges to
+ * three significant figures but never clipping the value.
+ */
+export function scaleParams(params, k) {
+  const out = {};
+  for (const [key, p] of Object.entries(params)) {
+    const value = p.value * k;
+    out[key] = {
+      value,
+      min: Math.min(roundSignificant(p.min * k), value),
+      max: Math.max(roundSignificant(p.max * k), value),
+      step: +(p.step * k).toPrecision(1),
+    };
+  }
+  return out;
+}
+
+const num = (v) => String(+v.toPrecision(6));
+
+const numbers = (text, count) => {
+  if (text === null) return null;
+  const parts = text.split(',').map(Number);
+  return parts.length === count && parts.every(Number.isFinite) ? parts : null;
+};
+
+/**
+ * Query string (without '?') for a workspace
+ * { params, theta, thetaMin, thetaMax, activeTab, unit, mohr }.
+ * defaults holds the same fields, its params in defaults.unit.
+ */
+export function encodeWorkspace(ws, defaults) {
+  const out = [];
+  const put = (key, value) => out.push(`${key}=${value}`);
+  const base = scaleParams(defaults.params, convertStress(1, defaults.unit, ws.unit));
+
+  if (ws.unit !== defaults.unit) put('u', ws.unit);
+  for (const [key, q] of Object.entries(PARAM_KEYS)) {
+    const p = ws.params[key], d = base[key];
+    const ranged = p.min !== d.min || p.max !== d.max || p.step !== d.step;
+    if (ranged) put(q, [p.value, p.min, p.max, p.step].map(num).join(','));
+    else if (p.value !== d.value) put(q, num(p.value));
+  }
+  if (ws.theta !== defaults.theta) put('th', num(ws.theta));
+  if (ws.thetaMin !== defaults.thetaMin || ws.thetaMax !== defaults.thetaMax) {
+    put('tr', `${num(ws.thetaMin)},${num(ws.thetaMax)}`);
+  }
+  if (ws.activeTab !== defaults.activeTab) put('tab', ws.activeTab);
+
+  const { zoom, pan, vis } = ws.mohr, dm = defaults.mohr;
+  if (zoom !== dm.zoom) put('z', num(zoom));
+  if (pan.x !== dm.pan.x || pan.y !== dm.pan.y) put('pan', `${Math.round(pan.x)},${Math.round(pan.y)}`);
+  const flipped = Object.keys(dm.vis).filter(key => vis[key] !== dm.vis[key]);
+  const hide = flipped.filter(key => !vis[key]), show = flipped.filter(key => vis[key]);
+  if (hide.length) put('hide', hide.join(','));
+  if (show.length) put('show', show.join(','));
+
+  return out.join('&');
+}
+
+/**
+ * Workspace read from a query string, every field filled in from defaults
+ * (params rescaled into the link's unit) where the link is silent or wrong.
+ */
+export function decodeWorkspace(search, defaults) {
+  const q = new URLSearchParams(search);
+  const unit = Object.hasOwn(STRESS_UNITS, q.get('u') ?? '') ? q.get('u') : defaults.unit;
+  const base = scaleParams(defaults.params, convertStress(1, defaults.unit, unit));
+
+  const params = {};
+  for (const [key, name] of Object.entries(PARAM_KEYS)) {
+    const d = base[key];
+    const ranged = numbers(q.get(name), 4);
+    const single = numbers(q.get(name), 1);
+    if (ranged && ranged[1] < ranged[2] && ranged[3] > 0) {
+      const [value, min, max, step] = ranged;
+      params[key] = { value, min: Math.min(min, value), max: Math.max(max, value), step };
+    } else if (single) {
+      const [value] = single;
+      params[key] = { ...d, value, min: Math.min(d.min, Math.floor(value)), max: Math.max(d.max, Math.ceil(value)) };
+    } else {
+      params[key] = d;
+    }
+  }
+
+  const th = numbers(q.get('th'), 1);
+  const tr = numbers(q.get('tr'), 2);
+  const z = numbers(q.get('z'), 1);
+  const pan = numbers(q.get('pan'), 2);
+  const list = (key) => (q.get(key) ?? '').split(',').filter(k => Object.hasOwn(defaults.mohr.vis, k));
+  const vis = { ...defaults.mohr.vis };
+  for (const key of list('hide')) vis[key] = false;
+  for (const key of list('show')) vis[key] = true;
+
+  return {
+    params,
+    theta: th ? Math.min(Math.max(th[0], -180), 180) : defaults.theta,
+    thetaMin: tr && tr[0] < tr[1] ? tr[0] : defaults.thetaMin,
+    thetaMax: tr && tr[0] < tr[1] ? tr[1] : defaults.thetaMax,
+    activeTab: TABS.includes(q.get('tab')) ? q.get('tab') : defaults.activeTab,
+    unit,
+    mohr: {
+      zoom: z ? Math.min(Math.max(z[0], ZOOM_LIMITS[0]), ZOOM_LIMITS[1]) : defaults.mohr.zoom,
+      pan: pan ? { x: pan[0], y: pan[1] } : defaults.mohr.pan,
+      vis,
+    },
+  };
+}